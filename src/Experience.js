@@ -20,25 +20,34 @@
  */
 
 import * as THREE from 'three';
-import gsap from 'gsap';
 
 // Core imports
 import { App } from './core/App.js';
+import { ComponentRegistry } from './core/ComponentRegistry.js';
+import { ScrollPathController, OffsetController, ShakePresets } from './core/CameraControllers.js';
 import { Debug } from './utils/Debug.js';
 
 // World imports
+import { GradientBackground } from './world/GradientBackground.js';
 import { Environment } from './world/Environment.js';
 import { Particles } from './world/Particles.js';
 import { GlassCards } from './world/GlassCards.js';
 import { SpineModel, MaterialType } from './world/SpineModel.js';
 import { LightingSystem } from './world/LightingSystem.js';
 import { WaterSurface } from './world/WaterSurface.js';
+import { TestGeometry } from './world/TestGeometry.js';
 
 // Utility imports
 import { PerformanceManager, QualityLevels } from './utils/PerformanceManager.js';
 import { CursorEffects } from './utils/CursorEffects.js';
 import { MobileSupport } from './utils/MobileSupport.js';
 import { ScrollManager } from './utils/ScrollManager.js';
+import { loadTimeline, onTimelineChange } from './utils/Timeline.js';
+import { PropertyTracks } from './utils/PropertyTracks.js';
+import { VelocityEffects } from './utils/VelocityEffects.js';
+import { ScrollChoreography } from './utils/ScrollChoreography.js';
+import { VideoExporter } from './utils/VideoExporter.js';
+import { ScreenshotCapture } from './utils/ScreenshotCapture.js';
 
 // Post-processing imports
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
@@ -50,37 +59,69 @@ import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
 
 // Custom post-processing passes
 import { ChromaticAberrationPass } from './postprocessing/ChromaticAberrationPass.js';
+import { MotionBlurPass } from './postprocessing/MotionBlurPass.js';
 import { DOFPass } from './postprocessing/DOFPass.js';
 import { VignetteColorGradePass } from './postprocessing/VignetteColorGradePass.js';
 
-// Background shaders
-import backgroundVertexShader from './shaders/background/vertex.glsl?raw';
-import backgroundFragmentShader from './shaders/background/fragment.glsl?raw';
+/**
+ * State saved on dispose, keyed by experience id, so a recreated
+ * experience (e.g. after an SPA route change) picks up where it left off.
+ * @type {Map<string, Object>}
+ */
+const savedStates = new Map();
 
 /**
  * @class Experience
  * @description Main experience controller with advanced post-processing
  */
 class Experience {
-    /** @type {Experience|null} Singleton instance */
-    static instance = null;
-
     /**
      * Create the experience
      * @param {HTMLCanvasElement} canvas - Canvas element for rendering
      * @param {Object} options - Configuration options
+     * @param {Function} [options.onProgress] - Loading progress callback
+     * @param {Object} [options.time] - Time options (fixedStep, seed) for deterministic runs
+     * @param {string} [options.id] - Key for saved state (default: canvas id)
+     * @param {Document|HTMLElement} [options.domRoot] - Root for overlay UI lookups
+     * @param {boolean} [options.enableCursor] - Custom cursor effects (one per page)
+     * @param {string} [options.scrollMode] - 'paginated' (default: wheel, keys and swipes step
+     *        between scenes) or 'free' (continuous scrolling; see ScrollManager.js)
+     * @param {boolean} [options.history] - Sync the URL with the scroll position (one per page)
+     * @param {string|HTMLElement|Object} [options.scrollSource] - Scroll position source:
+     *        'window' (default), 'virtual' (no page scrolling; the #content overlay is moved
+     *        instead), {type: 'virtual', element} (the same inside a fixed-height container,
+     *        iframe or modal), or a scrollable element / selector (see ScrollSource.js)
+     * @param {boolean} [options.restoreState] - Restore state saved by a previous instance
+     * @param {boolean} [options.restoreScroll] - Also restore the scroll position
+     * @param {boolean} [options.debug] - Enable debug GUI
      */
     constructor(canvas, options = {}) {
-        // Singleton pattern
-        if (Experience.instance) {
-            return Experience.instance;
-        }
-        Experience.instance = this;
-
         const {
-            onProgress = null
+            onProgress = null,
+            time = {},
+            id = canvas.id || 'experience',
+            domRoot = document,
+            enableCursor = true,
+            scrollMode = 'paginated',
+            history = true,
+            scrollSource = 'window',
+            restoreState = true,
+            restoreScroll = true,
+            debug
         } = options;
 
+        /** @type {string} Instance id (saved state key) */
+        this.id = id;
+
+        /** @type {Document|HTMLElement} Root for overlay UI lookups */
+        this.domRoot = domRoot;
+
+        /** @type {HTMLCanvasElement} */
+        this.canvas = canvas;
+
+        /** @type {Object|null} State saved by a previous instance */
+        const saved = restoreState ? savedStates.get(id) || null : null;
+
         /** @type {Function|null} Progress callback */
         this.onProgress = onProgress;
 
@@ -102,12 +143,18 @@ class Experience {
         this._reportProgress(5, 'Creating renderer...');
 
         /** @type {App} Core application instance */
-        this.app = new App(canvas);
+        this.app = new App(canvas, {
+            // Keep the previous seed so restored shaders/particles look the same
+            time: saved && time.seed === undefined ? { ...time, seed: saved.seed } : time,
+            debug,
+            name: id
+        });
 
         // Get references from app
         this.scene = this.app.scene;
         this.camera = this.app.camera;
         this.renderer = this.app.renderer;
+        this.time = this.app.time;
 
         // ==========================================
         // Performance Manager
@@ -119,9 +166,19 @@ class Experience {
         this.performanceManager = new PerformanceManager(this.renderer, {
             targetFPS: 60,
             qualityCheckInterval: 2000,
-            autoAdjust: true
+            // FPS-driven quality changes would make fixed-step runs non-reproducible
+            autoAdjust: !this.time.fixedStep
         });
 
+        // Scheduled per-frame tasks share the frame budget of the target FPS
+        this.time.scheduler.setTargetFPS(this.performanceManager.targetFPS);
+
+        // Restore quality before anything reads the preset
+        if (saved) {
+            this.performanceManager.setQuality(saved.quality);
+            this.performanceManager.setAdaptiveQuality(saved.adaptiveQuality && !this.time.fixedStep);
+        }
+
         // Subscribe to quality changes
         this.performanceManager.on('qualityChange', (data) => {
             this._onQualityChange(data);
@@ -149,12 +206,29 @@ class Experience {
         /** @type {ScrollManager} Scroll-based animation controller */
         this.scrollManager = new ScrollManager({
             smoothness: 0.08,
-            threshold: 0.1
+            threshold: 0.1,
+            aspect: this.app.sizes.width / this.app.sizes.height,
+            mode: scrollMode,
+            history,
+            source: this._resolveScrollSource(scrollSource)
         });
 
+        // The scroll path drives the camera as one layer of its controller stack,
+        // so parallax, pinch zoom and shake still apply on top of it
+        this.app.cameraManager.addController(new ScrollPathController(this.scrollManager));
+
+        /** @type {OffsetController} Fov kick from scroll speed (see VelocityEffects) */
+        this.scrollKick = this.app.cameraManager.addController(new OffsetController({ name: 'scrollKick' }));
+
         // Subscribe to scroll events
         this._initScrollEvents();
 
+        /** @type {VideoExporter} Scripted recording to WebM / PNG sequence */
+        this.videoExporter = new VideoExporter(this);
+
+        /** @type {ScreenshotCapture} Tiled high-resolution stills */
+        this.screenshotCapture = new ScreenshotCapture(this);
+
         // ==========================================
         // Debug Reference
         // ==========================================
@@ -177,6 +251,9 @@ class Experience {
         /** @type {THREE.Plane} Invisible plane for mouse intersection */
         this.mousePlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
 
+        /** @type {Object|null} Shake started by the current scene's effects */
+        this._sceneShake = null;
+
         // ==========================================
         // Post-Processing Setup
         // ==========================================
@@ -198,7 +275,7 @@ class Experience {
         // Cursor Effects (Desktop)
         // ==========================================
 
-        if (!this.mobileSupport.isMobile) {
+        if (enableCursor && !this.mobileSupport.isMobile) {
             this._reportProgress(25, 'Creating cursor effects...');
 
             /** @type {CursorEffects} Custom cursor and trails */
@@ -214,12 +291,51 @@ class Experience {
         // World Components
         // ==========================================
 
-        /** @type {Object} World component references */
+        /** @type {Object} World component references (by name) */
         this.world = {};
 
+        /** @type {ComponentRegistry} Drives world component lifecycle hooks */
+        this.components = new ComponentRegistry({
+            scene: this.scene,
+            camera: this.camera,
+            renderer: this.renderer,
+            rendererManager: this.app.rendererManager,
+            time: this.time,
+            sizes: this.app.sizes,
+            experience: this
+        });
+
         // Initialize world (async for models)
         this._initWorld();
 
+        // Objects timeline targets ("passes.bloom.strength") start from
+        const timelineRoots = {
+            ...this.world,
+            passes: this.passes,
+            scene: this.scene,
+            camera: this.camera,
+            scrollKick: this.scrollKick
+        };
+
+        /** @type {PropertyTracks} Scroll-driven property keyframes from the timeline */
+        this.propertyTracks = new PropertyTracks(timelineRoots);
+        this.propertyTracks.setTracks(loadTimeline());
+
+        /** @type {VelocityEffects} Scroll-speed-driven effects from the timeline */
+        this.velocityEffects = new VelocityEffects(timelineRoots);
+        this.velocityEffects.setMappings(loadTimeline());
+
+        // ==========================================
+        // Setup Debug Controls
+        // ==========================================
+
+        // After the world and the timeline layers, which the GUI controls
+        this._reportProgress(90, 'Setting up debug controls...');
+
+        if (this.debug) {
+            this._setupDebugControls();
+        }
+
         // ==========================================
         // Event Subscriptions
         // ==========================================
@@ -238,6 +354,14 @@ class Experience {
             });
         }
 
+        // ==========================================
+        // Restore Saved State
+        // ==========================================
+
+        if (saved) {
+            this._restoreState(saved, restoreScroll);
+        }
+
         // ==========================================
         // Mark Ready
         // ==========================================
@@ -294,8 +418,7 @@ class Experience {
      * @private
      */
     _initPostProcessing() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const { width, height } = this.app.sizes;
         const quality = this.performanceManager.getQualityPreset();
 
         // ==========================================
@@ -309,6 +432,7 @@ class Experience {
         // ==========================================
 
         const renderPass = new RenderPass(this.scene, this.camera);
+        renderPass.clear = false; // Keep the background stage drawn underneath
         this.composer.addPass(renderPass);
         this.passes.render = renderPass;
 
@@ -327,7 +451,15 @@ class Experience {
         this.passes.bloom = bloomPass;
 
         // ==========================================
-        // 3. Chromatic Aberration Pass
+        // 3. Motion Blur Pass (scroll speed)
+        // ==========================================
+
+        const motionBlurPass = new MotionBlurPass();
+        this.composer.addPass(motionBlurPass);
+        this.passes.motionBlur = motionBlurPass;
+
+        // ==========================================
+        // 4. Chromatic Aberration Pass
         // ==========================================
 
         const chromaticPass = new ChromaticAberrationPass({
@@ -341,7 +473,7 @@ class Experience {
         this.passes.chromatic = chromaticPass;
 
         // ==========================================
-        // 4. DOF Pass (Depth of Field)
+        // 5. DOF Pass (Depth of Field)
         // ==========================================
 
         const dofPass = new DOFPass(this.scene, this.camera, {
@@ -357,7 +489,7 @@ class Experience {
         this.passes.dof = dofPass;
 
         // ==========================================
-        // 5. Vignette & Color Grading Pass
+        // 6. Vignette & Color Grading Pass
         // ==========================================
 
         const vignettePass = new VignetteColorGradePass({
@@ -370,7 +502,7 @@ class Experience {
         this.passes.vignette = vignettePass;
 
         // ==========================================
-        // 6. FXAA Pass (Anti-Aliasing)
+        // 7. FXAA Pass (Anti-Aliasing)
         // ==========================================
 
         const fxaaPass = new ShaderPass(FXAAShader);
@@ -380,13 +512,16 @@ class Experience {
         this.passes.fxaa = fxaaPass;
 
         // ==========================================
-        // 7. Output Pass (Final)
+        // 8. Output Pass (Final)
         // ==========================================
 
         const outputPass = new OutputPass();
         this.composer.addPass(outputPass);
         this.passes.output = outputPass;
 
+        // Main stage of the render pipeline
+        this.app.rendererManager.setComposer(this.composer);
+
         console.log('%c[Experience] Post-processing stack initialized', 'color: #88ff88;');
     }
 
@@ -399,11 +534,33 @@ class Experience {
         this._handleMouseLeave = this._handleMouseLeave.bind(this);
         this._handleClick = this._handleClick.bind(this);
 
+        // Mouse moves are tracked page-wide (the overlay content sits on top
+        // of the canvas), but normalized against this canvas
         window.addEventListener('mousemove', this._handleMouseMove);
-        window.addEventListener('mouseleave', this._handleMouseLeave);
+        document.addEventListener('mouseleave', this._handleMouseLeave);
         window.addEventListener('click', this._handleClick);
     }
 
+    /**
+     * Normalize client coordinates to -1..1 relative to the canvas
+     * @param {number} clientX
+     * @param {number} clientY
+     * @param {THREE.Vector2} target - Output vector
+     * @returns {boolean} Whether the point lies over the canvas
+     * @private
+     */
+    _normalizePointer(clientX, clientY, target) {
+        const rect = this.canvas.getBoundingClientRect();
+        const width = rect.width || window.innerWidth;
+        const height = rect.height || window.innerHeight;
+        const x = (clientX - rect.left) / width;
+        const y = (clientY - rect.top) / height;
+
+        target.set(x * 2 - 1, -y * 2 + 1);
+
+        return x >= 0 && x <= 1 && y >= 0 && y <= 1;
+    }
+
     /**
      * Initialize mobile touch events
      * @private
@@ -412,19 +569,14 @@ class Experience {
         // Pan gesture - move camera/particles
         this.mobileSupport.on('pan', (data) => {
             // Convert touch to normalized coordinates
-            const normalizedX = (data.center.x / window.innerWidth) * 2 - 1;
-            const normalizedY = -(data.center.y / window.innerHeight) * 2 + 1;
-
-            this.mouse.set(normalizedX, normalizedY);
+            this._normalizePointer(data.center.x, data.center.y, this.mouse);
             this._updateMouseWorld();
         });
 
-        // Pinch gesture - zoom camera
+        // Pinch gesture - dolly the camera toward what it looks at
         this.mobileSupport.on('pinch', (data) => {
             if (this.app.cameraManager) {
-                const currentZ = this.camera.position.z;
-                const newZ = currentZ - (data.delta - 1) * 5;
-                this.camera.position.z = THREE.MathUtils.clamp(newZ, 5, 25);
+                this.app.cameraManager.pinch.zoomBy((data.delta - 1) * 5);
             }
         });
 
@@ -436,10 +588,11 @@ class Experience {
             }
         });
 
-        // Swipe gesture
+        // Swipe gesture - page through the scenes (paginated scrolling)
         this.mobileSupport.on('swipe', (data) => {
-            // Could be used for navigation or card switching
-            console.log('[Experience] Swipe:', data.direction);
+            if (this.scrollManager) {
+                this.scrollManager.handleSwipe(data);
+            }
         });
 
         // Device orientation
@@ -454,20 +607,34 @@ class Experience {
         });
     }
 
+    /**
+     * Fill in the overlay content for a virtual scroll source, which moves
+     * it by the scroll position (the document itself doesn't scroll)
+     * @param {string|HTMLElement|Object} scrollSource - See the scrollSource option
+     * @returns {string|HTMLElement|Object} Source for ScrollManager
+     * @private
+     */
+    _resolveScrollSource(scrollSource) {
+        const options = scrollSource === 'virtual' ? { type: 'virtual' } : scrollSource;
+        if (!options || options.type !== 'virtual' || options.content) return scrollSource;
+
+        return { ...options, content: this.domRoot.querySelector('#content') };
+    }
+
     /**
      * Initialize scroll-based events and scene triggers
      * @private
      */
     _initScrollEvents() {
         // Get DOM elements
-        this.scrollProgressElement = document.getElementById('scroll-progress');
-        this.scrollIndicatorElement = document.getElementById('scroll-indicator');
+        this.scrollProgressElement = this.domRoot.querySelector('#scroll-progress');
+        this.scrollIndicatorElement = this.domRoot.querySelector('#scroll-indicator');
 
         // ==========================================
         // Scene Change Handler
         // ==========================================
 
-        this.scrollManager.on('sceneChange', (data) => {
+        this.scrollManager.on('scene:change', (data) => {
             const { from, to, scene } = data;
 
             console.log(`%c[Experience] Scene transition: ${from} → ${to}`, 'color: #44ffaa;');
@@ -475,24 +642,8 @@ class Experience {
             // Apply scene-specific effects
             this._applySceneEffects(scene);
 
-            // Handle specific scene transitions
-            switch (to) {
-                case 'hero':
-                    this._onEnterHeroScene();
-                    break;
-                case 'underwater':
-                    this._onEnterUnderwaterScene();
-                    break;
-                case 'spineReveal':
-                    this._onEnterSpineRevealScene();
-                    break;
-                case 'orbital':
-                    this._onEnterOrbitalScene();
-                    break;
-                case 'final':
-                    this._onEnterFinalScene();
-                    break;
-            }
+            // Let world components react to the new scene
+            this.components.sceneEnter(data);
 
             // Hide scroll indicator after hero
             if (this.scrollIndicatorElement) {
@@ -502,12 +653,26 @@ class Experience {
                     this.scrollIndicatorElement.classList.add('hidden');
                 }
             }
+        });
 
-            // Show/hide section content
-            if (from) {
-                this._hideSectionContent(from);
-            }
-            this._showSectionContent(to);
+        /** @type {ScrollChoreography} Overlay content animations scrubbed with the scroll (data-enter / data-exit) */
+        this.choreography = new ScrollChoreography(this.domRoot, this.scrollManager.getScenes());
+
+        // ==========================================
+        // Timeline Hot Reload
+        // ==========================================
+
+        // Edits to timeline.json swap the scenes in place (dev server only)
+        this._removeTimelineListener = onTimelineChange((timeline) => {
+            this.scrollManager.setScenes(timeline.scenes);
+            this.propertyTracks.setTracks(timeline);
+            this.velocityEffects.setMappings(timeline);
+        });
+
+        // Re-apply the current scene's (possibly edited) effects
+        this.scrollManager.on('scenes:change', ({ scenes }) => {
+            this._applySceneEffects(this.scrollManager.getCurrentSceneDefinition());
+            this.choreography.setScenes(scenes);
         });
 
         // ==========================================
@@ -520,286 +685,96 @@ class Experience {
                 this.scrollProgressElement.style.width = `${scrollData.progress * 100}%`;
             }
 
-            // Apply camera position from ScrollManager
-            if (scrollData.cameraPosition && scrollData.lookAtTarget) {
-                this.camera.position.copy(scrollData.cameraPosition);
-                this.camera.lookAt(scrollData.lookAtTarget);
+            // Property tracks follow the scroll position
+            if (this.propertyTracks) {
+                this.propertyTracks.update(scrollData.progress);
             }
 
-            // Continuous scene-specific updates
-            this._updateSceneEffects(scrollData);
+            // So does the overlay content
+            this.choreography.update(scrollData.progress);
         });
     }
 
     /**
-     * Apply effects when entering a scene
+     * Apply effects when entering a scene. The keys are the timeline's
+     * effect fields, always complete (omitted ones are filled in from
+     * Timeline.js EFFECT_DEFAULTS), so every effect is set on each enter
+     * and the result doesn't depend on the scene we came from. Anything
+     * animated or crossfaded between scenes (particle color, bloom, fog,
+     * tint) is a property track or scene look instead (see PropertyTracks.js).
      * @param {Object} scene - Scene definition with effects
      * @private
      */
     _applySceneEffects(scene) {
-        if (!scene || !scene.effects) return;
-
-        const effects = scene.effects;
-
-        // Update particle color
-        if (effects.particleColor && this.world.particles) {
-            gsap.to(this.world.particles.material.uniforms.uColor.value, {
-                r: effects.particleColor.r,
-                g: effects.particleColor.g,
-                b: effects.particleColor.b,
-                duration: 1.5,
-                ease: 'power2.out'
-            });
-        }
-
-        // Update bloom strength
-        if (effects.bloomStrength !== undefined && this.passes.bloom) {
-            gsap.to(this.passes.bloom, {
-                strength: effects.bloomStrength,
-                duration: 1.0,
-                ease: 'power2.out'
-            });
+        // End the previous scene's held shake
+        if (this._sceneShake) {
+            this.app.cameraManager.releaseShake(this._sceneShake);
+            this._sceneShake = null;
         }
 
-        // Update fog density
-        if (effects.fogDensity !== undefined && this.world.environment) {
-            const fogFar = 30 + (1 - effects.fogDensity) * 50;
-            gsap.to(this.scene.fog, {
-                far: fogFar,
-                duration: 1.5,
-                ease: 'power2.out'
-            });
-        }
-
-        // Scene tint via vignette pass
-        if (effects.tint && this.passes.vignette) {
-            // Apply underwater tint effect
-            this.passes.vignette.setTint(effects.tint.r, effects.tint.g, effects.tint.b);
-        }
-    }
-
-    /**
-     * Continuous updates based on scroll progress
-     * @param {Object} scrollData - Current scroll state
-     * @private
-     */
-    _updateSceneEffects(scrollData) {
-        const { scene, localProgress, sceneDefinition } = scrollData;
-
-        // Orbital scene: rotate glass cards with camera
-        if (scene === 'orbital' && sceneDefinition?.effects?.cardsOrbit) {
-            if (this.world.glassCards) {
-                const { startAngle, endAngle } = sceneDefinition.camera;
-                const angle = startAngle + (endAngle - startAngle) * localProgress;
-
-                // Rotate cards container opposite to camera for dramatic effect
-                this.world.glassCards.getGroup().rotation.y = -angle * 0.3;
-            }
-        }
-    }
-
-    /**
-     * Hero scene effects
-     * @private
-     */
-    _onEnterHeroScene() {
-        // Reset everything to initial state
-        if (this.world.spineModel) {
-            gsap.to(this.world.spineModel.getGroup().scale, {
-                x: 0,
-                y: 0,
-                z: 0,
-                duration: 0.5,
-                ease: 'power2.out'
-            });
-        }
-
-        if (this.world.glassCards) {
-            gsap.to(this.world.glassCards.getGroup().rotation, {
-                y: 0,
-                duration: 1,
-                ease: 'power2.out'
-            });
-        }
-
-        // Clear any tint
-        if (this.passes.vignette) {
-            this.passes.vignette.clearTint();
-        }
-    }
-
-    /**
-     * Underwater dive scene effects
-     * @private
-     */
-    _onEnterUnderwaterScene() {
-        // Show water surface with animation
-        if (this.world.waterSurface) {
-            this.world.waterSurface.show(1.5);
-        }
+        if (!scene || !scene.effects) return;
 
-        // Subtle camera shake effect
-        if (this.app.cameraManager) {
-            this.app.cameraManager.shake(0.1, 0.5);
-        }
+        const effects = scene.effects;
 
-        // Increase chromatic aberration
-        if (this.passes.chromatic) {
-            gsap.to(this.passes.chromatic, {
-                intensity: 0.008,
-                duration: 1,
-                ease: 'power2.out'
-            });
+        // Camera shake preset (see ShakePresets); held ones
+        // (hold: Infinity) run until the scene is left
+        if (effects.shake) {
+            this._sceneShake = this.app.cameraManager.shake(effects.shake);
         }
-    }
 
-    /**
-     * Spine reveal scene effects
-     * @private
-     */
-    _onEnterSpineRevealScene() {
-        // Hide water surface
-        if (this.world.waterSurface) {
-            this.world.waterSurface.hide(1.0);
+        // Depth of field autofocus target (null = manual focus)
+        if (this.passes.dof) {
+            this._applyFocus(effects.focus);
         }
 
-        // Reveal the spine model
+        // Spine idle rotation
         if (this.world.spineModel) {
-            const group = this.world.spineModel.getGroup();
-
-            // Entrance animation
-            gsap.fromTo(group.scale,
-                { x: 0, y: 0, z: 0 },
-                {
-                    x: 1,
-                    y: 1,
-                    z: 1,
-                    duration: 1.5,
-                    ease: 'elastic.out(1, 0.5)'
-                }
-            );
-
-            // Start auto-rotation
-            this.world.spineModel.setAutoRotate(true);
-        }
-
-        // Clear underwater tint
-        if (this.passes.vignette) {
-            this.passes.vignette.clearTint();
-        }
-
-        // Reset chromatic aberration
-        if (this.passes.chromatic) {
-            gsap.to(this.passes.chromatic, {
-                intensity: 0.003,
-                duration: 1,
-                ease: 'power2.out'
-            });
-        }
-    }
-
-    /**
-     * Orbital camera scene effects
-     * @private
-     */
-    _onEnterOrbitalScene() {
-        // Spread glass cards outward
-        if (this.world.glassCards) {
-            const cards = this.world.glassCards.getCards();
-            cards.forEach((card, i) => {
-                const angle = (i / cards.length) * Math.PI * 2;
-                const radius = 6;
-
-                gsap.to(card.position, {
-                    x: Math.cos(angle) * radius,
-                    z: Math.sin(angle) * radius,
-                    duration: 1.5,
-                    ease: 'power3.out'
-                });
-            });
-        }
-
-        // Increase bloom for dramatic effect
-        if (this.passes.bloom) {
-            gsap.to(this.passes.bloom, {
-                radius: 0.6,
-                threshold: 0.7,
-                duration: 1,
-                ease: 'power2.out'
-            });
+            this.world.spineModel.setAutoRotate(effects.spineAutoRotate);
         }
     }
 
     /**
-     * Final reveal scene effects
+     * Resolve a scene focus value to something DOFPass can track
+     * - 'spine'        the spine model
+     * - 'cards'        the glass card group
+     * - 'card:<index>' a single glass card
+     * - {x, y, z}      a fixed point
+     * - null           manual focus
+     * @param {string|Object|null} focus
+     * @returns {THREE.Object3D|THREE.Vector3|null}
      * @private
      */
-    _onEnterFinalScene() {
-        // Bring glass cards back together
-        if (this.world.glassCards) {
-            const cards = this.world.glassCards.getCards();
-            cards.forEach((card, i) => {
-                gsap.to(card.position, {
-                    x: (i - 1) * 5,
-                    z: 0,
-                    duration: 1.5,
-                    ease: 'power3.out'
-                });
-            });
+    _resolveFocusTarget(focus) {
+        if (!focus) return null;
 
-            // Reset rotation
-            gsap.to(this.world.glassCards.getGroup().rotation, {
-                y: 0,
-                duration: 1,
-                ease: 'power2.out'
-            });
+        if (typeof focus === 'object') {
+            return new THREE.Vector3(focus.x || 0, focus.y || 0, focus.z || 0);
         }
 
-        // Stop spine rotation for final pose
-        if (this.world.spineModel) {
-            this.world.spineModel.setAutoRotate(false);
-
-            // Final pose rotation
-            gsap.to(this.world.spineModel.getGroup().rotation, {
-                y: Math.PI * 0.25,
-                duration: 2,
-                ease: 'power2.out'
-            });
-        }
+        const [name, index] = focus.split(':');
 
-        // Reset bloom
-        if (this.passes.bloom) {
-            gsap.to(this.passes.bloom, {
-                radius: 0.4,
-                threshold: 0.85,
-                duration: 1,
-                ease: 'power2.out'
-            });
-        }
-    }
-
-    /**
-     * Show section content with animation
-     * @param {string} sectionId - Section data attribute value
-     * @private
-     */
-    _showSectionContent(sectionId) {
-        const section = document.querySelector(`[data-section="${sectionId}"] .section-content`);
-        if (section) {
-            section.classList.add('visible');
+        switch (name) {
+            case 'spine':
+                return this.world.spineModel ? this.world.spineModel.getGroup() : null;
+            case 'cards':
+                return this.world.glassCards ? this.world.glassCards.getGroup() : null;
+            case 'card': {
+                const card = this.world.glassCards && this.world.glassCards.getCards()[Number(index)];
+                return card ? card.mesh : null;
+            }
+            default:
+                console.warn(`[Experience] Unknown focus target "${focus}"`);
+                return null;
         }
     }
 
     /**
-     * Hide section content with animation
-     * @param {string} sectionId - Section data attribute value
+     * Point the depth of field autofocus at a scene focus target
+     * @param {string|Object|null} focus - See _resolveFocusTarget()
      * @private
      */
-    _hideSectionContent(sectionId) {
-        const section = document.querySelector(`[data-section="${sectionId}"] .section-content`);
-        if (section) {
-            section.classList.remove('visible');
-        }
+    _applyFocus(focus) {
+        this.passes.dof.setFocusTarget(this._resolveFocusTarget(focus));
     }
 
     /**
@@ -808,9 +783,8 @@ class Experience {
      * @private
      */
     _handleMouseMove(event) {
-        // Normalize mouse coordinates to -1 to 1
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        // Normalize mouse coordinates to -1 to 1 (relative to this canvas)
+        this._normalizePointer(event.clientX, event.clientY, this.mouse);
 
         this._updateMouseWorld();
 
@@ -851,6 +825,11 @@ class Experience {
      * @private
      */
     _handleClick(event) {
+        // Ignore clicks over other canvases/page areas
+        if (!this._normalizePointer(event.clientX, event.clientY, this.mouse)) {
+            return;
+        }
+
         // Create ripple effect
         if (this.cursorEffects) {
             this.cursorEffects.createRipple(event.clientX, event.clientY);
@@ -860,7 +839,11 @@ class Experience {
         if (this.world.glassCards) {
             const intersects = this.world.glassCards.checkClick(this.raycaster);
             if (intersects.length > 0) {
-                console.log('[Experience] Card clicked:', intersects[0].object.userData);
+                const { card } = intersects[0].object.userData;
+                console.log('[Experience] Card clicked:', card);
+
+                this.app.cameraManager.shake('impact');
+                this.app.emit('card:click', card);
             }
         }
     }
@@ -891,20 +874,22 @@ class Experience {
         // Gradient Background
         // ==========================================
 
-        this._createGradientBackground();
+        this._addComponent('background', new GradientBackground({
+            seed: this.time.shaderSeed
+        }));
 
         // ==========================================
         // Environment (Fog)
         // ==========================================
 
-        this.world.environment = new Environment(this.scene, {
+        this._addComponent('environment', new Environment(this.scene, {
             ambientIntensity: 0.2,
             mainLightIntensity: 0.5,
             enableFog: true,
             fogColor: 0x000011,
             fogNear: 25,
             fogFar: 60
-        });
+        }));
 
         // ==========================================
         // Professional Lighting System
@@ -912,12 +897,14 @@ class Experience {
 
         this._reportProgress(40, 'Setting up lights...');
 
-        this.world.lightingSystem = new LightingSystem(this.scene, this.renderer, {
+        this._addComponent('lightingSystem', new LightingSystem(this.scene, this.renderer, {
             preset: 'dramatic',
             enableShadows: this.performanceManager.getQualityPreset().enableShadows !== false,
             shadowMapSize: this.performanceManager.getQualityPreset().shadowMapSize || 2048,
-            enableAnimatedLights: true
-        });
+            enableAnimatedLights: true,
+            random: this.time.random.fork('lighting'),
+            tweens: this.app.tweens
+        }));
 
         // ==========================================
         // GPU Particles
@@ -927,7 +914,7 @@ class Experience {
 
         const quality = this.performanceManager.getQualityPreset();
 
-        this.world.particles = new Particles(this.renderer, {
+        this._addComponent('particles', new Particles(this.renderer, {
             textureSize: quality.particleTextureSize || 224,
             boundsRadius: 15,
             size: 25,
@@ -942,9 +929,10 @@ class Experience {
             lifetimeMin: 4.0,
             lifetimeMax: 10.0,
             mouseRadius: 4.0,
-            mouseStrength: 8.0
-        });
-        this.scene.add(this.world.particles.getMesh());
+            mouseStrength: 8.0,
+            random: this.time.random.fork('particles'),
+            seed: this.time.shaderSeed
+        }));
 
         // ==========================================
         // Glassmorphic Cards
@@ -952,15 +940,14 @@ class Experience {
 
         this._reportProgress(60, 'Creating glass cards...');
 
-        this.world.glassCards = new GlassCards(this.renderer, {
+        this._addComponent('glassCards', new GlassCards(this.renderer, {
             cardWidth: 4,
             cardHeight: 5.5,
             cardDepth: 0.1,
             cornerRadius: 0.3,
-            cardCount: 3
-        });
-
-        this.scene.add(this.world.glassCards.getGroup());
+            cardCount: 3,
+            tweens: this.app.tweens
+        }));
 
         // ==========================================
         // 3D Model with Holographic Shader
@@ -968,10 +955,11 @@ class Experience {
 
         this._reportProgress(70, 'Loading 3D models...');
 
-        this.world.spineModel = new SpineModel();
-
-        // Add model group to scene (model loads async)
-        this.scene.add(this.world.spineModel.getGroup());
+        // Model group is added to the scene in init (model loads async)
+        this._addComponent('spineModel', new SpineModel({
+            seed: this.time.shaderSeed,
+            tweens: this.app.tweens
+        }));
 
         // ==========================================
         // Water Surface (Gerstner Waves)
@@ -979,7 +967,7 @@ class Experience {
 
         this._reportProgress(75, 'Creating water surface...');
 
-        this.world.waterSurface = new WaterSurface({
+        const waterSurface = new WaterSurface({
             width: 100,
             height: 100,
             widthSegments: 256,
@@ -990,117 +978,33 @@ class Experience {
             waterColorShallow: new THREE.Color(0x1a4d5c),
             waterColorFoam: new THREE.Color(0xffffff),
             lightDirection: new THREE.Vector3(0.5, 0.8, 0.3),
-            opacity: 0.85
+            opacity: 0.85,
+            seed: this.time.shaderSeed,
+            tweens: this.app.tweens
         });
 
         // Initially hidden (shown during underwater scene)
-        this.world.waterSurface.setVisible(false);
-        this.scene.add(this.world.waterSurface.getMesh());
+        waterSurface.setVisible(false);
+        this._addComponent('waterSurface', waterSurface);
 
         // ==========================================
         // Test Geometry (Central Sphere)
         // ==========================================
 
         this._reportProgress(80, 'Creating test geometry...');
-        this._createTestGeometry();
-
-        // ==========================================
-        // Setup Debug Controls
-        // ==========================================
-
-        this._reportProgress(90, 'Setting up debug controls...');
-
-        if (this.debug) {
-            this._setupDebugControls();
-        }
-    }
-
-    /**
-     * Create animated gradient background
-     * @private
-     */
-    _createGradientBackground() {
-        const bgGeometry = new THREE.PlaneGeometry(2, 2);
-        const bgMaterial = new THREE.ShaderMaterial({
-            vertexShader: backgroundVertexShader,
-            fragmentShader: backgroundFragmentShader,
-            uniforms: {
-                uTime: { value: 0 },
-                uColorTop: { value: new THREE.Color(0x000022) },
-                uColorMiddle: { value: new THREE.Color(0x000044) },
-                uColorBottom: { value: new THREE.Color(0x000011) },
-                uNoiseScale: { value: 2.5 },
-                uNoiseSpeed: { value: 0.15 },
-                uNebulaIntensity: { value: 0.3 },
-                uStarDensity: { value: 0.003 },
-                uGrainIntensity: { value: 0.03 }
-            },
-            depthTest: false,
-            depthWrite: false
-        });
-
-        this.backgroundMesh = new THREE.Mesh(bgGeometry, bgMaterial);
-        this.backgroundMesh.frustumCulled = false;
-        this.backgroundMesh.renderOrder = -1000;
-
-        // Create separate background scene
-        this.backgroundScene = new THREE.Scene();
-        this.backgroundCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
-        this.backgroundScene.add(this.backgroundMesh);
+        this._addComponent('testGeometry', new TestGeometry({ tweens: this.app.tweens }));
     }
 
     /**
-     * Create test geometry for visual reference
+     * Register a world component and expose it on this.world
+     * @param {string} name - Component name
+     * @param {Object} component - Component instance
+     * @returns {Object} The component
      * @private
      */
-    _createTestGeometry() {
-        // Central sphere with standard material
-        const sphereGeometry = new THREE.IcosahedronGeometry(0.6, 2);
-        const sphereMaterial = new THREE.MeshStandardMaterial({
-            color: 0x4488ff,
-            metalness: 0.8,
-            roughness: 0.15,
-            envMapIntensity: 1.0,
-            emissive: 0x112244,
-            emissiveIntensity: 0.5
-        });
-
-        this.testSphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-        this.testSphere.position.set(0, 0, 0);
-        this.testSphere.castShadow = true;
-        this.testSphere.receiveShadow = true;
-        this.scene.add(this.testSphere);
-
-        // Wireframe overlay
-        const wireGeometry = new THREE.IcosahedronGeometry(0.65, 2);
-        const wireMaterial = new THREE.MeshBasicMaterial({
-            color: 0x88ccff,
-            wireframe: true,
-            transparent: true,
-            opacity: 0.4
-        });
-
-        this.testWireframe = new THREE.Mesh(wireGeometry, wireMaterial);
-        this.testWireframe.position.copy(this.testSphere.position);
-        this.scene.add(this.testWireframe);
-
-        // Entrance animation
-        gsap.from(this.testSphere.scale, {
-            x: 0,
-            y: 0,
-            z: 0,
-            duration: 1.5,
-            ease: 'elastic.out(1, 0.5)'
-        });
-
-        gsap.from(this.testWireframe.scale, {
-            x: 0,
-            y: 0,
-            z: 0,
-            duration: 1.5,
-            ease: 'elastic.out(1, 0.5)',
-            delay: 0.1
-        });
+    _addComponent(name, component) {
+        this.world[name] = this.components.register(name, component);
+        return component;
     }
 
     /**
@@ -1129,13 +1033,8 @@ class Experience {
             this.passes.fxaa.enabled = preset.enableFXAA !== false;
         }
 
-        // Update shadows
-        if (this.world.lightingSystem) {
-            this.world.lightingSystem.setShadowsEnabled(preset.enableShadows !== false);
-            if (preset.shadowMapSize) {
-                this.world.lightingSystem.setShadowMapSize(preset.shadowMapSize);
-            }
-        }
+        // Let world components adapt (shadows, etc.)
+        this.components.qualityChange(data);
 
         // Update pixel ratio
         if (preset.pixelRatio) {
@@ -1156,7 +1055,7 @@ class Experience {
 
         const perfParams = {
             quality: this.performanceManager.currentLevel,
-            autoAdjust: true
+            autoAdjust: this.performanceManager.adaptiveQuality
         };
 
         perfFolder.add(perfParams, 'quality', Object.values(QualityLevels))
@@ -1169,14 +1068,149 @@ class Experience {
             this.performanceManager.setAutoAdjust(value);
         });
 
+        // ==========================================
+        // Time Controls
+        // ==========================================
+
+        const timeFolder = this.debug.addFolder('Time');
+
+        const timeParams = {
+            paused: this.app.time.isPaused,
+            timeScale: this.app.time.timeScale,
+            seek: 0,
+            step: () => this.app.time.step()
+        };
+
+        timeFolder.add(timeParams, 'paused').name('Paused').onChange((value) => {
+            if (value) {
+                this.pause();
+            } else {
+                this.resume();
+            }
+        });
+
+        timeFolder.add(timeParams, 'timeScale', 0, 2, 0.05).name('Time Scale').onChange((value) => {
+            this.setTimeScale(value);
+        });
+
+        timeFolder.add(timeParams, 'seek', 0, 120, 0.1).name('Seek (s)').onFinishChange((value) => {
+            this.seek(value);
+        });
+
+        timeFolder.add(timeParams, 'step').name('Step Frame');
+
+        // Frame budget share for scheduled tasks (captures, compute)
+        const scheduler = this.app.time.scheduler;
+        timeFolder.add(scheduler, 'budgetRatio', 0.1, 1, 0.05).name('Task Budget').onChange(() => {
+            scheduler.setTargetFPS(this.performanceManager.targetFPS);
+        });
+
+        // ==========================================
+        // Export Controls
+        // ==========================================
+
+        const exportFolder = this.debug.addFolder('Export');
+
+        const exportParams = {
+            width: 1920,
+            height: 1080,
+            fps: 60,
+            duration: 20,
+            format: 'webm',
+            record: () => {
+                this.record({
+                    width: exportParams.width,
+                    height: exportParams.height,
+                    fps: exportParams.fps,
+                    duration: exportParams.duration,
+                    format: exportParams.format
+                }).catch(error => console.error('[Experience] Recording failed:', error));
+            },
+            cancel: () => this.videoExporter.cancel()
+        };
+
+        exportFolder.add(exportParams, 'width', 320, 4096, 1).name('Width');
+        exportFolder.add(exportParams, 'height', 240, 4096, 1).name('Height');
+        exportFolder.add(exportParams, 'fps', [24, 30, 60]).name('FPS');
+        exportFolder.add(exportParams, 'duration', 1, 120, 1).name('Duration (s)');
+        exportFolder.add(exportParams, 'format', ['webm', 'png']).name('Format');
+        exportFolder.add(exportParams, 'record').name('Record');
+        exportFolder.add(exportParams, 'cancel').name('Cancel');
+
+        const posterParams = {
+            width: 7680,
+            height: 4320,
+            capture: () => {
+                this.captureScreenshot({
+                    width: posterParams.width,
+                    height: posterParams.height
+                }).catch(error => console.error('[Experience] Screenshot failed:', error));
+            }
+        };
+
+        exportFolder.add(posterParams, 'width', 640, 16384, 1).name('Poster Width');
+        exportFolder.add(posterParams, 'height', 480, 16384, 1).name('Poster Height');
+        exportFolder.add(posterParams, 'capture').name('Capture Poster');
+        exportFolder.close();
+
+        // ==========================================
+        // Scroll Controls
+        // ==========================================
+
+        const scrollFolder = this.debug.addFolder('Scroll');
+        scrollFolder.add(this.scrollManager, 'mode', ['free', 'paginated'])
+            .name('Mode')
+            .onChange(mode => this.scrollManager.setMode(mode));
+        scrollFolder.add(this.scrollManager, 'pageDuration', 0.3, 3, 0.1).name('Page Duration');
+        scrollFolder.add(this.velocityEffects, 'enabled').name('Velocity Effects');
+        scrollFolder.add(this.velocityEffects, 'speed').name('Speed (vh/s)').listen().disable();
+        scrollFolder.close();
+
         // ==========================================
         // Camera Controls
         // ==========================================
 
+        const cameraManager = this.app.cameraManager;
         const cameraFolder = this.debug.addFolder('Camera');
-        cameraFolder.add(this.app.cameraManager, 'lerpFactor', 0.01, 0.2).name('Lerp Factor');
-        cameraFolder.add(this.app.cameraManager, 'parallaxIntensity', 0, 2).name('Parallax');
-        cameraFolder.add(this.app.cameraManager, 'parallaxEnabled').name('Enable Parallax');
+        cameraFolder.add(cameraManager.parallax, 'lerpFactor', 0.01, 0.2).name('Parallax Smoothing');
+        cameraFolder.add(cameraManager.parallax, 'intensity', 0, 2).name('Parallax');
+        cameraFolder.add(cameraManager.parallax, 'enabled').name('Enable Parallax');
+
+        // Layer weights of the controller stack
+        ['scrollPath', 'parallax', 'tilt', 'pinch', 'shake'].forEach(name => {
+            const controller = cameraManager.getController(name);
+            if (!controller) return;
+
+            cameraFolder.add(controller, 'weight', 0, 1, 0.01)
+                .name(`Weight: ${name}`)
+                .onChange(value => controller.setWeight(value));
+        });
+
+        // Shake presets
+        const shakeParams = { preset: 'impact', trauma: 0.5 };
+        shakeParams.trigger = () => cameraManager.addTrauma(shakeParams.trauma, shakeParams.preset);
+        shakeParams.stop = () => cameraManager.shaker.stop();
+
+        cameraFolder.add(shakeParams, 'preset', Object.keys(ShakePresets)).name('Shake Preset');
+        cameraFolder.add(shakeParams, 'trauma', 0, 1, 0.05).name('Shake Trauma');
+        cameraFolder.add(shakeParams, 'trigger').name('Add Trauma');
+        cameraFolder.add(shakeParams, 'stop').name('Stop Shake');
+
+        // Free camera for authoring camera paths
+        const freeCameraParams = {
+            mode: 'off',
+            saveViewpoint: () => this._saveViewpoint()
+        };
+
+        cameraFolder.add(freeCameraParams, 'mode', ['off', 'orbit', 'fly'])
+            .name('Free Camera')
+            .onChange(mode => {
+                cameraManager.setFreeCamera(mode === 'off' ? null : mode);
+
+                // The free camera takes over the wheel and keys
+                this.scrollManager.inputEnabled = mode === 'off';
+            });
+        cameraFolder.add(freeCameraParams, 'saveViewpoint').name('Save Viewpoint');
 
         // ==========================================
         // Post-Processing Controls
@@ -1189,7 +1223,7 @@ class Experience {
             enabled: this.postProcessingEnabled
         };
         postFolder.add(postParams, 'enabled').name('Enable All').onChange((value) => {
-            this.postProcessingEnabled = value;
+            this.setPostProcessingEnabled(value);
         });
 
         // Bloom controls
@@ -1199,6 +1233,12 @@ class Experience {
         bloomFolder.add(this.passes.bloom, 'radius', 0, 1).name('Radius');
         bloomFolder.add(this.passes.bloom, 'threshold', 0, 1).name('Threshold');
 
+        // Motion Blur controls (the amount follows scroll speed)
+        const motionBlurFolder = postFolder.addFolder('Motion Blur');
+        motionBlurFolder.add(this.passes.motionBlur, 'active').name('Enable').onChange((value) => {
+            this.passes.motionBlur.setActive(value);
+        });
+
         // Chromatic Aberration controls
         const chromaticFolder = postFolder.addFolder('Chromatic Aberration');
         chromaticFolder.add(this.passes.chromatic, 'enabled').name('Enable');
@@ -1222,7 +1262,8 @@ class Experience {
             focus: 0.5,
             aperture: 0.015,
             maxBlur: 0.015,
-            focusRange: 3.0
+            focusRange: 3.0,
+            autofocus: 'off'
         };
         dofFolder.add(dofParams, 'focus', 0, 1).name('Focus Distance').onChange((value) => {
             this.passes.dof.setFocus(value);
@@ -1233,6 +1274,10 @@ class Experience {
         dofFolder.add(dofParams, 'maxBlur', 0, 0.05).name('Max Blur').onChange((value) => {
             this.passes.dof.setMaxBlur(value);
         });
+        dofFolder.add(dofParams, 'autofocus', ['off', 'spine', 'cards', 'card:0', 'card:1', 'card:2'])
+            .name('Autofocus')
+            .onChange((value) => this._applyFocus(value === 'off' ? null : value));
+        dofFolder.add(this.passes.dof, 'focusSpeed', 0.01, 1).name('Focus Speed');
 
         // Vignette controls
         const vignetteFolder = postFolder.addFolder('Vignette & Color');
@@ -1372,6 +1417,30 @@ class Experience {
         });
     }
 
+    /**
+     * Log the current camera viewpoint in timeline camera shape
+     * ({positionStart, lookAtStart}), copy it to the clipboard and emit
+     * it as 'camera:viewpoint' on the app
+     * @returns {Object} The viewpoint
+     * @private
+     */
+    _saveViewpoint() {
+        const viewpoint = this.app.cameraManager.getViewpoint();
+        const json = JSON.stringify(viewpoint, null, 4);
+
+        console.log(`%c[Experience] Viewpoint (${this.scrollManager.currentScene}):\n${json}`, 'color: #44aaff;');
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(json).catch(() => {
+                // Clipboard needs focus/permission - the console copy is enough
+            });
+        }
+
+        this.app.emit('camera:viewpoint', viewpoint);
+
+        return viewpoint;
+    }
+
     /**
      * Pause the experience
      */
@@ -1394,91 +1463,85 @@ class Experience {
         console.log('%c[Experience] Resumed', 'color: #88ff88;');
     }
 
+    /**
+     * Set playback speed of all time-driven animation
+     * @param {number} scale - Speed multiplier (1 = normal, 0.25 = slow motion)
+     */
+    setTimeScale(scale) {
+        this.app.time.setTimeScale(scale);
+    }
+
+    /**
+     * Jump to an absolute animation time
+     * @param {number} time - Elapsed time in seconds
+     */
+    seek(time) {
+        this.app.time.seek(time);
+    }
+
+    /**
+     * Record the scroll experience to a WebM video or PNG sequence zip
+     * @param {Object} options - See VideoExporter.record()
+     * @returns {Promise<Blob>}
+     */
+    record(options = {}) {
+        return this.videoExporter.record(options);
+    }
+
+    /**
+     * Capture a high-resolution still (rendered in tiles)
+     * @param {Object} options - {width, height, progress, ...} - see ScreenshotCapture.capture()
+     * @returns {Promise<Blob>} PNG image
+     */
+    captureScreenshot(options = {}) {
+        return this.screenshotCapture.capture(options);
+    }
+
+    /**
+     * Render a tile of a larger image instead of the full view.
+     * Camera, screen-space passes and components all follow the tile.
+     * @param {Object|null} view - Tile {fullWidth, fullHeight, x, y, width, height, scale},
+     *                             or null for the full view
+     */
+    setViewOffset(view) {
+        this.app.cameraManager.setViewOffset(view);
+
+        Object.values(this.passes).forEach(pass => {
+            if (typeof pass.setViewOffset === 'function') {
+                pass.setViewOffset(view);
+            }
+        });
+
+        this.components.viewOffset(view);
+    }
+
     /**
      * Update loop - called every frame
+     * Rendering happens afterwards in App, through the render pipeline.
      * @param {Object} data - Update data with deltaTime and elapsedTime
      * @private
      */
     _update({ deltaTime, elapsedTime }) {
-        if (this._isPaused) return;
+        // While paused, Time keeps ticking with deltaTime 0, so the frozen
+        // frame is still rendered (and scroll/seek changes stay visible)
 
         // Update scroll manager (must be called every frame for smooth scrolling)
         if (this.scrollManager) {
             this.scrollManager.update(deltaTime);
         }
 
+        // Scroll speed effects follow the scroll manager's velocity
+        if (this.velocityEffects) {
+            this.velocityEffects.update(this.scrollManager, deltaTime);
+        }
+
         // Update performance manager
         if (this.performanceManager) {
             this.performanceManager.update(deltaTime);
         }
 
-        // Update background shader time
-        if (this.backgroundMesh) {
-            this.backgroundMesh.material.uniforms.uTime.value = elapsedTime;
-        }
-
-        // Update world components
-        if (this.world.environment) {
-            this.world.environment.update(elapsedTime);
-        }
-
-        // Update lighting system
-        if (this.world.lightingSystem) {
-            this.world.lightingSystem.update(elapsedTime, deltaTime);
-        }
-
-        // Update particles with deltaTime and camera
-        if (this.world.particles) {
-            this.world.particles.update(elapsedTime, deltaTime, this.camera);
-        }
-
-        // Capture background for glass refraction effect
-        if (this.world.glassCards) {
-            this.world.glassCards.captureBackground(this.scene, this.camera);
-            this.world.glassCards.update(elapsedTime, deltaTime);
-        }
-
-        // Update 3D model
-        if (this.world.spineModel) {
-            this.world.spineModel.update(elapsedTime, deltaTime);
-        }
-
-        // Update water surface
-        if (this.world.waterSurface) {
-            this.world.waterSurface.update(elapsedTime, deltaTime);
-        }
-
-        // Animate test geometry
-        if (this.testSphere) {
-            this.testSphere.rotation.x += deltaTime * 0.3;
-            this.testSphere.rotation.y += deltaTime * 0.5;
-            this.testSphere.position.y = Math.sin(elapsedTime) * 0.15;
-        }
-
-        if (this.testWireframe) {
-            this.testWireframe.rotation.copy(this.testSphere.rotation);
-            this.testWireframe.position.copy(this.testSphere.position);
-        }
-
-        // ==========================================
-        // Render
-        // ==========================================
-
-        // Render background first
-        if (this.backgroundScene && this.backgroundCamera) {
-            this.renderer.autoClear = false;
-            this.renderer.clear();
-            this.renderer.render(this.backgroundScene, this.backgroundCamera);
-        }
-
-        // Render main scene with post-processing
-        if (this.postProcessingEnabled && this.composer) {
-            this.composer.render(deltaTime);
-        } else {
-            this.renderer.render(this.scene, this.camera);
-        }
-
-        this.renderer.autoClear = true;
+        // Update world components (registration order)
+        this.components.update(elapsedTime, deltaTime);
     }
 
     /**
@@ -1489,8 +1552,14 @@ class Experience {
     _onResize(sizes) {
         const { width, height, pixelRatio } = sizes;
 
-        // Update composer size
+        // Scene framing fits the new aspect ratio
+        if (this.scrollManager) {
+            this.scrollManager.setAspect(width / height);
+        }
+
+        // Update composer size (its targets follow the render pixel ratio)
         if (this.composer) {
+            this.composer.setPixelRatio(pixelRatio);
             this.composer.setSize(width, height);
         }
 
@@ -1512,10 +1581,8 @@ class Experience {
             this.passes.vignette.setSize(width, height);
         }
 
-        // Update glass cards
-        if (this.world.glassCards) {
-            this.world.glassCards.handleResize(width, height);
-        }
+        // Update world components
+        this.components.resize(sizes);
     }
 
     /**
@@ -1524,6 +1591,7 @@ class Experience {
      */
     setPostProcessingEnabled(enabled) {
         this.postProcessingEnabled = enabled;
+        this.app.rendererManager.setComposerEnabled(enabled);
     }
 
     /**
@@ -1535,23 +1603,84 @@ class Experience {
         return this.passes[name];
     }
 
+    // ==========================================
+    // State Persistence
+    // ==========================================
+
+    /**
+     * Get a serializable snapshot of the experience state
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            progress: this.scrollManager ? this.scrollManager.progress : 0,
+            scene: this.scrollManager ? this.scrollManager.currentScene : 'hero',
+            quality: this.performanceManager.currentQuality,
+            adaptiveQuality: this.performanceManager.adaptiveQuality,
+            elapsedTime: this.time.elapsedTime,
+            timeScale: this.time.timeScale,
+            paused: this.time.isPaused,
+            seed: this.time.seed
+        };
+    }
+
+    /**
+     * Apply a state snapshot from getState()
+     * @param {Object} state
+     * @param {boolean} [restoreScroll=true] - Also move the scroll position
+     * @private
+     */
+    _restoreState(state, restoreScroll = true) {
+        this.time.seek(state.elapsedTime);
+        this.time.setTimeScale(state.timeScale);
+
+        if (state.paused) {
+            this.pause();
+        }
+
+        if (this.scrollManager) {
+            this.scrollManager.restoreProgress(state.progress, restoreScroll);
+        }
+
+        console.log(`%c[Experience] Restored state for "${this.id}" (${state.scene})`, 'color: #ffff44;');
+    }
+
     /**
-     * Get the singleton instance
-     * @returns {Experience|null}
+     * Get the state saved for an experience id
+     * @param {string} id
+     * @returns {Object|undefined}
      */
-    static getInstance() {
-        return Experience.instance;
+    static getSavedState(id) {
+        return savedStates.get(id);
+    }
+
+    /**
+     * Forget saved state (all ids if none given)
+     * @param {string} [id]
+     */
+    static clearSavedState(id) {
+        if (id === undefined) {
+            savedStates.clear();
+        } else {
+            savedStates.delete(id);
+        }
     }
 
     /**
      * Clean up all resources
+     * State is saved first so a new instance with the same id can restore it.
      */
     dispose() {
         console.log('%c[Experience] Disposing...', 'color: #ffff44;');
 
+        savedStates.set(this.id, this.getState());
+
+        // Stop any recording in progress
+        this.videoExporter.cancel();
+
         // Remove mouse events
         window.removeEventListener('mousemove', this._handleMouseMove);
-        window.removeEventListener('mouseleave', this._handleMouseLeave);
+        document.removeEventListener('mouseleave', this._handleMouseLeave);
         window.removeEventListener('click', this._handleClick);
 
         // Dispose cursor effects
@@ -1564,59 +1693,41 @@ class Experience {
             this.mobileSupport.dispose();
         }
 
-        // Dispose scroll manager
-        if (this.scrollManager) {
-            this.scrollManager.dispose();
-        }
-
-        // Dispose performance manager
-        if (this.performanceManager) {
-            this.performanceManager.dispose();
-        }
-
-        // Dispose world components
-        if (this.world.environment) {
-            this.world.environment.dispose();
-        }
-
-        if (this.world.lightingSystem) {
-            this.world.lightingSystem.dispose();
-        }
-
-        if (this.world.particles) {
-            this.world.particles.dispose();
+        // Stop following timeline edits
+        if (this._removeTimelineListener) {
+            this._removeTimelineListener();
         }
 
-        if (this.world.glassCards) {
-            this.world.glassCards.dispose();
+        if (this.propertyTracks) {
+            this.propertyTracks.dispose();
         }
 
-        if (this.world.spineModel) {
-            this.world.spineModel.dispose();
+        if (this.velocityEffects) {
+            this.velocityEffects.dispose();
         }
 
-        if (this.world.waterSurface) {
-            this.world.waterSurface.dispose();
+        if (this.choreography) {
+            this.choreography.dispose();
         }
 
-        // Dispose test geometry
-        if (this.testSphere) {
-            this.testSphere.geometry.dispose();
-            this.testSphere.material.dispose();
+        // Dispose scroll manager
+        if (this.scrollManager) {
+            this.scrollManager.dispose();
         }
 
-        if (this.testWireframe) {
-            this.testWireframe.geometry.dispose();
-            this.testWireframe.material.dispose();
+        // Dispose performance manager
+        if (this.performanceManager) {
+            this.performanceManager.dispose();
         }
 
-        // Dispose background
-        if (this.backgroundMesh) {
-            this.backgroundMesh.geometry.dispose();
-            this.backgroundMesh.material.dispose();
-        }
+        // Dispose world components
+        this.components.dispose();
+        this.world = {};
 
         // Dispose post-processing
+        if (this.passes.motionBlur) {
+            this.passes.motionBlur.dispose();
+        }
         if (this.passes.chromatic) {
             this.passes.chromatic.dispose();
         }
@@ -1627,14 +1738,13 @@ class Experience {
             this.passes.vignette.dispose();
         }
         if (this.composer) {
+            this.app.rendererManager.setComposer(null);
             this.composer.dispose();
         }
 
         // Dispose app
         this.app.dispose();
 
-        Experience.instance = null;
-
         console.log('%c[Experience] Disposed', 'color: #ffff44;');
     }
 }
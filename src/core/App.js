@@ -1,41 +1,51 @@
 /**
  * App.js
- * Main Application Class - Singleton Pattern
+ * Main Application Class
  *
- * Central hub for the entire 3D experience.
+ * Central hub for one 3D canvas.
  * Manages initialization, update loop, and cleanup.
  * Uses event-driven architecture for communication between modules.
+ *
+ * Several App instances can live on one page (one per canvas). Each owns
+ * its scene, camera, renderer, clock and tween timeline, and sizes
+ * itself from its canvas element rather than the window.
  */
 
 import * as THREE from 'three';
 import { EventEmitter } from './EventEmitter.js';
 import { Time } from './Time.js';
+import { Tweens } from './Tweens.js';
 import { SceneManager } from './Scene.js';
 import { CameraManager } from './Camera.js';
-import { RendererManager } from './Renderer.js';
+import { RendererManager, RenderStage } from './Renderer.js';
 import { Debug } from '../utils/Debug.js';
 
 /**
  * @class App
  * @extends EventEmitter
- * @description Main application singleton that orchestrates all 3D components
+ * @description Orchestrates the core 3D systems for one canvas
  */
 class App extends EventEmitter {
-    /** @type {App|null} Singleton instance */
-    static instance = null;
+    /** @type {Set<App>} Live instances */
+    static instances = new Set();
 
     /**
-     * Creates or returns the singleton App instance
-     * @param {HTMLCanvasElement} [canvas] - Canvas element for WebGL rendering
+     * Create an App for a canvas
+     * @param {HTMLCanvasElement} canvas - Canvas element for WebGL rendering
+     * @param {Object} [options] - App configuration
+     * @param {Object} [options.time] - Time options (fixedStep, seed, autoStart)
+     * @param {boolean} [options.debug] - Enable debug GUI (default: ?debug in URL)
+     * @param {string} [options.name] - Instance name (used for debug GUI title)
      */
-    constructor(canvas) {
-        // Singleton pattern - return existing instance if available
-        if (App.instance) {
-            return App.instance;
-        }
-
+    constructor(canvas, options = {}) {
         super();
-        App.instance = this;
+
+        const {
+            debug = Debug.isActive(),
+            name = canvas.id || 'App'
+        } = options;
+
+        App.instances.add(this);
 
         // ==========================================
         // Core Properties
@@ -44,15 +54,17 @@ class App extends EventEmitter {
         /** @type {HTMLCanvasElement} */
         this.canvas = canvas;
 
-        /** @type {Object} Viewport dimensions */
-        this.sizes = {
-            width: window.innerWidth,
-            height: window.innerHeight,
-            pixelRatio: Math.min(window.devicePixelRatio, 2)
-        };
+        /** @type {string} Instance name */
+        this.name = name;
+
+        /** @type {Object|null} Fixed render size overriding the canvas size (exports) */
+        this.fixedSize = null;
+
+        /** @type {Object} Canvas dimensions (CSS pixels) */
+        this.sizes = this._measure();
 
         /** @type {boolean} Debug mode flag */
-        this.debug = window.location.hash === '#debug';
+        this.debug = debug;
 
         // ==========================================
         // Initialize Core Systems
@@ -60,12 +72,15 @@ class App extends EventEmitter {
 
         // Debug GUI (only in debug mode)
         if (this.debug) {
-            this.debugUI = new Debug();
+            this.debugUI = new Debug({ title: `Debug Controls - ${name}` });
             console.log('%c[DEBUG MODE ENABLED]', 'color: #00ff00; font-weight: bold;');
         }
 
         // Time tracking system
-        this.time = new Time();
+        this.time = new Time(options.time);
+
+        /** @type {Tweens} This app's tweens: follow pause, timeScale and fixed steps, not the wall clock */
+        this.tweens = new Tweens();
 
         // Scene manager
         this.sceneManager = new SceneManager();
@@ -76,7 +91,10 @@ class App extends EventEmitter {
             fov: 45,
             near: 0.1,
             far: 100,
-            position: { x: 0, y: 0, z: 10 }
+            position: { x: 0, y: 0, z: 10 },
+            random: this.time.random.fork('camera'),
+            aspect: this.sizes.width / this.sizes.height,
+            domElement: this.canvas
         });
         this.camera = this.cameraManager.getCamera();
 
@@ -84,16 +102,35 @@ class App extends EventEmitter {
         this.rendererManager = new RendererManager(this.canvas, {
             antialias: true,
             alpha: true,
-            shadows: true
+            shadows: true,
+            width: this.sizes.width,
+            height: this.sizes.height,
+            pixelRatio: this.sizes.pixelRatio
         });
         this.renderer = this.rendererManager.getRenderer();
 
+        // Main view for the render pipeline
+        this.rendererManager.setView(this.scene, this.camera);
+
+        // Budgeted tasks (offscreen captures, GPGPU compute) run after all
+        // updates, before the main scene is drawn
+        this.rendererManager.addStage('tasks', () => {
+            this.time.scheduler.run();
+        }, RenderStage.CAPTURE);
+
         // ==========================================
         // Event Bindings
         // ==========================================
 
         this.handleResize = this.handleResize.bind(this);
-        window.addEventListener('resize', this.handleResize);
+
+        // Follow the canvas box (layout changes, not just window resizes)
+        if (typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(this.handleResize);
+            this._resizeObserver.observe(this.canvas);
+        } else {
+            window.addEventListener('resize', this.handleResize);
+        }
 
         // Time update events
         this.time.on('tick', () => this.update());
@@ -103,14 +140,37 @@ class App extends EventEmitter {
     }
 
     /**
-     * Handle window resize events
+     * Measure the canvas
+     * @returns {Object} {width, height, pixelRatio}
+     * @private
+     */
+    _measure() {
+        if (this.fixedSize) {
+            return { ...this.fixedSize };
+        }
+
+        return {
+            width: this.canvas.clientWidth || window.innerWidth,
+            height: this.canvas.clientHeight || window.innerHeight,
+            pixelRatio: Math.min(window.devicePixelRatio, 2)
+        };
+    }
+
+    /**
+     * Handle canvas resize
      * Updates sizes and notifies all managers
      */
     handleResize() {
-        // Update sizes
-        this.sizes.width = window.innerWidth;
-        this.sizes.height = window.innerHeight;
-        this.sizes.pixelRatio = Math.min(window.devicePixelRatio, 2);
+        // Update sizes (mutated in place - components hold a reference)
+        const { width, height, pixelRatio } = this._measure();
+        if (width === this.sizes.width && height === this.sizes.height &&
+            pixelRatio === this.sizes.pixelRatio) {
+            return;
+        }
+
+        this.sizes.width = width;
+        this.sizes.height = height;
+        this.sizes.pixelRatio = pixelRatio;
 
         // Notify managers
         this.cameraManager.handleResize(this.sizes);
@@ -120,6 +180,16 @@ class App extends EventEmitter {
         this.emit('resize', this.sizes);
     }
 
+    /**
+     * Render at a fixed size regardless of the canvas/window size
+     * (used for exports). The canvas keeps its CSS size and is stretched.
+     * @param {Object|null} size - {width, height, pixelRatio = 1}, or null to follow the canvas again
+     */
+    setFixedSize(size) {
+        this.fixedSize = size ? { pixelRatio: 1, ...size } : null;
+        this.handleResize();
+    }
+
     /**
      * Main update loop - called every frame
      * Updates all managers and renders the scene
@@ -127,14 +197,17 @@ class App extends EventEmitter {
     update() {
         const { deltaTime, elapsedTime } = this.time;
 
-        // Update camera (smooth interpolation)
-        this.cameraManager.update(deltaTime);
+        // Advance tweens in lockstep with our clock
+        this.tweens.advance(deltaTime);
 
         // Emit update event for external listeners
         this.emit('update', { deltaTime, elapsedTime });
 
-        // Render the scene
-        this.rendererManager.render(this.scene, this.camera);
+        // Resolve the camera after listeners have fed its controllers (scroll path, input)
+        this.cameraManager.update(deltaTime, this.time.rawDeltaTime);
+
+        // Render the frame once through the pipeline
+        this.rendererManager.renderFrame({ deltaTime, elapsedTime });
     }
 
     /**
@@ -145,10 +218,16 @@ class App extends EventEmitter {
         console.log('%c[App] Disposing resources...', 'color: #ff8800;');
 
         // Remove event listeners
-        window.removeEventListener('resize', this.handleResize);
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+        } else {
+            window.removeEventListener('resize', this.handleResize);
+        }
 
-        // Stop time updates
+        // Stop time updates and this app's tweens
         this.time.dispose();
+        this.tweens.dispose();
+        App.instances.delete(this);
 
         // Dispose managers
         this.cameraManager.dispose();
@@ -160,22 +239,12 @@ class App extends EventEmitter {
             this.debugUI.dispose();
         }
 
-        // Clear singleton
-        App.instance = null;
-
         // Emit dispose event
         this.emit('dispose');
+        this.removeAllListeners();
 
         console.log('%c[App] Disposed successfully', 'color: #00ff00;');
     }
-
-    /**
-     * Get the singleton instance
-     * @returns {App|null}
-     */
-    static getInstance() {
-        return App.instance;
-    }
 }
 
 export { App };
@@ -5,18 +5,31 @@
  * Manages the perspective camera with smooth lerp movement.
  * Provides look-at targeting with smooth interpolation.
  * Handles responsive aspect ratio updates.
+ *
+ * The camera is the only thing written here: every frame the
+ * controller stack (scroll path, parallax, tilt, pinch zoom, orbit,
+ * fly, shake - see CameraControllers.js) is resolved into one pose.
+ * Other systems feed controllers instead of moving the camera.
  */
 
 import * as THREE from 'three';
+import {
+    BlendMode,
+    CameraPose,
+    TargetController,
+    OffsetController,
+    ParallaxController,
+    PinchZoomController,
+    ShakeController,
+    OrbitController,
+    FlyController
+} from './CameraControllers.js';
 
 /**
  * @class CameraManager
- * @description Manages camera with smooth lerp interpolation
+ * @description Manages the camera through a stack of weighted controllers
  */
 class CameraManager {
-    /** @type {CameraManager|null} Singleton instance */
-    static instance = null;
-
     /**
      * Create camera manager
      * @param {Object} options - Camera configuration
@@ -25,14 +38,11 @@ class CameraManager {
      * @param {number} options.far - Far clipping plane (default: 100)
      * @param {Object} options.position - Initial position {x, y, z}
      * @param {number} options.lerpFactor - Smooth interpolation factor (default: 0.05)
+     * @param {SeededRandom} [options.random] - Seeded generator for shake (default: Math.random)
+     * @param {number} [options.aspect] - Initial aspect ratio (default: window aspect)
+     * @param {HTMLElement} [options.domElement] - Element mouse parallax is relative to (default: window)
      */
     constructor(options = {}) {
-        // Singleton pattern
-        if (CameraManager.instance) {
-            return CameraManager.instance;
-        }
-        CameraManager.instance = this;
-
         // ==========================================
         // Configuration
         // ==========================================
@@ -42,18 +52,17 @@ class CameraManager {
             near = 0.1,
             far = 100,
             position = { x: 0, y: 0, z: 10 },
-            lerpFactor = 0.05
+            lerpFactor = 0.05,
+            random = null,
+            aspect = window.innerWidth / window.innerHeight,
+            domElement = null
         } = options;
 
-        /** @type {number} Smooth interpolation factor */
-        this.lerpFactor = lerpFactor;
-
-        // ==========================================
-        // Camera Setup
-        // ==========================================
+        /** @type {HTMLElement|null} Element mouse coordinates are normalized against */
+        this.domElement = domElement;
 
         /** @type {number} Aspect ratio */
-        this.aspect = window.innerWidth / window.innerHeight;
+        this.aspect = aspect;
 
         /** @type {THREE.PerspectiveCamera} Main camera */
         this.camera = new THREE.PerspectiveCamera(fov, this.aspect, near, far);
@@ -62,141 +71,216 @@ class CameraManager {
         this.camera.position.set(position.x, position.y, position.z);
 
         // ==========================================
-        // Target Tracking (for smooth lerp)
+        // Controller Stack
         // ==========================================
 
-        /** @type {THREE.Vector3} Target position for smooth movement */
-        this.targetPosition = new THREE.Vector3(position.x, position.y, position.z);
+        /** @type {Array<CameraController>} Controllers in layer order */
+        this.controllers = [];
 
-        /** @type {THREE.Vector3} Current look-at point */
-        this.lookAtPoint = new THREE.Vector3(0, 0, 0);
+        /** @type {CameraPose} Pose resolved from the controllers */
+        this.pose = new CameraPose();
+        this.pose.position.copy(this.camera.position);
+        this.pose.fov = fov;
 
-        /** @type {THREE.Vector3} Target look-at point for smooth interpolation */
-        this.targetLookAt = new THREE.Vector3(0, 0, 0);
+        /** @type {Object} Frame data passed to controllers */
+        this._frame = { deltaTime: 0, rawDeltaTime: 0 };
 
-        /** @type {THREE.Vector3} Temporary vector for calculations */
-        this._tempVector = new THREE.Vector3();
+        // Fallback target (setPosition / lookAt)
+        this.target = this.addController(new TargetController({ position, fov, lerpFactor }));
 
-        /** @type {THREE.Vector3} Camera offset (for shake effects) */
-        this._offset = new THREE.Vector3(0, 0, 0);
+        // Pointer parallax and device tilt
+        this.parallax = this.addController(new ParallaxController({ domElement }));
+        this.tilt = this.addController(new OffsetController({ name: 'tilt' }));
 
-        /** @type {THREE.Vector3} Target offset (for device orientation) */
-        this._targetOffset = new THREE.Vector3(0, 0, 0);
+        // Touch pinch zoom
+        this.pinch = this.addController(new PinchZoomController());
 
-        /** @type {Object} Shake state */
-        this._shake = {
-            active: false,
-            intensity: 0,
-            duration: 0,
-            elapsed: 0
-        };
+        // User cameras (inactive until activated)
+        this.orbit = this.addController(new OrbitController());
+        this.fly = this.addController(new FlyController());
+
+        /** @type {string|null} Active free camera mode ('orbit', 'fly' or null) */
+        this.freeCameraMode = null;
+
+        this.shaker = this.addController(new ShakeController({
+            random: random ? () => random.next() : Math.random
+        }));
 
         // Initial look-at
-        this.camera.lookAt(this.lookAtPoint);
+        this.camera.lookAt(this.pose.lookAt);
 
-        // ==========================================
-        // Parallax Effect
-        // ==========================================
+        console.log('%c[Camera] Initialized with FOV:', 'color: #44aaff;', fov);
+    }
 
-        /** @type {Object} Mouse position normalized (-1 to 1) */
-        this.mouse = { x: 0, y: 0 };
+    // ==========================================
+    // Controller Stack
+    // ==========================================
 
-        /** @type {number} Parallax intensity */
-        this.parallaxIntensity = 0.5;
+    /**
+     * Add a controller to the stack (replaces one with the same name)
+     * @param {CameraController} controller
+     * @returns {CameraController} The added controller
+     */
+    addController(controller) {
+        this.removeController(controller.name);
 
-        /** @type {boolean} Enable parallax effect */
-        this.parallaxEnabled = true;
+        this.controllers.push(controller);
 
-        // Bind mouse handler
-        this.handleMouseMove = this.handleMouseMove.bind(this);
-        window.addEventListener('mousemove', this.handleMouseMove);
+        // Stable sort keeps insertion order within a layer
+        this.controllers.sort((a, b) => a.order - b.order);
 
-        console.log('%c[Camera] Initialized with FOV:', 'color: #44aaff;', fov);
+        return controller;
     }
 
     /**
-     * Handle mouse movement for parallax
-     * @param {MouseEvent} event
+     * Remove and dispose a controller
+     * @param {string} name
      */
-    handleMouseMove(event) {
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    removeController(name) {
+        const controller = this.getController(name);
+        if (!controller) return;
+
+        this.controllers = this.controllers.filter(c => c !== controller);
+        controller.dispose();
     }
 
     /**
-     * Update camera - smooth lerp interpolation
-     * @param {number} deltaTime - Time since last frame
+     * Get a controller by name
+     * @param {string} name
+     * @returns {CameraController|undefined}
      */
-    update(deltaTime) {
-        // Update shake effect
-        this._updateShake(deltaTime);
-
-        // Lerp target offset
-        this._offset.lerp(this._targetOffset, this.lerpFactor);
-
-        // Apply parallax offset to target position
-        if (this.parallaxEnabled) {
-            const parallaxX = this.mouse.x * this.parallaxIntensity;
-            const parallaxY = this.mouse.y * this.parallaxIntensity;
-
-            this._tempVector.set(
-                this.targetPosition.x + parallaxX + this._offset.x,
-                this.targetPosition.y + parallaxY + this._offset.y,
-                this.targetPosition.z + this._offset.z
-            );
-
-            // Smooth lerp to target position
-            this.camera.position.lerp(this._tempVector, this.lerpFactor);
-        } else {
-            // Smooth lerp to target position without parallax
-            this._tempVector.copy(this.targetPosition).add(this._offset);
-            this.camera.position.lerp(this._tempVector, this.lerpFactor);
+    getController(name) {
+        return this.controllers.find(c => c.name === name);
+    }
+
+    /**
+     * Update camera - resolve the controller stack
+     * @param {number} deltaTime - Scaled time since last frame
+     * @param {number} [rawDeltaTime] - Unscaled time (input and fades keep working while paused)
+     */
+    update(deltaTime, rawDeltaTime = deltaTime) {
+        this._frame.deltaTime = deltaTime;
+        this._frame.rawDeltaTime = rawDeltaTime;
+
+        // Each layer starts from what the layers below produced
+        this.controllers.forEach(controller => controller.apply(this._frame, this.pose));
+
+        this.camera.position.copy(this.pose.position);
+        this.camera.lookAt(this.pose.lookAt);
+
+        // Roll around the view direction (local Z after lookAt)
+        if (this.pose.roll !== 0) {
+            this.camera.rotateZ(this.pose.roll);
+        }
+
+        if (Math.abs(this.camera.fov - this.pose.fov) > 1e-4) {
+            this.camera.fov = this.pose.fov;
+            this.camera.updateProjectionMatrix();
         }
 
-        // Smooth lerp for look-at target
-        this.lookAtPoint.lerp(this.targetLookAt, this.lerpFactor);
-        this.camera.lookAt(this.lookAtPoint);
+        // Additive layers are re-applied every frame
+        this._resetAdditive();
     }
 
     /**
-     * Update camera shake effect
-     * @param {number} deltaTime
+     * Keep only the absolute part of the pose for the next frame, so
+     * additive offsets don't accumulate when no absolute layer is active
      * @private
      */
-    _updateShake(deltaTime) {
-        if (!this._shake.active) return;
+    _resetAdditive() {
+        this.controllers.forEach(controller => {
+            if (controller.mode !== BlendMode.ADDITIVE || !controller.enabled || controller.weight <= 0) return;
+
+            controller.addTo(this.pose, -controller.weight);
+        });
+    }
 
-        this._shake.elapsed += deltaTime;
+    // ==========================================
+    // Free Camera (debug)
+    // ==========================================
 
-        if (this._shake.elapsed >= this._shake.duration) {
-            // Shake complete
-            this._shake.active = false;
-            this._offset.set(0, 0, 0);
-            return;
+    /**
+     * Switch to a user-driven camera over the scroll path, or back.
+     * Parallax, tilt and pinch zoom are faded out while it's active so
+     * the view only moves with the free camera's own input.
+     * @param {string|null} mode - 'orbit', 'fly', or null for the normal camera
+     * @param {number} [duration=0.5] - Blend duration in seconds
+     */
+    setFreeCamera(mode, duration = 0.5) {
+        if (mode !== null && mode !== 'orbit' && mode !== 'fly') {
+            throw new Error(`[Camera] Unknown free camera mode "${mode}" (use 'orbit', 'fly' or null)`);
         }
 
-        // Calculate remaining intensity (fade out)
-        const progress = this._shake.elapsed / this._shake.duration;
-        const currentIntensity = this._shake.intensity * (1 - progress);
+        [this.orbit, this.fly].forEach(controller => {
+            if (controller.name === mode) {
+                // Start from the current view (also when switching orbit <-> fly)
+                controller.activate(duration, this.pose);
+            } else if (controller.targetWeight > 0) {
+                controller.deactivate(duration);
+            }
+        });
+
+        [this.parallax, this.tilt, this.pinch].forEach(controller => {
+            controller.setWeight(mode ? 0 : 1, duration);
+        });
+
+        this.freeCameraMode = mode;
+
+        if (mode === 'fly') {
+            console.log('%c[Camera] Fly: WASD move, Q/E down/up, Shift faster, drag to look', 'color: #44aaff;');
+        } else if (mode === 'orbit') {
+            console.log('%c[Camera] Orbit: drag to rotate, wheel to zoom', 'color: #44aaff;');
+        }
+    }
 
-        // Random offset
-        this._offset.set(
-            (Math.random() - 0.5) * 2 * currentIntensity,
-            (Math.random() - 0.5) * 2 * currentIntensity,
-            0
-        );
+    /**
+     * Get the current viewpoint in the shape scene definitions use.
+     * Taken from the absolute layers only (no parallax/shake offsets).
+     * @param {number} [precision=2] - Decimal places
+     * @returns {{positionStart: Object, lookAtStart: Object}}
+     */
+    getViewpoint(precision = 2) {
+        const factor = Math.pow(10, precision);
+        const round = value => Math.round(value * factor) / factor;
+        const toObject = v => ({ x: round(v.x), y: round(v.y), z: round(v.z) });
+
+        return {
+            positionStart: toObject(this.pose.position),
+            lookAtStart: toObject(this.pose.lookAt)
+        };
     }
 
+    // ==========================================
+    // Convenience API
+    // ==========================================
+
     /**
      * Trigger camera shake effect
-     * @param {number} intensity - Shake intensity (default: 0.1)
-     * @param {number} duration - Shake duration in seconds (default: 0.5)
+     * @param {string|Object|number} [preset='impact'] - ShakePresets name, settings
+     *        ({preset, ...overrides}) or legacy intensity in world units
+     * @param {number} [duration] - Legacy shake duration in seconds (default: 0.5)
+     * @returns {Object} Shake handle (pass to releaseShake())
      */
-    shake(intensity = 0.1, duration = 0.5) {
-        this._shake.active = true;
-        this._shake.intensity = intensity;
-        this._shake.duration = duration;
-        this._shake.elapsed = 0;
+    shake(preset = 'impact', duration = 0.5) {
+        return this.shaker.shake(preset, duration);
+    }
+
+    /**
+     * Add trauma to a shake preset (starts it if not running)
+     * @param {number} amount - Trauma to add (0-1)
+     * @param {string} [preset='impact'] - ShakePresets name
+     * @returns {Object} Shake handle
+     */
+    addTrauma(amount, preset = 'impact') {
+        return this.shaker.addTrauma(amount, preset);
+    }
+
+    /**
+     * Let a held shake (e.g. underwaterDrift) decay
+     * @param {Object} shake - Handle returned by shake()
+     */
+    releaseShake(shake) {
+        this.shaker.release(shake);
     }
 
     /**
@@ -205,7 +289,7 @@ class CameraManager {
      * @param {number} y - Y offset
      */
     setTargetOffset(x, y) {
-        this._targetOffset.set(x, y, 0);
+        this.tilt.setOffset(x, y);
     }
 
     /**
@@ -215,7 +299,7 @@ class CameraManager {
      * @param {number} z - Z position
      */
     setPosition(x, y, z) {
-        this.targetPosition.set(x, y, z);
+        this.target.targetPosition.set(x, y, z);
     }
 
     /**
@@ -225,8 +309,8 @@ class CameraManager {
      * @param {number} z - Z position
      */
     setPositionImmediate(x, y, z) {
-        this.targetPosition.set(x, y, z);
-        this.camera.position.set(x, y, z);
+        this.target.targetPosition.set(x, y, z);
+        this.target.position.set(x, y, z);
     }
 
     /**
@@ -236,7 +320,7 @@ class CameraManager {
      * @param {number} z - Z target
      */
     lookAt(x, y, z) {
-        this.targetLookAt.set(x, y, z);
+        this.target.targetLookAt.set(x, y, z);
     }
 
     /**
@@ -246,9 +330,8 @@ class CameraManager {
      * @param {number} z - Z target
      */
     lookAtImmediate(x, y, z) {
-        this.targetLookAt.set(x, y, z);
-        this.lookAtPoint.set(x, y, z);
-        this.camera.lookAt(this.lookAtPoint);
+        this.target.targetLookAt.set(x, y, z);
+        this.target.lookAt.set(x, y, z);
     }
 
     /**
@@ -256,7 +339,7 @@ class CameraManager {
      * @param {number} factor - Lerp factor (0-1, lower = smoother)
      */
     setLerpFactor(factor) {
-        this.lerpFactor = Math.max(0.01, Math.min(1, factor));
+        this.target.lerpFactor = Math.max(0.01, Math.min(1, factor));
     }
 
     /**
@@ -264,7 +347,7 @@ class CameraManager {
      * @param {number} intensity - Parallax intensity
      */
     setParallaxIntensity(intensity) {
-        this.parallaxIntensity = intensity;
+        this.parallax.intensity = intensity;
     }
 
     /**
@@ -272,7 +355,7 @@ class CameraManager {
      * @param {boolean} enabled
      */
     setParallaxEnabled(enabled) {
-        this.parallaxEnabled = enabled;
+        this.parallax.enabled = enabled;
     }
 
     /**
@@ -281,10 +364,29 @@ class CameraManager {
      */
     handleResize(sizes) {
         this.aspect = sizes.width / sizes.height;
-        this.camera.aspect = this.aspect;
+
+        // While rendering tiles the projection keeps the full image's aspect
+        if (!this.camera.view || !this.camera.view.enabled) {
+            this.camera.aspect = this.aspect;
+        }
         this.camera.updateProjectionMatrix();
     }
 
+    /**
+     * Render a tile of a larger image instead of the full view
+     * @param {Object|null} view - {fullWidth, fullHeight, x, y, width, height}, or null for the full view
+     */
+    setViewOffset(view) {
+        if (view) {
+            // Also sets the aspect to the full image's
+            this.camera.setViewOffset(view.fullWidth, view.fullHeight, view.x, view.y, view.width, view.height);
+        } else {
+            this.camera.clearViewOffset();
+            this.camera.aspect = this.aspect;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
     /**
      * Get the camera instance
      * @returns {THREE.PerspectiveCamera}
@@ -305,8 +407,8 @@ class CameraManager {
      * Clean up resources
      */
     dispose() {
-        window.removeEventListener('mousemove', this.handleMouseMove);
-        CameraManager.instance = null;
+        this.controllers.forEach(controller => controller.dispose());
+        this.controllers = [];
     }
 }
 
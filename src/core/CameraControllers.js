@@ -0,0 +1,1126 @@
+/**
+ * CameraControllers.js
+ * Layered, Weighted Camera Controllers
+ *
+ * The camera is resolved every frame from a stack of controllers
+ * (see CameraManager.addController). Starting from last frame's pose,
+ * each controller contributes to a shared pose {position, lookAt, fov,
+ * roll} in layer order, scaled by its weight:
+ * - ABSOLUTE controllers pull the pose toward their own values
+ *   (weight 1 = replace whatever the layers below produced)
+ * - ADDITIVE controllers add their values as an offset
+ * A controller fov of null leaves the field of view alone.
+ *
+ * Weights fade over time (setWeight(weight, duration)), so a user
+ * camera can blend in over the scroll path and back out again.
+ *
+ * Layers (lower runs first):
+ * 1. BASE     - fallback target (CameraManager.setPosition / lookAt)
+ * 2. PATH     - scroll-driven camera path
+ * 3. OVERRIDE - user-driven cameras (orbit, fly), weight 0 until activated
+ * 4. OFFSET   - pointer parallax, device tilt, pinch zoom
+ * 5. SHAKE    - trauma-based noise shake on top of everything
+ */
+
+import * as THREE from 'three';
+import { PerlinNoise } from './Noise.js';
+
+/**
+ * Controller layer order values (lower runs first)
+ * @readonly
+ * @enum {number}
+ */
+const CameraLayer = {
+    BASE: 100,
+    PATH: 200,
+    OVERRIDE: 300,
+    OFFSET: 400,
+    SHAKE: 500
+};
+
+/**
+ * How a controller combines with the layers below it
+ * @readonly
+ * @enum {string}
+ */
+const BlendMode = {
+    ABSOLUTE: 'absolute',
+    ADDITIVE: 'additive'
+};
+
+/**
+ * Frame-rate independent lerp factor
+ * @param {number} factor - Per-frame factor at 60fps (0-1)
+ * @param {number} deltaTime - Seconds
+ * @returns {number}
+ */
+function damp(factor, deltaTime) {
+    return 1 - Math.pow(1 - factor, deltaTime * 60);
+}
+
+/**
+ * Check whether keyboard/pointer input targets a form field or the debug GUI
+ * (such input keeps its native handling; also used by scroll input)
+ * @param {Event} event
+ * @returns {boolean}
+ */
+function isUIEvent(event) {
+    const target = event.target;
+    if (!target || !target.closest) return false;
+
+    return Boolean(target.closest('input, textarea, select, [contenteditable], .lil-gui'));
+}
+
+/**
+ * @class CameraPose
+ * @description Camera position, look-at point, field of view and roll
+ */
+class CameraPose {
+    constructor() {
+        /** @type {THREE.Vector3} */
+        this.position = new THREE.Vector3();
+
+        /** @type {THREE.Vector3} */
+        this.lookAt = new THREE.Vector3();
+
+        /** @type {number} Vertical field of view in degrees */
+        this.fov = 45;
+
+        /** @type {number} Rotation around the view direction in radians */
+        this.roll = 0;
+    }
+
+    /**
+     * Copy another pose
+     * @param {CameraPose} pose
+     * @returns {CameraPose} this
+     */
+    copy(pose) {
+        this.position.copy(pose.position);
+        this.lookAt.copy(pose.lookAt);
+        this.fov = pose.fov;
+        this.roll = pose.roll;
+        return this;
+    }
+}
+
+/**
+ * @class CameraController
+ * @description Base class for camera controllers. Subclasses write their
+ * contribution to this.position / this.lookAt in update().
+ */
+class CameraController {
+    /**
+     * Create controller
+     * @param {Object} options - Controller options
+     * @param {string} options.name - Unique name in the stack
+     * @param {number} [options.order] - Layer (CameraLayer value, default: OFFSET)
+     * @param {string} [options.mode] - BlendMode (default: ADDITIVE)
+     * @param {number} [options.weight] - Initial weight 0-1 (default: 1)
+     * @param {boolean} [options.enabled] - Initially enabled (default: true)
+     */
+    constructor(options = {}) {
+        const {
+            name,
+            order = CameraLayer.OFFSET,
+            mode = BlendMode.ADDITIVE,
+            weight = 1,
+            enabled = true
+        } = options;
+
+        /** @type {string} Controller name */
+        this.name = name;
+
+        /** @type {number} Layer order */
+        this.order = order;
+
+        /** @type {string} Blend mode */
+        this.mode = mode;
+
+        /** @type {number} Current weight (0-1) */
+        this.weight = weight;
+
+        /** @type {number} Weight being faded to */
+        this.targetWeight = weight;
+
+        /** @type {number} Weight change per second while fading */
+        this._weightSpeed = 0;
+
+        /** @type {boolean} Whether the controller contributes at all */
+        this.enabled = enabled;
+
+        /** @type {THREE.Vector3} Target position (ABSOLUTE) or offset (ADDITIVE) */
+        this.position = new THREE.Vector3();
+
+        /** @type {THREE.Vector3} Target look-at (ABSOLUTE) or offset (ADDITIVE) */
+        this.lookAt = new THREE.Vector3();
+
+        /** @type {number|null} Target fov (ABSOLUTE) or offset (ADDITIVE), null = none */
+        this.fov = null;
+
+        /** @type {number} Target roll (ABSOLUTE) or offset (ADDITIVE) in radians */
+        this.roll = 0;
+
+        /** @type {boolean} Sync to the incoming pose before the next update */
+        this._needsSync = false;
+    }
+
+    /**
+     * Set the weight, optionally fading to it
+     * @param {number} weight - 0-1
+     * @param {number} [duration=0] - Fade duration in seconds
+     */
+    setWeight(weight, duration = 0) {
+        this.targetWeight = THREE.MathUtils.clamp(weight, 0, 1);
+
+        if (duration <= 0) {
+            this.weight = this.targetWeight;
+            this._weightSpeed = 0;
+        } else {
+            this._weightSpeed = Math.abs(this.targetWeight - this.weight) / duration;
+        }
+    }
+
+    /**
+     * Enable the controller and fade it in. It starts from the given pose,
+     * or from the pose the layers below produce, so taking over is seamless.
+     * @param {number} [duration=0.5] - Fade duration in seconds
+     * @param {CameraPose} [fromPose] - Pose to start from (default: the layers below)
+     */
+    activate(duration = 0.5, fromPose = null) {
+        this.enabled = true;
+        this.setWeight(1, duration);
+
+        if (fromPose) {
+            this._needsSync = false;
+            this.sync(fromPose);
+        } else {
+            this._needsSync = true;
+        }
+    }
+
+    /**
+     * Fade the controller out (it stays enabled, at weight 0)
+     * @param {number} [duration=0.5] - Fade duration in seconds
+     */
+    deactivate(duration = 0.5) {
+        this.setWeight(0, duration);
+    }
+
+    /**
+     * Advance the weight fade
+     * @param {number} deltaTime
+     * @private
+     */
+    _updateWeight(deltaTime) {
+        if (this.weight === this.targetWeight) return;
+
+        const step = this._weightSpeed * deltaTime;
+
+        if (Math.abs(this.targetWeight - this.weight) <= step) {
+            this.weight = this.targetWeight;
+        } else {
+            this.weight += Math.sign(this.targetWeight - this.weight) * step;
+        }
+    }
+
+    /**
+     * Contribute to the pose (called by CameraManager in layer order)
+     * @param {Object} frame - {deltaTime, rawDeltaTime}
+     * @param {CameraPose} pose - Pose from the layers below (modified in place)
+     */
+    apply(frame, pose) {
+        this._updateWeight(frame.rawDeltaTime);
+
+        if (!this.enabled || this.weight <= 0) return;
+
+        if (this._needsSync) {
+            this._needsSync = false;
+            this.sync(pose);
+        }
+
+        this.update(frame, pose);
+
+        if (this.mode === BlendMode.ABSOLUTE) {
+            pose.position.lerp(this.position, this.weight);
+            pose.lookAt.lerp(this.lookAt, this.weight);
+            pose.roll += (this.roll - pose.roll) * this.weight;
+            if (this.fov !== null) {
+                pose.fov += (this.fov - pose.fov) * this.weight;
+            }
+        } else {
+            this.addTo(pose, this.weight);
+        }
+    }
+
+    /**
+     * Add this controller's offsets to a pose (ADDITIVE)
+     * @param {CameraPose} pose
+     * @param {number} scale - Weight (negative removes the offsets again)
+     */
+    addTo(pose, scale) {
+        pose.position.addScaledVector(this.position, scale);
+        pose.lookAt.addScaledVector(this.lookAt, scale);
+        pose.roll += this.roll * scale;
+        if (this.fov !== null) {
+            pose.fov += this.fov * scale;
+        }
+    }
+
+    /**
+     * Take over state from an incoming pose (after activate())
+     * @param {CameraPose} pose
+     */
+    sync(pose) {
+        if (this.mode === BlendMode.ABSOLUTE) {
+            this.position.copy(pose.position);
+            this.lookAt.copy(pose.lookAt);
+            this.fov = pose.fov;
+            this.roll = pose.roll;
+        }
+    }
+
+    /**
+     * Compute this frame's contribution into this.position / this.lookAt
+     * @param {Object} frame - {deltaTime, rawDeltaTime}
+     * @param {CameraPose} pose - Pose from the layers below (read only)
+     */
+    update(frame, pose) {}
+
+    /**
+     * Clean up resources
+     */
+    dispose() {}
+}
+
+// ==========================================
+// Base / Path Controllers
+// ==========================================
+
+/**
+ * @class TargetController
+ * @extends CameraController
+ * @description Smoothly follows a target position/look-at (CameraManager.setPosition)
+ */
+class TargetController extends CameraController {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.position] - Initial position {x, y, z}
+     * @param {Object} [options.lookAt] - Initial look-at {x, y, z}
+     * @param {number} [options.fov] - Base field of view (default: 45)
+     * @param {number} [options.lerpFactor] - Smoothing per frame at 60fps (default: 0.05)
+     */
+    constructor(options = {}) {
+        const {
+            position = { x: 0, y: 0, z: 10 },
+            lookAt = { x: 0, y: 0, z: 0 },
+            fov = 45,
+            lerpFactor = 0.05
+        } = options;
+
+        super({ name: 'target', order: CameraLayer.BASE, mode: BlendMode.ABSOLUTE, ...options });
+
+        this.fov = fov;
+
+        /** @type {number} Smoothing factor */
+        this.lerpFactor = lerpFactor;
+
+        /** @type {THREE.Vector3} Position being followed */
+        this.targetPosition = new THREE.Vector3(position.x, position.y, position.z);
+
+        /** @type {THREE.Vector3} Look-at being followed */
+        this.targetLookAt = new THREE.Vector3(lookAt.x, lookAt.y, lookAt.z);
+
+        this.position.copy(this.targetPosition);
+        this.lookAt.copy(this.targetLookAt);
+    }
+
+    /**
+     * Jump to the targets without smoothing
+     */
+    snap() {
+        this.position.copy(this.targetPosition);
+        this.lookAt.copy(this.targetLookAt);
+    }
+
+    update({ rawDeltaTime }) {
+        const alpha = damp(this.lerpFactor, rawDeltaTime);
+        this.position.lerp(this.targetPosition, alpha);
+        this.lookAt.lerp(this.targetLookAt, alpha);
+    }
+}
+
+/**
+ * @class ScrollPathController
+ * @extends CameraController
+ * @description Follows the scroll-driven camera path of a ScrollManager
+ */
+class ScrollPathController extends CameraController {
+    /**
+     * @param {Object} source - Exposes smoothCameraPosition / smoothLookAtTarget /
+     *                          smoothCameraFov / smoothCameraRoll (ScrollManager)
+     * @param {Object} [options] - Controller options
+     */
+    constructor(source, options = {}) {
+        super({ name: 'scrollPath', order: CameraLayer.PATH, mode: BlendMode.ABSOLUTE, ...options });
+
+        /** @type {Object} Camera path source */
+        this.source = source;
+    }
+
+    update() {
+        // The source already smooths its path
+        this.position.copy(this.source.smoothCameraPosition);
+        this.lookAt.copy(this.source.smoothLookAtTarget);
+        this.fov = this.source.smoothCameraFov ?? null;
+        this.roll = this.source.smoothCameraRoll || 0;
+    }
+}
+
+// ==========================================
+// Offset Controllers
+// ==========================================
+
+/**
+ * @class OffsetController
+ * @extends CameraController
+ * @description Smoothly follows an additive position offset (e.g. device tilt)
+ */
+class OffsetController extends CameraController {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Controller name
+     * @param {number} [options.lerpFactor] - Smoothing per frame at 60fps (default: 0.05)
+     */
+    constructor(options = {}) {
+        const { lerpFactor = 0.05 } = options;
+
+        super({ order: CameraLayer.OFFSET, mode: BlendMode.ADDITIVE, ...options });
+
+        /** @type {number} Smoothing factor */
+        this.lerpFactor = lerpFactor;
+
+        /** @type {THREE.Vector3} Offset being followed */
+        this.targetOffset = new THREE.Vector3();
+    }
+
+    /**
+     * Set the offset to move toward
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [z=0]
+     */
+    setOffset(x, y, z = 0) {
+        this.targetOffset.set(x, y, z);
+    }
+
+    update({ rawDeltaTime }) {
+        this.position.lerp(this.targetOffset, damp(this.lerpFactor, rawDeltaTime));
+    }
+}
+
+/**
+ * @class ParallaxController
+ * @extends OffsetController
+ * @description Offsets the camera with the pointer position
+ */
+class ParallaxController extends OffsetController {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.domElement] - Element the pointer is relative to (default: window)
+     * @param {number} [options.intensity] - Offset at the element edges (default: 0.5)
+     */
+    constructor(options = {}) {
+        const { domElement = null, intensity = 0.5 } = options;
+
+        super({ name: 'parallax', ...options });
+
+        /** @type {HTMLElement|null} */
+        this.domElement = domElement;
+
+        /** @type {number} Parallax intensity */
+        this.intensity = intensity;
+
+        /** @type {Object} Pointer position normalized (-1 to 1) */
+        this.mouse = { x: 0, y: 0 };
+
+        this._handleMouseMove = this._handleMouseMove.bind(this);
+        window.addEventListener('mousemove', this._handleMouseMove);
+    }
+
+    /**
+     * @param {MouseEvent} event
+     * @private
+     */
+    _handleMouseMove(event) {
+        const rect = this.domElement
+            ? this.domElement.getBoundingClientRect()
+            : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    }
+
+    update(frame) {
+        this.setOffset(this.mouse.x * this.intensity, this.mouse.y * this.intensity);
+        super.update(frame);
+    }
+
+    dispose() {
+        window.removeEventListener('mousemove', this._handleMouseMove);
+    }
+}
+
+/**
+ * @class PinchZoomController
+ * @extends CameraController
+ * @description Dollies the camera toward/away from its look-at point
+ */
+class PinchZoomController extends CameraController {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minZoom] - Furthest dolly out (default: -10)
+     * @param {number} [options.maxZoom] - Furthest dolly in (default: 10)
+     * @param {number} [options.minDistance] - Closest allowed distance to the look-at (default: 2)
+     * @param {number} [options.lerpFactor] - Smoothing per frame at 60fps (default: 0.15)
+     */
+    constructor(options = {}) {
+        const {
+            minZoom = -10,
+            maxZoom = 10,
+            minDistance = 2,
+            lerpFactor = 0.15
+        } = options;
+
+        super({ name: 'pinch', order: CameraLayer.OFFSET, mode: BlendMode.ADDITIVE, ...options });
+
+        this.minZoom = minZoom;
+        this.maxZoom = maxZoom;
+        this.minDistance = minDistance;
+        this.lerpFactor = lerpFactor;
+
+        /** @type {number} Dolly distance toward the look-at (positive = closer) */
+        this.zoom = 0;
+
+        /** @type {number} Dolly distance being followed */
+        this.targetZoom = 0;
+
+        /** @type {THREE.Vector3} */
+        this._direction = new THREE.Vector3();
+    }
+
+    /**
+     * Dolly in (positive) or out (negative)
+     * @param {number} amount - World units
+     */
+    zoomBy(amount) {
+        this.targetZoom = THREE.MathUtils.clamp(this.targetZoom + amount, this.minZoom, this.maxZoom);
+    }
+
+    /**
+     * Return to no zoom
+     */
+    reset() {
+        this.targetZoom = 0;
+    }
+
+    update({ rawDeltaTime }, pose) {
+        this.zoom += (this.targetZoom - this.zoom) * damp(this.lerpFactor, rawDeltaTime);
+
+        this._direction.subVectors(pose.lookAt, pose.position);
+        const distance = this._direction.length();
+        if (distance === 0) {
+            this.position.set(0, 0, 0);
+            return;
+        }
+
+        // Never dolly through the subject
+        const zoom = Math.min(this.zoom, distance - this.minDistance);
+        this.position.copy(this._direction).multiplyScalar(zoom / distance);
+    }
+}
+
+/**
+ * Named shake presets. Trauma (0-1) is added per trigger and decays
+ * linearly; the visible shake is trauma², so small hits stay subtle and
+ * big ones fall off quickly.
+ * - trauma      - Trauma added per trigger
+ * - decay       - Trauma lost per second (after hold)
+ * - hold        - Seconds trauma is held before it decays (Infinity = until released)
+ * - frequency   - Noise speed in cycles per second
+ * - translation - Maximum positional offset in world units
+ * - rotation    - Maximum pitch/yaw in radians
+ * - roll        - Maximum roll in radians
+ * @readonly
+ * @enum {Object}
+ */
+const ShakePresets = {
+    /** Short, sharp hit (clicks, collisions) */
+    impact: {
+        trauma: 0.6,
+        decay: 1.8,
+        hold: 0,
+        frequency: 18,
+        translation: 0.15,
+        rotation: 0.015,
+        roll: 0.03
+    },
+
+    /** Heavy low-frequency rumble */
+    rumble: {
+        trauma: 0.7,
+        decay: 0.6,
+        hold: 0.5,
+        frequency: 7,
+        translation: 0.12,
+        rotation: 0.008,
+        roll: 0.01
+    },
+
+    /** Slow floating sway, held while the scene is active */
+    underwaterDrift: {
+        trauma: 0.8,
+        decay: 0.5,
+        hold: Infinity,
+        frequency: 0.35,
+        translation: 0.25,
+        rotation: 0.02,
+        roll: 0.04
+    }
+};
+
+/**
+ * @class ShakeController
+ * @extends CameraController
+ * @description Trauma-based shake: smooth Perlin noise on position,
+ * pitch/yaw and roll, scaled by trauma². Several shakes (one per preset
+ * or sustained trigger) run side by side and add up.
+ */
+class ShakeController extends CameraController {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.random] - Random source returning [0, 1) (default: Math.random)
+     */
+    constructor(options = {}) {
+        const { random = Math.random } = options;
+
+        super({ name: 'shake', order: CameraLayer.SHAKE, mode: BlendMode.ADDITIVE, ...options });
+
+        /** @type {Function} */
+        this._random = random;
+
+        /** @type {PerlinNoise} Shared noise (each shake samples its own region) */
+        this._noise = new PerlinNoise(random);
+
+        /** @type {Array<Object>} Active shakes {settings, trauma, hold, time, seed} */
+        this.shakes = [];
+
+        /** @type {THREE.Vector3} Camera right axis (scratch) */
+        this._right = new THREE.Vector3();
+
+        /** @type {THREE.Vector3} Camera up axis (scratch) */
+        this._up = new THREE.Vector3();
+
+        /** @type {THREE.Vector3} View direction (scratch) */
+        this._forward = new THREE.Vector3();
+    }
+
+    /**
+     * Current trauma (strongest active shake)
+     * @returns {number} 0-1
+     */
+    get trauma() {
+        return this.shakes.reduce((max, shake) => Math.max(max, shake.trauma), 0);
+    }
+
+    /**
+     * Resolve a preset name or settings object into full settings
+     * @param {string|Object} preset
+     * @returns {Object}
+     * @private
+     */
+    _resolve(preset) {
+        if (typeof preset === 'string') {
+            if (!ShakePresets[preset]) {
+                throw new Error(`[Camera] Unknown shake preset "${preset}"`);
+            }
+            return { ...ShakePresets[preset] };
+        }
+
+        const { preset: base = 'impact', ...overrides } = preset;
+        return { ...this._resolve(base), ...overrides };
+    }
+
+    /**
+     * Start a shake. Triggering a preset that is already shaking (and not
+     * held indefinitely) adds trauma to it instead of starting another.
+     *
+     * Legacy form: shake(intensity, duration) - positional shake of up to
+     * `intensity` units that dies out over `duration` seconds.
+     *
+     * @param {string|Object|number} [preset='impact'] - Preset name, settings
+     *        ({preset, ...overrides}) or legacy intensity
+     * @param {number} [duration] - Legacy duration in seconds
+     * @returns {Object} Shake handle (pass to release())
+     */
+    shake(preset = 'impact', duration = 0.5) {
+        if (typeof preset === 'number') {
+            preset = {
+                preset: 'impact',
+                trauma: 1,
+                decay: 1 / Math.max(duration, 0.001),
+                translation: preset,
+                rotation: 0,
+                roll: 0
+            };
+        }
+
+        const settings = this._resolve(preset);
+
+        const existing = typeof preset === 'string' && settings.hold !== Infinity
+            ? this.shakes.find(shake => shake.name === preset)
+            : null;
+
+        if (existing) {
+            return this.addTrauma(settings.trauma, existing);
+        }
+
+        const shake = {
+            name: typeof preset === 'string' ? preset : null,
+            settings,
+            trauma: THREE.MathUtils.clamp(settings.trauma, 0, 1),
+            hold: settings.hold,
+            time: 0,
+            // Distinct region of the noise per shake so they don't move in sync
+            seed: this._random() * 1000
+        };
+
+        this.shakes.push(shake);
+        return shake;
+    }
+
+    /**
+     * Add trauma to a running shake (or start the preset)
+     * @param {number} amount - Trauma to add (0-1)
+     * @param {string|Object} [target='impact'] - Preset name or shake handle
+     * @returns {Object} Shake handle
+     */
+    addTrauma(amount, target = 'impact') {
+        let shake = typeof target === 'string'
+            ? this.shakes.find(s => s.name === target)
+            : target;
+
+        if (!shake) {
+            shake = this.shake({ preset: target, trauma: 0 });
+            shake.name = target;
+        }
+
+        shake.trauma = THREE.MathUtils.clamp(shake.trauma + amount, 0, 1);
+        return shake;
+    }
+
+    /**
+     * Let a held shake decay (ends indefinite shakes such as underwaterDrift)
+     * @param {Object} shake - Handle returned by shake()
+     */
+    release(shake) {
+        if (shake) {
+            shake.hold = 0;
+        }
+    }
+
+    /**
+     * Stop all shakes immediately
+     */
+    stop() {
+        this.shakes.length = 0;
+        this.position.set(0, 0, 0);
+        this.lookAt.set(0, 0, 0);
+        this.roll = 0;
+    }
+
+    update({ deltaTime }, pose) {
+        this.position.set(0, 0, 0);
+        this.lookAt.set(0, 0, 0);
+        this.roll = 0;
+
+        if (this.shakes.length === 0) return;
+
+        // Camera basis for pitch/yaw (applied by moving the look-at point)
+        this._forward.subVectors(pose.lookAt, pose.position);
+        const distance = this._forward.length();
+        if (distance > 0) {
+            this._forward.divideScalar(distance);
+        }
+        this._right.crossVectors(this._forward, THREE.Object3D.DEFAULT_UP).normalize();
+        this._up.crossVectors(this._right, this._forward);
+
+        let pitch = 0;
+        let yaw = 0;
+
+        for (let i = this.shakes.length - 1; i >= 0; i--) {
+            const shake = this.shakes[i];
+            const { settings } = shake;
+
+            shake.time += deltaTime;
+
+            if (shake.hold > 0) {
+                shake.hold -= deltaTime;
+            } else {
+                shake.trauma = Math.max(0, shake.trauma - settings.decay * deltaTime);
+            }
+
+            if (shake.trauma <= 0) {
+                this.shakes.splice(i, 1);
+                continue;
+            }
+
+            const amount = shake.trauma * shake.trauma;
+            const t = shake.seed + shake.time * settings.frequency;
+            const noise = this._noise;
+
+            // Separate noise channels, spaced apart along the same curve
+            this.position.x += noise.sample(t) * settings.translation * amount;
+            this.position.y += noise.sample(t + 101.3) * settings.translation * amount;
+            this.position.z += noise.sample(t + 202.7) * settings.translation * 0.5 * amount;
+            pitch += noise.sample(t + 303.1) * settings.rotation * amount;
+            yaw += noise.sample(t + 404.9) * settings.rotation * amount;
+            this.roll += noise.sample(t + 505.3) * settings.roll * amount;
+        }
+
+        this.lookAt
+            .copy(this.position)
+            .addScaledVector(this._right, Math.tan(yaw) * distance)
+            .addScaledVector(this._up, Math.tan(pitch) * distance);
+    }
+}
+
+// ==========================================
+// User Cameras
+// ==========================================
+
+/**
+ * @class DragInput
+ * @description Window-level pointer drag tracking (the canvas sits behind the page content)
+ */
+class DragInput {
+    /**
+     * @param {Function} onDrag - Called with (dx, dy, event) in pixels
+     */
+    constructor(onDrag) {
+        this.onDrag = onDrag;
+        this._dragging = false;
+        this._lastX = 0;
+        this._lastY = 0;
+
+        this._onPointerDown = (event) => {
+            if (event.button !== 0 || isUIEvent(event)) return;
+            this._dragging = true;
+            this._lastX = event.clientX;
+            this._lastY = event.clientY;
+        };
+
+        this._onPointerMove = (event) => {
+            if (!this._dragging) return;
+            this.onDrag(event.clientX - this._lastX, event.clientY - this._lastY, event);
+            this._lastX = event.clientX;
+            this._lastY = event.clientY;
+        };
+
+        this._onPointerUp = () => {
+            this._dragging = false;
+        };
+    }
+
+    bind() {
+        window.addEventListener('pointerdown', this._onPointerDown);
+        window.addEventListener('pointermove', this._onPointerMove);
+        window.addEventListener('pointerup', this._onPointerUp);
+        window.addEventListener('pointercancel', this._onPointerUp);
+    }
+
+    unbind() {
+        this._dragging = false;
+        window.removeEventListener('pointerdown', this._onPointerDown);
+        window.removeEventListener('pointermove', this._onPointerMove);
+        window.removeEventListener('pointerup', this._onPointerUp);
+        window.removeEventListener('pointercancel', this._onPointerUp);
+    }
+}
+
+/**
+ * @class OrbitController
+ * @extends CameraController
+ * @description Drag to orbit around the look-at point, wheel to zoom.
+ * Weight 0 until activate(); input is only captured while active.
+ */
+class OrbitController extends CameraController {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.rotateSpeed] - Radians per dragged pixel (default: 0.005)
+     * @param {number} [options.zoomSpeed] - Distance factor per wheel pixel (default: 0.001)
+     * @param {number} [options.minDistance] - Closest orbit radius (default: 1)
+     * @param {number} [options.maxDistance] - Furthest orbit radius (default: 100)
+     * @param {number} [options.lerpFactor] - Smoothing per frame at 60fps (default: 0.15)
+     */
+    constructor(options = {}) {
+        const {
+            rotateSpeed = 0.005,
+            zoomSpeed = 0.001,
+            minDistance = 1,
+            maxDistance = 100,
+            lerpFactor = 0.15
+        } = options;
+
+        super({
+            name: 'orbit',
+            order: CameraLayer.OVERRIDE,
+            mode: BlendMode.ABSOLUTE,
+            weight: 0,
+            enabled: false,
+            ...options
+        });
+
+        this.rotateSpeed = rotateSpeed;
+        this.zoomSpeed = zoomSpeed;
+        this.minDistance = minDistance;
+        this.maxDistance = maxDistance;
+        this.lerpFactor = lerpFactor;
+
+        /** @type {THREE.Vector3} Orbit center */
+        this.target = new THREE.Vector3();
+
+        /** @type {THREE.Spherical} Current orbit */
+        this.spherical = new THREE.Spherical(10, Math.PI / 2, 0);
+
+        /** @type {THREE.Spherical} Orbit being followed */
+        this.targetSpherical = this.spherical.clone();
+
+        this._offset = new THREE.Vector3();
+
+        this._drag = new DragInput((dx, dy) => {
+            this.targetSpherical.theta -= dx * this.rotateSpeed;
+            this.targetSpherical.phi = THREE.MathUtils.clamp(
+                this.targetSpherical.phi - dy * this.rotateSpeed, 0.01, Math.PI - 0.01
+            );
+        });
+
+        this._onWheel = (event) => {
+            if (isUIEvent(event)) return;
+            event.preventDefault();
+            this.targetSpherical.radius = THREE.MathUtils.clamp(
+                this.targetSpherical.radius * (1 + event.deltaY * this.zoomSpeed),
+                this.minDistance,
+                this.maxDistance
+            );
+        };
+
+        /** @type {boolean} Input listeners attached */
+        this._bound = false;
+    }
+
+    activate(duration, fromPose) {
+        super.activate(duration, fromPose);
+
+        if (!this._bound) {
+            this._bound = true;
+            this._drag.bind();
+            // Not passive: the wheel zooms instead of scrolling the page
+            window.addEventListener('wheel', this._onWheel, { passive: false });
+        }
+    }
+
+    deactivate(duration) {
+        super.deactivate(duration);
+        this._unbind();
+    }
+
+    /**
+     * @private
+     */
+    _unbind() {
+        if (!this._bound) return;
+        this._bound = false;
+        this._drag.unbind();
+        window.removeEventListener('wheel', this._onWheel);
+    }
+
+    sync(pose) {
+        this.target.copy(pose.lookAt);
+        this._offset.subVectors(pose.position, pose.lookAt);
+        this.spherical.setFromVector3(this._offset);
+        this.spherical.radius = Math.max(this.spherical.radius, this.minDistance);
+        this.targetSpherical.copy(this.spherical);
+    }
+
+    update({ rawDeltaTime }) {
+        const alpha = damp(this.lerpFactor, rawDeltaTime);
+        this.spherical.theta += (this.targetSpherical.theta - this.spherical.theta) * alpha;
+        this.spherical.phi += (this.targetSpherical.phi - this.spherical.phi) * alpha;
+        this.spherical.radius += (this.targetSpherical.radius - this.spherical.radius) * alpha;
+
+        this._offset.setFromSpherical(this.spherical);
+        this.position.copy(this.target).add(this._offset);
+        this.lookAt.copy(this.target);
+    }
+
+    dispose() {
+        this._unbind();
+    }
+}
+
+/**
+ * @class FlyController
+ * @extends CameraController
+ * @description Free-fly camera: WASD to move, Q/E down/up, Shift to
+ * speed up, drag to look around. Weight 0 until activate().
+ */
+class FlyController extends CameraController {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.speed] - Units per second (default: 5)
+     * @param {number} [options.boost] - Speed multiplier while Shift is held (default: 3)
+     * @param {number} [options.lookSpeed] - Radians per dragged pixel (default: 0.003)
+     */
+    constructor(options = {}) {
+        const {
+            speed = 5,
+            boost = 3,
+            lookSpeed = 0.003
+        } = options;
+
+        super({
+            name: 'fly',
+            order: CameraLayer.OVERRIDE,
+            mode: BlendMode.ABSOLUTE,
+            weight: 0,
+            enabled: false,
+            ...options
+        });
+
+        this.speed = speed;
+        this.boost = boost;
+        this.lookSpeed = lookSpeed;
+
+        /** @type {number} Heading in radians (0 = looking down -Z) */
+        this.yaw = 0;
+
+        /** @type {number} Pitch in radians (positive = up) */
+        this.pitch = 0;
+
+        /** @type {number} Distance of the look-at point in front of the camera */
+        this.focusDistance = 10;
+
+        /** @type {Set<string>} Pressed key codes */
+        this._keys = new Set();
+
+        this._forward = new THREE.Vector3();
+        this._right = new THREE.Vector3();
+        this._move = new THREE.Vector3();
+
+        this._drag = new DragInput((dx, dy) => {
+            this.yaw += dx * this.lookSpeed;
+            this.pitch = THREE.MathUtils.clamp(this.pitch - dy * this.lookSpeed, -1.5, 1.5);
+        });
+
+        this._onKeyDown = (event) => {
+            if (isUIEvent(event)) return;
+            this._keys.add(event.code);
+        };
+        this._onKeyUp = (event) => this._keys.delete(event.code);
+        this._onBlur = () => this._keys.clear();
+
+        /** @type {boolean} Input listeners attached */
+        this._bound = false;
+    }
+
+    activate(duration, fromPose) {
+        super.activate(duration, fromPose);
+
+        if (!this._bound) {
+            this._bound = true;
+            this._drag.bind();
+            window.addEventListener('keydown', this._onKeyDown);
+            window.addEventListener('keyup', this._onKeyUp);
+            window.addEventListener('blur', this._onBlur);
+        }
+    }
+
+    deactivate(duration) {
+        super.deactivate(duration);
+        this._unbind();
+    }
+
+    /**
+     * @private
+     */
+    _unbind() {
+        if (!this._bound) return;
+        this._bound = false;
+        this._keys.clear();
+        this._drag.unbind();
+        window.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('keyup', this._onKeyUp);
+        window.removeEventListener('blur', this._onBlur);
+    }
+
+    sync(pose) {
+        this.position.copy(pose.position);
+        this._forward.subVectors(pose.lookAt, pose.position);
+        this.focusDistance = this._forward.length() || 10;
+        this._forward.normalize();
+
+        this.yaw = Math.atan2(this._forward.x, -this._forward.z);
+        this.pitch = Math.asin(THREE.MathUtils.clamp(this._forward.y, -1, 1));
+    }
+
+    update({ rawDeltaTime }) {
+        const cosPitch = Math.cos(this.pitch);
+        this._forward.set(
+            Math.sin(this.yaw) * cosPitch,
+            Math.sin(this.pitch),
+            -Math.cos(this.yaw) * cosPitch
+        );
+        this._right.set(Math.cos(this.yaw), 0, Math.sin(this.yaw));
+
+        // Keyboard movement
+        const keys = this._keys;
+        this._move.set(0, 0, 0);
+        if (keys.has('KeyW')) this._move.add(this._forward);
+        if (keys.has('KeyS')) this._move.sub(this._forward);
+        if (keys.has('KeyD')) this._move.add(this._right);
+        if (keys.has('KeyA')) this._move.sub(this._right);
+        if (keys.has('KeyE')) this._move.y += 1;
+        if (keys.has('KeyQ')) this._move.y -= 1;
+
+        if (this._move.lengthSq() > 0) {
+            const boost = keys.has('ShiftLeft') || keys.has('ShiftRight') ? this.boost : 1;
+            this._move.normalize().multiplyScalar(this.speed * boost * rawDeltaTime);
+            this.position.add(this._move);
+        }
+
+        this.lookAt.copy(this.position).addScaledVector(this._forward, this.focusDistance);
+    }
+
+    dispose() {
+        this._unbind();
+    }
+}
+
+export {
+    CameraLayer,
+    BlendMode,
+    CameraPose,
+    CameraController,
+    TargetController,
+    ScrollPathController,
+    OffsetController,
+    ParallaxController,
+    PinchZoomController,
+    ShakePresets,
+    ShakeController,
+    OrbitController,
+    FlyController,
+    isUIEvent
+};
+export default CameraController;
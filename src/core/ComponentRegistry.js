@@ -0,0 +1,162 @@
+/**
+ * ComponentRegistry.js
+ * World Component Lifecycle Manager
+ *
+ * Holds world components (particles, cards, water...) in registration
+ * order and drives their lifecycle hooks generically, so new world
+ * objects can be added without touching Experience.
+ *
+ * Every hook is optional - a component implements only what it needs:
+ * - init(context)          Called once on register (scene, camera, renderer...)
+ * - update(elapsed, delta) Called every frame
+ * - resize(sizes)          Called on viewport resize
+ * - onQualityChange(data)  Called when PerformanceManager changes quality
+ * - onSceneEnter(data)     Called when the scroll scene changes
+ * - onViewOffset(view)     Called when rendering switches to/from tiles of a larger image
+ * - dispose()              Called on unregister / registry dispose
+ */
+
+/**
+ * @class ComponentRegistry
+ * @description Ordered registry that dispatches lifecycle hooks to world components
+ */
+class ComponentRegistry {
+    /**
+     * Create component registry
+     * @param {Object} context - Shared context passed to init() (scene, camera, renderer, ...)
+     */
+    constructor(context = {}) {
+        /** @type {Object} Shared context for components */
+        this.context = context;
+
+        /** @type {Map<string, Object>} Registered components (insertion ordered) */
+        this.components = new Map();
+    }
+
+    /**
+     * Register a component and initialize it
+     * @param {string} name - Unique component name
+     * @param {Object} component - Component instance
+     * @returns {Object} The registered component
+     */
+    register(name, component) {
+        if (this.components.has(name)) {
+            console.warn(`[ComponentRegistry] "${name}" already registered, replacing`);
+            this.unregister(name);
+        }
+
+        this.components.set(name, component);
+
+        if (typeof component.init === 'function') {
+            component.init(this.context);
+        }
+
+        return component;
+    }
+
+    /**
+     * Remove a component and dispose it
+     * @param {string} name
+     */
+    unregister(name) {
+        const component = this.components.get(name);
+        if (!component) return;
+
+        this.components.delete(name);
+
+        if (typeof component.dispose === 'function') {
+            component.dispose();
+        }
+    }
+
+    /**
+     * Get a component by name
+     * @param {string} name
+     * @returns {Object|undefined}
+     */
+    get(name) {
+        return this.components.get(name);
+    }
+
+    /**
+     * Check if a component is registered
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.components.has(name);
+    }
+
+    /**
+     * Update all components
+     * @param {number} elapsedTime
+     * @param {number} deltaTime
+     */
+    update(elapsedTime, deltaTime) {
+        this._invoke('update', elapsedTime, deltaTime);
+    }
+
+    /**
+     * Notify all components of a resize
+     * @param {Object} sizes - {width, height, pixelRatio}
+     */
+    resize(sizes) {
+        this._invoke('resize', sizes);
+    }
+
+    /**
+     * Notify all components of a quality change
+     * @param {Object} data - {level, previousLevel, preset}
+     */
+    qualityChange(data) {
+        this._invoke('onQualityChange', data);
+    }
+
+    /**
+     * Notify all components of a scroll scene change
+     * @param {Object} data - {from, to, scene}
+     */
+    sceneEnter(data) {
+        this._invoke('onSceneEnter', data);
+    }
+
+    /**
+     * Notify all components of a view offset change (tiled rendering)
+     * @param {Object|null} view - Tile {fullWidth, fullHeight, x, y, width, height, scale}, or null
+     */
+    viewOffset(view) {
+        this._invoke('onViewOffset', view);
+    }
+
+    /**
+     * Call a hook on every component that implements it.
+     * Errors are isolated so one broken component can't stop the frame.
+     * @param {string} hook - Method name
+     * @param {...*} args - Hook arguments
+     * @private
+     */
+    _invoke(hook, ...args) {
+        this.components.forEach((component, name) => {
+            if (typeof component[hook] !== 'function') return;
+
+            try {
+                component[hook](...args);
+            } catch (error) {
+                console.error(`[ComponentRegistry] Error in ${name}.${hook}():`, error);
+            }
+        });
+    }
+
+    /**
+     * Dispose all components (reverse registration order)
+     */
+    dispose() {
+        const names = Array.from(this.components.keys()).reverse();
+        names.forEach(name => this.unregister(name));
+
+        console.log('%c[ComponentRegistry] Disposed', 'color: #88ff88;');
+    }
+}
+
+export { ComponentRegistry };
+export default ComponentRegistry;
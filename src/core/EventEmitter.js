@@ -2,75 +2,221 @@
  * EventEmitter.js
  * Custom Event Emitter for Module Communication
  *
- * Provides a simple pub/sub pattern for loose coupling
+ * Provides a pub/sub pattern for loose coupling
  * between different parts of the application.
+ *
+ * Features:
+ * - Namespaced events ('scene:change') with wildcard subscriptions
+ *   ('scene:*' matches every 'scene:' event, '*' matches everything).
+ *   Wildcard listeners receive the event name as an extra last argument.
+ * - Listener priorities (higher runs first, equal priorities keep
+ *   subscription order)
+ * - once() returning an unsubscribe function
+ * - Error isolation: a throwing listener is reported and the
+ *   remaining listeners still run
+ */
+
+/**
+ * @typedef {Object} ListenerOptions
+ * @property {number} [priority=0] - Higher priority listeners run first
+ * @property {boolean} [once=false] - Remove after the first call
+ */
+
+/**
+ * Check whether an event name is a wildcard pattern
+ * @param {string} event
+ * @returns {boolean}
  */
+function isWildcard(event) {
+    return event === '*' || event.endsWith(':*');
+}
+
+/**
+ * Check whether a wildcard pattern matches an event name
+ * @param {string} pattern - '*' or 'namespace:*'
+ * @param {string} event
+ * @returns {boolean}
+ */
+function matchesPattern(pattern, event) {
+    if (pattern === '*') return true;
+    return event.startsWith(pattern.slice(0, -1));
+}
 
 /**
  * @class EventEmitter
- * @description Simple event emitter for pub/sub communication pattern
+ * @description Event emitter with namespaces, wildcards and priorities
  */
 class EventEmitter {
     constructor() {
-        /** @type {Map<string, Set<Function>>} Event listeners storage */
+        /** @type {Map<string, Array<Object>>} Event listeners storage (sorted by priority) */
         this.listeners = new Map();
+
+        /** @type {number} Subscription counter (keeps equal priorities in order) */
+        this._listenerSequence = 0;
     }
 
     /**
      * Subscribe to an event
-     * @param {string} event - Event name
+     * @param {string} event - Event name or wildcard pattern ('scene:*', '*')
      * @param {Function} callback - Callback function
+     * @param {ListenerOptions|number} [options] - Options, or a priority number
      * @returns {Function} Unsubscribe function
      */
-    on(event, callback) {
+    on(event, callback, options = {}) {
+        if (typeof callback !== 'function') {
+            throw new TypeError(`[EventEmitter] Listener for "${event}" must be a function`);
+        }
+
+        const { priority = 0, once = false } = typeof options === 'number'
+            ? { priority: options }
+            : options;
+
+        const listener = {
+            callback,
+            priority,
+            once,
+            sequence: this._listenerSequence++
+        };
+
         if (!this.listeners.has(event)) {
-            this.listeners.set(event, new Set());
+            this.listeners.set(event, []);
+        }
+
+        const list = this.listeners.get(event);
+
+        // Insert after every listener with the same or higher priority
+        let index = list.length;
+        while (index > 0 && list[index - 1].priority < priority) {
+            index--;
         }
-        this.listeners.get(event).add(callback);
+        list.splice(index, 0, listener);
 
         // Return unsubscribe function
-        return () => this.off(event, callback);
+        return () => this._removeListener(event, listener);
     }
 
     /**
      * Subscribe to an event only once
-     * @param {string} event - Event name
+     * @param {string} event - Event name or wildcard pattern
      * @param {Function} callback - Callback function
+     * @param {ListenerOptions|number} [options] - Options, or a priority number
+     * @returns {Function} Unsubscribe function
      */
-    once(event, callback) {
-        const onceCallback = (...args) => {
-            callback(...args);
-            this.off(event, onceCallback);
-        };
-        this.on(event, onceCallback);
+    once(event, callback, options = {}) {
+        const listenerOptions = typeof options === 'number' ? { priority: options } : options;
+        return this.on(event, callback, { ...listenerOptions, once: true });
     }
 
     /**
      * Unsubscribe from an event
-     * @param {string} event - Event name
-     * @param {Function} callback - Callback function to remove
+     * @param {string} event - Event name or wildcard pattern
+     * @param {Function} [callback] - Callback function to remove (all if omitted)
      */
     off(event, callback) {
-        if (this.listeners.has(event)) {
-            this.listeners.get(event).delete(callback);
+        if (!callback) {
+            this.listeners.delete(event);
+            return;
+        }
+
+        const list = this.listeners.get(event);
+        if (!list) return;
+
+        const listener = list.find(l => l.callback === callback);
+        if (listener) {
+            this._removeListener(event, listener);
+        }
+    }
+
+    /**
+     * Remove a listener entry
+     * @param {string} event
+     * @param {Object} listener
+     * @private
+     */
+    _removeListener(event, listener) {
+        const list = this.listeners.get(event);
+        if (!list) return;
+
+        const index = list.indexOf(listener);
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+
+        if (list.length === 0) {
+            this.listeners.delete(event);
         }
     }
 
     /**
      * Emit an event with data
-     * @param {string} event - Event name
+     * @param {string} event - Event name (no wildcards)
      * @param {...*} args - Arguments to pass to callbacks
+     * @returns {boolean} Whether any listener was called
      */
     emit(event, ...args) {
-        if (this.listeners.has(event)) {
-            this.listeners.get(event).forEach(callback => {
-                try {
-                    callback(...args);
-                } catch (error) {
-                    console.error(`[EventEmitter] Error in callback for "${event}":`, error);
+        const matched = this._collectListeners(event);
+        if (matched.length === 0) return false;
+
+        matched.forEach(({ listener, pattern }) => {
+            if (listener.once) {
+                this._removeListener(pattern, listener);
+            }
+
+            try {
+                if (pattern === event) {
+                    listener.callback(...args);
+                } else {
+                    listener.callback(...args, event);
                 }
-            });
+            } catch (error) {
+                this._handleListenerError(event, error);
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Gather listeners for an event, including wildcard subscribers,
+     * in priority order. Returns a snapshot so listeners can safely
+     * subscribe/unsubscribe while the event is being emitted.
+     * @param {string} event
+     * @returns {Array<{listener: Object, pattern: string}>}
+     * @private
+     */
+    _collectListeners(event) {
+        const matched = [];
+
+        this.listeners.forEach((list, pattern) => {
+            if (pattern !== event && !(isWildcard(pattern) && matchesPattern(pattern, event))) {
+                return;
+            }
+            list.forEach(listener => matched.push({ listener, pattern }));
+        });
+
+        // Merge exact and wildcard listeners (stable: priority, then subscription order)
+        matched.sort((a, b) =>
+            (b.listener.priority - a.listener.priority) ||
+            (a.listener.sequence - b.listener.sequence)
+        );
+
+        return matched;
+    }
+
+    /**
+     * Report a listener error without interrupting the other listeners.
+     * Forwarded to 'error' listeners when there are any.
+     * @param {string} event - Event that was being emitted
+     * @param {Error} error
+     * @private
+     */
+    _handleListenerError(event, error) {
+        if (event !== 'error' && this.listeners.has('error')) {
+            this.emit('error', error, event);
+            return;
         }
+
+        console.error(`[EventEmitter] Error in callback for "${event}":`, error);
     }
 
     /**
@@ -86,12 +232,12 @@ class EventEmitter {
     }
 
     /**
-     * Get listener count for an event
+     * Get listener count for an event (including matching wildcard listeners)
      * @param {string} event - Event name
      * @returns {number}
      */
     listenerCount(event) {
-        return this.listeners.has(event) ? this.listeners.get(event).size : 0;
+        return this._collectListeners(event).length;
     }
 }
 
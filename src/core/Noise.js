@@ -0,0 +1,63 @@
+/**
+ * Noise.js
+ * Seeded 1D Perlin Noise
+ *
+ * Smooth, continuous noise for motion that should wander rather than
+ * jitter (camera shake, idle drift). Unlike Math.random() per frame,
+ * the result does not depend on the frame rate: sample(t) is the same
+ * for the same t, and nearby t give nearby values.
+ */
+
+/** @type {number} Lattice size (power of two) */
+const TABLE_SIZE = 256;
+
+/**
+ * Quintic smoothstep (continuous first and second derivative)
+ * @param {number} t - 0-1
+ * @returns {number}
+ */
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * @class PerlinNoise
+ * @description 1D gradient noise with a seeded lattice
+ */
+class PerlinNoise {
+    /**
+     * Create a noise generator
+     * @param {Function} [random] - Random source returning [0, 1) (default: Math.random)
+     */
+    constructor(random = Math.random) {
+        /** @type {Float32Array} Gradient per lattice point (-1 to 1) */
+        this.gradients = new Float32Array(TABLE_SIZE);
+
+        for (let i = 0; i < TABLE_SIZE; i++) {
+            this.gradients[i] = random() * 2 - 1;
+        }
+    }
+
+    /**
+     * Sample the noise
+     * @param {number} t - Position (one lattice cell per unit)
+     * @returns {number} Roughly -1 to 1, 0 at integer positions
+     */
+    sample(t) {
+        const cell = Math.floor(t);
+        const x = t - cell;
+
+        const g0 = this.gradients[cell & (TABLE_SIZE - 1)];
+        const g1 = this.gradients[(cell + 1) & (TABLE_SIZE - 1)];
+
+        // Gradient contributions from both ends, blended smoothly.
+        // Peak magnitude of 1D Perlin is 0.5; scale to roughly -1..1.
+        const n0 = g0 * x;
+        const n1 = g1 * (x - 1);
+
+        return (n0 + (n1 - n0) * fade(x)) * 2;
+    }
+}
+
+export { PerlinNoise };
+export default PerlinNoise;
@@ -0,0 +1,98 @@
+/**
+ * Random.js
+ * Seeded Pseudo-Random Number Generator
+ *
+ * Small, fast mulberry32 generator used wherever the experience
+ * needs randomness that must be reproducible between runs
+ * (particle seeding, camera shake, shader hashes).
+ */
+
+/**
+ * Hash a string or number into a 32-bit unsigned integer
+ * @param {string|number} value
+ * @returns {number}
+ */
+function hashSeed(value) {
+    const str = String(value);
+    let h = 2166136261;
+
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+
+    return h >>> 0;
+}
+
+/**
+ * @class SeededRandom
+ * @description Deterministic random number generator (mulberry32)
+ */
+class SeededRandom {
+    /**
+     * Create a seeded generator
+     * @param {number} [seed] - Initial seed (random if omitted)
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        /** @type {number} Seed the generator was created with */
+        this.seed = seed >>> 0;
+
+        /** @type {number} Internal state */
+        this.state = this.seed;
+    }
+
+    /**
+     * Get next random number in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get random number in [min, max)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Reset generator to its seed (or a new seed)
+     * @param {number} [seed]
+     */
+    reset(seed = this.seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Create an independent generator derived from this seed.
+     * Consumers get their own stream so the order in which they
+     * draw numbers does not affect each other.
+     * @param {string|number} salt - Stream identifier
+     * @returns {SeededRandom}
+     */
+    fork(salt) {
+        return new SeededRandom(hashSeed(`${this.seed}:${salt}`));
+    }
+
+    /**
+     * Generate a non-deterministic seed
+     * @returns {number}
+     */
+    static generateSeed() {
+        return (Math.random() * 4294967296) >>> 0;
+    }
+}
+
+export { SeededRandom, hashSeed };
+export default SeededRandom;
@@ -8,18 +8,38 @@
  * - Antialiasing
  * - High-performance settings
  * - Tone mapping
+ * - Ordered render pipeline (single owner of all per-frame draws)
+ *
+ * Render Pipeline:
+ * Every frame, renderFrame() clears the main target once, then runs
+ * the registered stages in order. Components add stages instead of
+ * calling renderer.render() themselves:
+ * 1. BACKGROUND - drawn into the main target first (gradient, stars)
+ * 2. CAPTURE    - offscreen renders; App runs the budgeted tasks of
+ *                 time.scheduler here (glass capture, GPGPU compute)
+ * 3. MAIN       - the composer, or a plain render of the view
+ * 4. OVERLAY    - anything drawn on top of the final image
  */
 
 import * as THREE from 'three';
 
+/**
+ * Render stage order values (lower runs first)
+ * @readonly
+ * @enum {number}
+ */
+const RenderStage = {
+    BACKGROUND: 100,
+    CAPTURE: 200,
+    MAIN: 300,
+    OVERLAY: 400
+};
+
 /**
  * @class RendererManager
  * @description Manages WebGL 2.0 renderer with production settings
  */
 class RendererManager {
-    /** @type {RendererManager|null} Singleton instance */
-    static instance = null;
-
     /**
      * Create renderer manager
      * @param {HTMLCanvasElement} canvas - Canvas element
@@ -28,14 +48,11 @@ class RendererManager {
      * @param {boolean} options.alpha - Enable alpha channel (default: true)
      * @param {boolean} options.shadows - Enable shadow maps (default: true)
      * @param {string} options.powerPreference - Power preference (default: 'high-performance')
+     * @param {number} options.width - Initial drawing width in CSS pixels (default: window width)
+     * @param {number} options.height - Initial drawing height in CSS pixels (default: window height)
+     * @param {number} options.pixelRatio - Initial pixel ratio (default: min(devicePixelRatio, 2))
      */
     constructor(canvas, options = {}) {
-        // Singleton pattern
-        if (RendererManager.instance) {
-            return RendererManager.instance;
-        }
-        RendererManager.instance = this;
-
         // ==========================================
         // Configuration
         // ==========================================
@@ -44,7 +61,10 @@ class RendererManager {
             antialias = true,
             alpha = true,
             shadows = true,
-            powerPreference = 'high-performance'
+            powerPreference = 'high-performance',
+            width = window.innerWidth,
+            height = window.innerHeight,
+            pixelRatio = Math.min(window.devicePixelRatio, 2)
         } = options;
 
         /** @type {HTMLCanvasElement} */
@@ -67,10 +87,10 @@ class RendererManager {
         // ==========================================
 
         // Pixel ratio (capped at 2 for performance)
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(pixelRatio);
 
-        // Initial size
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        // Initial size - drawing buffer only, CSS controls the canvas box
+        this.renderer.setSize(width, height, false);
 
         // Color settings
         this.renderer.outputColorSpace = THREE.SRGBColorSpace;
@@ -95,6 +115,28 @@ class RendererManager {
 
         this.renderer.setClearColor(0x000000, alpha ? 0 : 1);
 
+        // ==========================================
+        // Render Pipeline
+        // ==========================================
+
+        /** @type {Array<Object>} Ordered stages {name, order, render, enabled} */
+        this.stages = [];
+
+        /** @type {THREE.Scene|null} Main scene */
+        this.scene = null;
+
+        /** @type {THREE.Camera|null} Main camera */
+        this.camera = null;
+
+        /** @type {EffectComposer|null} Post-processing composer for the main stage */
+        this.composer = null;
+
+        /** @type {boolean} Render main stage through the composer */
+        this.composerEnabled = true;
+
+        // Built-in main stage
+        this.addStage('main', (renderer, frame) => this._renderMain(frame), RenderStage.MAIN);
+
         // ==========================================
         // Performance Logging
         // ==========================================
@@ -125,12 +167,12 @@ class RendererManager {
     }
 
     /**
-     * Handle window resize
+     * Handle canvas resize
      * @param {Object} sizes - Viewport sizes {width, height, pixelRatio}
      */
     handleResize(sizes) {
-        this.renderer.setSize(sizes.width, sizes.height);
         this.renderer.setPixelRatio(sizes.pixelRatio);
+        this.renderer.setSize(sizes.width, sizes.height, false);
     }
 
     /**
@@ -142,6 +184,137 @@ class RendererManager {
         this.renderer.render(scene, camera);
     }
 
+    // ==========================================
+    // Render Pipeline
+    // ==========================================
+
+    /**
+     * Set the main scene and camera
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     */
+    setView(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+    }
+
+    /**
+     * Set the post-processing composer used by the main stage.
+     * Its first RenderPass must not clear, or it wipes the background stage.
+     * @param {EffectComposer|null} composer
+     */
+    setComposer(composer) {
+        this.composer = composer;
+    }
+
+    /**
+     * Enable/disable rendering the main stage through the composer
+     * @param {boolean} enabled
+     */
+    setComposerEnabled(enabled) {
+        this.composerEnabled = enabled;
+    }
+
+    /**
+     * Get the render target the main image is drawn into
+     * (the composer's input buffer, or the screen)
+     * @returns {THREE.WebGLRenderTarget|null}
+     */
+    getMainTarget() {
+        return this._usesComposer() ? this.composer.readBuffer : null;
+    }
+
+    /**
+     * Add a render stage
+     * @param {string} name - Unique stage name
+     * @param {Function} render - Called as render(renderer, frame); frame.target is the main target
+     * @param {number} [order=RenderStage.OVERLAY] - Sort order (see RenderStage)
+     * @returns {Function} Remove function
+     */
+    addStage(name, render, order = RenderStage.OVERLAY) {
+        this.removeStage(name);
+
+        this.stages.push({ name, order, render, enabled: true });
+
+        // Stable sort keeps registration order within the same order value
+        this.stages.sort((a, b) => a.order - b.order);
+
+        return () => this.removeStage(name);
+    }
+
+    /**
+     * Remove a render stage
+     * @param {string} name
+     */
+    removeStage(name) {
+        this.stages = this.stages.filter(stage => stage.name !== name);
+    }
+
+    /**
+     * Enable/disable a render stage
+     * @param {string} name
+     * @param {boolean} enabled
+     */
+    setStageEnabled(name, enabled) {
+        const stage = this.stages.find(s => s.name === name);
+        if (stage) {
+            stage.enabled = enabled;
+        }
+    }
+
+    /**
+     * Render one frame through all pipeline stages.
+     * This is the only place the main scene gets drawn.
+     * @param {Object} [frame] - Frame data {deltaTime, elapsedTime}
+     */
+    renderFrame(frame = {}) {
+        const renderer = this.renderer;
+        const autoClear = renderer.autoClear;
+
+        // Stages draw on top of each other - clearing is done once here
+        renderer.autoClear = false;
+
+        const target = this.getMainTarget();
+        renderer.setRenderTarget(target);
+        renderer.clear();
+
+        const stageFrame = { ...frame, target };
+
+        for (const stage of this.stages) {
+            if (stage.enabled) {
+                stage.render(renderer, stageFrame);
+            }
+        }
+
+        renderer.setRenderTarget(null);
+        renderer.autoClear = autoClear;
+    }
+
+    /**
+     * Whether the main stage renders through the composer
+     * @returns {boolean}
+     * @private
+     */
+    _usesComposer() {
+        return this.composerEnabled && this.composer !== null;
+    }
+
+    /**
+     * Built-in main stage
+     * @param {Object} frame
+     * @private
+     */
+    _renderMain(frame) {
+        if (!this.scene || !this.camera) return;
+
+        if (this._usesComposer()) {
+            this.composer.render(frame.deltaTime);
+        } else {
+            this.renderer.setRenderTarget(frame.target);
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
     /**
      * Set tone mapping exposure
      * @param {number} exposure - Exposure value
@@ -207,13 +380,15 @@ class RendererManager {
      * Clean up resources
      */
     dispose() {
+        this.stages = [];
+        this.composer = null;
+
         this.renderer.dispose();
         this.renderer.forceContextLoss();
-        RendererManager.instance = null;
 
         console.log('%c[Renderer] Disposed', 'color: #ff8844;');
     }
 }
 
-export { RendererManager };
+export { RendererManager, RenderStage };
 export default RendererManager;
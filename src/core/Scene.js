@@ -1,9 +1,9 @@
 /**
  * Scene.js
- * Scene Manager with Singleton Pattern
+ * Scene Manager
  *
  * Manages the Three.js scene with:
- * - Singleton pattern for global access
+ * - One scene per App instance
  * - Clean object management
  * - Disposal utilities
  */
@@ -12,34 +12,25 @@ import * as THREE from 'three';
 
 /**
  * @class SceneManager
- * @description Manages the Three.js scene with singleton pattern
+ * @description Manages the Three.js scene and tracked objects
  */
 class SceneManager {
-    /** @type {SceneManager|null} Singleton instance */
-    static instance = null;
-
     /**
      * Create scene manager
      * @param {Object} options - Scene configuration
-     * @param {number} options.backgroundColor - Background color (default: 0x000000)
+     * @param {number|null} options.backgroundColor - Background color (default: null = transparent)
      * @param {boolean} options.fog - Enable fog (default: false)
      * @param {number} options.fogColor - Fog color (default: 0x000000)
      * @param {number} options.fogNear - Fog near distance (default: 10)
      * @param {number} options.fogFar - Fog far distance (default: 50)
      */
     constructor(options = {}) {
-        // Singleton pattern
-        if (SceneManager.instance) {
-            return SceneManager.instance;
-        }
-        SceneManager.instance = this;
-
         // ==========================================
         // Configuration
         // ==========================================
 
         const {
-            backgroundColor = 0x000000,
+            backgroundColor = null,
             fog = false,
             fogColor = 0x000000,
             fogNear = 10,
@@ -53,8 +44,11 @@ class SceneManager {
         /** @type {THREE.Scene} Main scene */
         this.scene = new THREE.Scene();
 
-        // Set background
-        this.scene.background = new THREE.Color(backgroundColor);
+        // Set background (none by default: the render pipeline draws its
+        // background stage first, and a solid color would clear over it)
+        if (backgroundColor !== null) {
+            this.scene.background = new THREE.Color(backgroundColor);
+        }
 
         // ==========================================
         // Fog Setup
@@ -247,7 +241,6 @@ class SceneManager {
      */
     dispose() {
         this.clear();
-        SceneManager.instance = null;
 
         console.log('%c[Scene] Disposed', 'color: #88ff44;');
     }
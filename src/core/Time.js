@@ -5,9 +5,263 @@
  * Tracks delta time, elapsed time, and manages
  * the animation loop with requestAnimationFrame.
  * Provides FPS calculation for performance monitoring.
+ *
+ * Supports a deterministic fixed-timestep mode where every frame
+ * advances by exactly `fixedStep` seconds and frames can be stepped
+ * manually, together with a seed shared by all random consumers.
+ *
+ * Playback control: pause/resume, timeScale and seek. elapsedTime is
+ * accumulated from (scaled) frame deltas rather than derived from the
+ * wall clock, so it freezes while paused or while the tab is hidden.
+ *
+ * Frame budget: expensive per-frame work (offscreen captures, GPGPU
+ * compute...) is registered on `time.scheduler` with a priority and a
+ * target frequency instead of running unconditionally every tick.
+ * App runs the scheduler as the CAPTURE stage of the render pipeline,
+ * after all updates and before the main scene is drawn.
  */
 
 import { EventEmitter } from './EventEmitter.js';
+import { SeededRandom } from './Random.js';
+
+/**
+ * Scheduled task priorities (higher runs first)
+ * @readonly
+ * @enum {number}
+ */
+const TaskPriority = {
+    /** Never skipped, even over budget */
+    CRITICAL: 3,
+    HIGH: 2,
+    NORMAL: 1,
+    /** First to be skipped */
+    LOW: 0
+};
+
+/**
+ * @class Scheduler
+ * @description Runs registered tasks at their target frequency within a per-frame time budget
+ */
+class Scheduler {
+    /**
+     * Create scheduler
+     * @param {Time} time - Clock the scheduler follows
+     * @param {Object} options - Configuration options
+     * @param {number} [options.targetFPS] - Frame rate the budget is derived from
+     * @param {number} [options.budgetRatio] - Share of the frame tasks may use before skipping
+     *                                          (the rest is left for rendering)
+     */
+    constructor(time, options = {}) {
+        const {
+            targetFPS = 60,
+            budgetRatio = 0.6
+        } = options;
+
+        /** @type {Time} */
+        this.time = time;
+
+        /** @type {number} Share of the frame tasks may use */
+        this.budgetRatio = budgetRatio;
+
+        /** @type {number} Time budget per frame in ms (measured from frame start) */
+        this.budget = 0;
+
+        /** @type {Array<Object>} Registered tasks */
+        this.tasks = [];
+
+        /** @type {number} Tasks skipped in the last run (over budget) */
+        this.skippedLastFrame = 0;
+
+        /** @type {number} Tasks added so far (used to spread phases) */
+        this._taskCount = 0;
+
+        this.setTargetFPS(targetFPS);
+    }
+
+    /**
+     * Derive the frame budget from a target frame rate
+     * @param {number} fps
+     */
+    setTargetFPS(fps) {
+        this.budget = (1000 / fps) * this.budgetRatio;
+    }
+
+    /**
+     * Register a task
+     * @param {string} name - Unique task name
+     * @param {Function} callback - Called with {deltaTime, rawDeltaTime, elapsedTime, frame};
+     *                              deltas cover the whole time since the task last ran
+     * @param {Object} [options]
+     * @param {number} [options.priority] - TaskPriority (default NORMAL)
+     * @param {number} [options.frequency] - Target runs per second (0 = every frame)
+     * @param {boolean} [options.enabled] - Start enabled (default true)
+     * @returns {Function} Remove function
+     */
+    add(name, callback, options = {}) {
+        const {
+            priority = TaskPriority.NORMAL,
+            frequency = 0,
+            enabled = true
+        } = options;
+
+        this.remove(name);
+
+        const interval = frequency > 0 ? 1 / frequency : 0;
+
+        const task = {
+            name,
+            callback,
+            priority,
+            interval,
+            enabled,
+            // Golden-ratio phase so tasks with the same frequency
+            // land on different frames
+            pendingRaw: interval * ((this._taskCount++ * 0.618034) % 1),
+            pendingDelta: 0,
+            cost: 0,
+            skipped: 0,
+            runs: 0
+        };
+
+        this.tasks.push(task);
+
+        return () => this.remove(name);
+    }
+
+    /**
+     * Remove a task
+     * @param {string} name
+     */
+    remove(name) {
+        const index = this.tasks.findIndex(t => t.name === name);
+        if (index !== -1) {
+            this.tasks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Check whether a task is registered
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.tasks.some(t => t.name === name);
+    }
+
+    /**
+     * Enable/disable a task (disabled tasks don't accumulate time)
+     * @param {string} name
+     * @param {boolean} enabled
+     */
+    setEnabled(name, enabled) {
+        const task = this.tasks.find(t => t.name === name);
+        if (!task) return;
+
+        task.enabled = enabled;
+        if (!enabled) {
+            task.pendingDelta = 0;
+        }
+    }
+
+    /**
+     * Change a task's target frequency
+     * @param {string} name
+     * @param {number} frequency - Runs per second (0 = every frame)
+     */
+    setFrequency(name, frequency) {
+        const task = this.tasks.find(t => t.name === name);
+        if (task) {
+            task.interval = frequency > 0 ? 1 / frequency : 0;
+        }
+    }
+
+    /**
+     * Run the tasks due this frame.
+     * Due tasks run by priority (most overdue first within a priority);
+     * once the frame budget is spent the rest wait for a later frame.
+     * In fixed-step mode the budget is ignored so runs stay reproducible.
+     */
+    run() {
+        const { deltaTime, rawDeltaTime, elapsedTime, frame, frameStart, fixedStep } = this.time;
+        const enforceBudget = !fixedStep && this.budget > 0;
+        const due = [];
+
+        this.tasks.forEach(task => {
+            if (!task.enabled) return;
+
+            task.pendingDelta += deltaTime;
+            task.pendingRaw += rawDeltaTime;
+
+            if (task.pendingRaw >= task.interval) {
+                due.push(task);
+            }
+        });
+
+        due.sort((a, b) =>
+            (b.priority - a.priority) ||
+            (b.skipped - a.skipped) ||
+            (b.pendingRaw - a.pendingRaw)
+        );
+
+        this.skippedLastFrame = 0;
+
+        due.forEach(task => {
+            if (enforceBudget && task.priority < TaskPriority.CRITICAL &&
+                performance.now() - frameStart > this.budget) {
+                task.skipped++;
+                this.skippedLastFrame++;
+                return;
+            }
+
+            const start = performance.now();
+
+            try {
+                task.callback({
+                    deltaTime: task.pendingDelta,
+                    rawDeltaTime: task.pendingRaw,
+                    elapsedTime,
+                    frame
+                });
+            } catch (error) {
+                console.error(`[Scheduler] Error in task "${task.name}":`, error);
+            }
+
+            // Smoothed cost for stats
+            task.cost += (performance.now() - start - task.cost) * 0.1;
+            task.runs++;
+            task.skipped = 0;
+            task.pendingDelta = 0;
+
+            // Keep the phase, but don't queue up a burst of missed runs
+            task.pendingRaw = task.interval > 0
+                ? (task.pendingRaw - task.interval) % task.interval
+                : 0;
+        });
+    }
+
+    /**
+     * Get per-task statistics
+     * @returns {Array<Object>} {name, priority, frequency, enabled, cost (ms), runs, skipped}
+     */
+    getStats() {
+        return this.tasks.map(task => ({
+            name: task.name,
+            priority: task.priority,
+            frequency: task.interval > 0 ? 1 / task.interval : 0,
+            enabled: task.enabled,
+            cost: task.cost,
+            runs: task.runs,
+            skipped: task.skipped
+        }));
+    }
+
+    /**
+     * Remove all tasks
+     */
+    dispose() {
+        this.tasks = [];
+    }
+}
 
 /**
  * @class Time
@@ -15,9 +269,22 @@ import { EventEmitter } from './EventEmitter.js';
  * @description Manages time tracking and animation loop
  */
 class Time extends EventEmitter {
-    constructor() {
+    /**
+     * Create time manager
+     * @param {Object} options - Time configuration
+     * @param {number|null} [options.fixedStep] - Fixed frame duration in seconds (null = real time)
+     * @param {number} [options.seed] - Random seed (random if omitted)
+     * @param {boolean} [options.autoStart] - Start the requestAnimationFrame loop immediately
+     */
+    constructor(options = {}) {
         super();
 
+        const {
+            fixedStep = null,
+            seed = SeededRandom.generateSeed(),
+            autoStart = true
+        } = options;
+
         // ==========================================
         // Time Properties
         // ==========================================
@@ -31,15 +298,50 @@ class Time extends EventEmitter {
         /** @type {number} Previous frame timestamp */
         this.previousTime = this.startTime;
 
-        /** @type {number} Time elapsed since start (seconds) */
+        /** @type {number} Scaled time elapsed since start (seconds) */
         this.elapsedTime = 0;
 
-        /** @type {number} Time since last frame (seconds) */
+        /** @type {number} Scaled time since last frame (seconds) */
         this.deltaTime = 0.016; // Default to ~60fps
 
+        /** @type {number} Unscaled time since last frame (seconds) */
+        this.rawDeltaTime = 0.016;
+
+        /** @type {number} Monotonic scaled time for tweens (unaffected by seek) */
+        this.tweenTime = 0;
+
         /** @type {number} Current frame number */
         this.frame = 0;
 
+        /** @type {number|null} Fixed frame duration in seconds (null = real time) */
+        this.fixedStep = fixedStep;
+
+        /** @type {number} performance.now() at the start of the current frame */
+        this.frameStart = performance.now();
+
+        // ==========================================
+        // Playback Control
+        // ==========================================
+
+        /** @type {boolean} Whether time is frozen (ticks continue with deltaTime 0) */
+        this.isPaused = false;
+
+        /** @type {number} Playback speed multiplier (1 = normal, 0.5 = slow motion) */
+        this.timeScale = 1;
+
+        // ==========================================
+        // Randomness
+        // ==========================================
+
+        /** @type {number} Seed shared by all random consumers */
+        this.seed = seed >>> 0;
+
+        /** @type {SeededRandom} Root generator - fork() it per consumer */
+        this.random = new SeededRandom(this.seed);
+
+        /** @type {number} Small float derived from the seed for shader hashes */
+        this.shaderSeed = (this.seed % 1000) / 10;
+
         // ==========================================
         // FPS Tracking
         // ==========================================
@@ -53,6 +355,13 @@ class Time extends EventEmitter {
         /** @type {number} Current calculated FPS */
         this.fps = 60;
 
+        // ==========================================
+        // Task Scheduler
+        // ==========================================
+
+        /** @type {Scheduler} Budgeted per-frame task runner */
+        this.scheduler = new Scheduler(this);
+
         // ==========================================
         // Animation Frame
         // ==========================================
@@ -64,7 +373,9 @@ class Time extends EventEmitter {
         this.isRunning = false;
 
         // Start the loop
-        this.start();
+        if (autoStart) {
+            this.start();
+        }
     }
 
     /**
@@ -107,37 +418,116 @@ class Time extends EventEmitter {
 
         // Calculate times
         this.currentTime = Date.now();
-        this.deltaTime = (this.currentTime - this.previousTime) / 1000; // Convert to seconds
-        this.elapsedTime = (this.currentTime - this.startTime) / 1000;
+        const frameDelta = (this.currentTime - this.previousTime) / 1000; // Convert to seconds
+
+        // Update FPS tracking from wall-clock time
+        this.updateFPS(frameDelta);
+
+        // Store previous time
+        this.previousTime = this.currentTime;
 
         // Clamp deltaTime to prevent huge jumps (e.g., when tab is inactive)
-        this.deltaTime = Math.min(this.deltaTime, 0.1);
+        this._advance(this.fixedStep || Math.min(frameDelta, 0.1));
+    }
+
+    /**
+     * Freeze elapsed time. The loop keeps ticking with deltaTime 0
+     * so the frozen frame can still be rendered and inspected.
+     */
+    pause() {
+        if (this.isPaused) return;
+
+        this.isPaused = true;
+        this.emit('pause', { elapsedTime: this.elapsedTime });
+    }
+
+    /**
+     * Resume after pause without a delta spike
+     */
+    resume() {
+        if (!this.isPaused) return;
 
-        // Update FPS tracking
-        this.updateFPS();
+        this.isPaused = false;
+
+        // Discard the wall-clock time spent paused
+        this.previousTime = Date.now();
+
+        this.emit('resume', { elapsedTime: this.elapsedTime });
+    }
+
+    /**
+     * Set playback speed
+     * @param {number} scale - Speed multiplier (0 = frozen, 1 = normal)
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    /**
+     * Jump to an absolute elapsed time.
+     * Components that derive their state from elapsedTime follow on the
+     * next tick; tweens keep running on their own monotonic clock.
+     * @param {number} time - Target elapsed time in seconds
+     */
+    seek(time) {
+        this.elapsedTime = Math.max(0, time);
+        this.emit('seek', { elapsedTime: this.elapsedTime });
+    }
+
+    /**
+     * Advance the clock manually by a number of frames.
+     * Uses the fixed step (or 1/60s if none is set), so it can drive
+     * frame-exact renders with the loop stopped.
+     * @param {number} [count=1] - Number of frames to advance
+     */
+    step(count = 1) {
+        const stepSize = this.fixedStep || 1 / 60;
+
+        for (let i = 0; i < count; i++) {
+            // Stepping works while paused (frame-by-frame inspection)
+            this._advance(stepSize, true);
+        }
+    }
+
+    /**
+     * Set fixed frame duration
+     * @param {number|null} step - Seconds per frame (null = real time)
+     */
+    setFixedStep(step) {
+        this.fixedStep = step;
+        this.previousTime = Date.now();
+    }
+
+    /**
+     * Apply a frame's timing and emit the tick event
+     * @private
+     * @param {number} rawDelta - Unscaled frame duration in seconds
+     * @param {boolean} [ignorePause=false] - Advance even when paused
+     */
+    _advance(rawDelta, ignorePause = false) {
+        const frozen = this.isPaused && !ignorePause;
+
+        this.frameStart = performance.now();
+        this.rawDeltaTime = rawDelta;
+        this.deltaTime = frozen ? 0 : rawDelta * this.timeScale;
+        this.elapsedTime += this.deltaTime;
+        this.tweenTime += this.deltaTime;
 
         // Increment frame counter
         this.frame++;
 
-        // Store previous time
-        this.previousTime = this.currentTime;
-
         // Emit tick event with timing data
-        this.emit('tick', {
-            deltaTime: this.deltaTime,
-            elapsedTime: this.elapsedTime,
-            frame: this.frame,
-            fps: this.fps
-        });
+        this.emit('tick', this.getTimingData());
     }
 
     /**
      * Update FPS calculation
      * @private
+     * @param {number} [frameDelta] - Wall-clock frame duration in seconds
      */
-    updateFPS() {
+    updateFPS(frameDelta = this.deltaTime) {
         // Add current frame time
-        this.frameTimes.push(this.deltaTime);
+        this.frameTimes.push(frameDelta);
 
         // Keep only recent samples
         if (this.frameTimes.length > this.fpsSampleSize) {
@@ -158,14 +548,19 @@ class Time extends EventEmitter {
     getTimingData() {
         return {
             deltaTime: this.deltaTime,
+            rawDeltaTime: this.rawDeltaTime,
             elapsedTime: this.elapsedTime,
             frame: this.frame,
-            fps: this.fps
+            fps: this.fps,
+            isPaused: this.isPaused,
+            timeScale: this.timeScale,
+            fixedStep: this.fixedStep,
+            seed: this.seed
         };
     }
 
     /**
-     * Reset the timer
+     * Reset the timer (and the random stream)
      */
     reset() {
         this.startTime = Date.now();
@@ -173,9 +568,11 @@ class Time extends EventEmitter {
         this.previousTime = this.startTime;
         this.elapsedTime = 0;
         this.deltaTime = 0.016;
+        this.rawDeltaTime = 0.016;
         this.frame = 0;
         this.frameTimes = [];
         this.fps = 60;
+        this.random.reset();
     }
 
     /**
@@ -183,9 +580,10 @@ class Time extends EventEmitter {
      */
     dispose() {
         this.stop();
+        this.scheduler.dispose();
         this.removeAllListeners();
     }
 }
 
-export { Time };
+export { Time, Scheduler, TaskPriority };
 export default Time;
@@ -0,0 +1,81 @@
+/**
+ * Tweens.js
+ * Per-App Tween Timeline
+ *
+ * gsap advances its global timeline from its own ticker, so tweens
+ * started there ignore an App's pause, time scale and fixed steps - and
+ * driving the global timeline from one App's clock would retime every
+ * other App's tweens too. Each App instead owns a paused timeline that
+ * it advances from its own clock. Components receive it as their
+ * `tweens` option and call to() / from() as they would on gsap:
+ *
+ *     this.tweens = tweens || gsap;
+ *     this.tweens.to(material.uniforms.uOpacity, { value: 1, duration: 0.5 });
+ *
+ * Tweens start at the current playhead, not queued after each other.
+ * Seeking the clock does not rewind them.
+ */
+
+import gsap from 'gsap';
+
+/**
+ * @class Tweens
+ * @description A paused gsap timeline advanced by one App's clock
+ */
+class Tweens {
+    constructor() {
+        /** @type {gsap.core.Timeline} Timeline holding this App's tweens (completed ones are removed) */
+        this.timeline = gsap.timeline({ paused: true, autoRemoveChildren: true });
+    }
+
+    /**
+     * Tween to values, starting now
+     * @param {Object|Array} targets
+     * @param {Object} vars - gsap tween vars
+     * @returns {gsap.core.Tween}
+     */
+    to(targets, vars) {
+        return this._add(gsap.to(targets, vars));
+    }
+
+    /**
+     * Tween from values, starting now
+     * @param {Object|Array} targets
+     * @param {Object} vars - gsap tween vars
+     * @returns {gsap.core.Tween}
+     */
+    from(targets, vars) {
+        return this._add(gsap.from(targets, vars));
+    }
+
+    /**
+     * Move a new tween onto the timeline at the playhead
+     * @param {gsap.core.Tween} tween
+     * @returns {gsap.core.Tween} The tween (not the timeline, so kill() only stops it)
+     * @private
+     */
+    _add(tween) {
+        this.timeline.add(tween, this.timeline.time());
+        return tween;
+    }
+
+    /**
+     * Move the tweens forward
+     * @param {number} deltaTime - Scaled seconds (0 while paused)
+     */
+    advance(deltaTime) {
+        if (deltaTime > 0) {
+            this.timeline.time(this.timeline.time() + deltaTime);
+        }
+    }
+
+    /**
+     * Clean up resources (running tweens stop where they are)
+     */
+    dispose() {
+        this.timeline.kill();
+    }
+}
+
+export { Tweens };
+export default Tweens;
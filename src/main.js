@@ -8,8 +8,16 @@
  * - Error handling and fallbacks
  * - Debug mode support
  *
- * Debug Mode: Add #debug to URL to enable debug controls
- * Example: http://localhost:5173/#debug
+ * Debug Mode: Add ?debug to URL to enable debug controls
+ * Example: http://localhost:5173/?debug
+ *
+ * Deep Links: the URL follows the scroll position (#<scene>, ?p=<0-1>
+ * within it); opening such a URL starts there
+ * Example: http://localhost:5173/?scene=spineReveal&p=0.5
+ *
+ * Deterministic Mode: ?seed=<int> fixes all randomness, ?fps=<n> runs
+ * the clock on a fixed 1/n second step (frame-exact, reproducible renders)
+ * Example: http://localhost:5173/?seed=42&fps=60
  */
 
 import * as THREE from 'three';
@@ -20,6 +28,7 @@ import { LoadingScreen } from './utils/LoadingScreen.js';
 
 // Main experience
 import { Experience } from './Experience.js';
+import { Debug } from './utils/Debug.js';
 
 // ==========================================
 // Global State
@@ -74,6 +83,27 @@ function getWebGLCapabilities(gl) {
     };
 }
 
+/**
+ * Read deterministic time options from the URL query
+ * @returns {Object} Time options for Experience
+ */
+function getTimeOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const options = {};
+
+    const seed = parseInt(params.get('seed'), 10);
+    if (Number.isFinite(seed)) {
+        options.seed = seed;
+    }
+
+    const fps = parseFloat(params.get('fps'));
+    if (Number.isFinite(fps) && fps > 0) {
+        options.fixedStep = 1 / fps;
+    }
+
+    return options;
+}
+
 // ==========================================
 // Application Initialization
 // ==========================================
@@ -134,6 +164,9 @@ async function init() {
 
     try {
         experience = new Experience(canvas, {
+            // Optional fixed-step clock / seed from URL
+            time: getTimeOptions(),
+
             // Pass loading progress callback
             onProgress: (progress, status) => {
                 // Scale progress from 15-90 for experience loading
@@ -170,7 +203,7 @@ async function init() {
     // Expose to window for debugging
     // ==========================================
 
-    if (window.location.hash === '#debug') {
+    if (Debug.isActive()) {
         window.experience = experience;
         window.THREE = THREE;
         window.loadingScreen = loadingScreen;
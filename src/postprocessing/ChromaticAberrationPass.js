@@ -11,6 +11,7 @@
 
 import * as THREE from 'three';
 import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { createViewOffsetUniform, applyViewOffset } from './ViewOffset.js';
 
 /**
  * Chromatic Aberration Vertex Shader
@@ -39,6 +40,7 @@ uniform vec2 uDirection;
 uniform vec2 uCenter;
 uniform float uTime;
 uniform bool uAnimated;
+uniform vec4 uViewOffset;   // Tile origin/size in full-frame UV (tiled rendering)
 
 varying vec2 vUv;
 
@@ -46,11 +48,15 @@ void main() {
     vec2 uv = vUv;
     vec2 center = uCenter;
 
+    // Offsets are computed in full-frame UV and scaled into tile UV
+    vec2 screenUv = uViewOffset.xy + uv * uViewOffset.zw;
+    vec2 toTile = 1.0 / uViewOffset.zw;
+
     // ==========================================
     // Calculate Radial Distance
     // ==========================================
 
-    vec2 toCenter = uv - center;
+    vec2 toCenter = screenUv - center;
     float dist = length(toCenter);
 
     // Radial intensity falloff (stronger at edges)
@@ -90,9 +96,9 @@ void main() {
     // Sample Each Channel
     // ==========================================
 
-    float r = texture2D(tDiffuse, uv + redOffset).r;
-    float g = texture2D(tDiffuse, uv + greenOffset).g;
-    float b = texture2D(tDiffuse, uv + blueOffset).b;
+    float r = texture2D(tDiffuse, uv + redOffset * toTile).r;
+    float g = texture2D(tDiffuse, uv + greenOffset * toTile).g;
+    float b = texture2D(tDiffuse, uv + blueOffset * toTile).b;
 
     // Get alpha from center sample
     float a = texture2D(tDiffuse, uv).a;
@@ -103,7 +109,7 @@ void main() {
 
     // Add slight lens distortion effect
     float barrelStrength = 0.02 * uIntensity * 10.0;
-    vec2 distortedUV = uv + toCenter * dist * dist * barrelStrength;
+    vec2 distortedUV = uv + toCenter * dist * dist * barrelStrength * toTile;
 
     // Blend with distorted sample
     vec3 distortedColor = texture2D(tDiffuse, distortedUV).rgb;
@@ -147,7 +153,8 @@ class ChromaticAberrationPass extends Pass {
             uDirection: { value: direction.clone().normalize() },
             uCenter: { value: center },
             uTime: { value: 0 },
-            uAnimated: { value: animated }
+            uAnimated: { value: animated },
+            uViewOffset: createViewOffsetUniform()
         };
 
         this.material = new THREE.ShaderMaterial({
@@ -163,6 +170,9 @@ class ChromaticAberrationPass extends Pass {
         // Store for external access
         this.intensity = intensity;
         this.radialIntensity = radialIntensity;
+
+        /** @type {number} Extra intensity on top of intensity (e.g. scroll speed) */
+        this.boost = 0;
     }
 
     /**
@@ -171,7 +181,17 @@ class ChromaticAberrationPass extends Pass {
      */
     setIntensity(value) {
         this.intensity = value;
-        this.uniforms.uIntensity.value = value;
+        this.uniforms.uIntensity.value = value + this.boost;
+    }
+
+    /**
+     * Set intensity added on top of setIntensity, so a temporary
+     * effect doesn't overwrite the animated base value
+     * @param {number} value - Extra intensity
+     */
+    setBoost(value) {
+        this.boost = value;
+        this.uniforms.uIntensity.value = this.intensity + value;
     }
 
     /**
@@ -235,6 +255,14 @@ class ChromaticAberrationPass extends Pass {
         this.fsQuad.render(renderer);
     }
 
+    /**
+     * Render as a tile of a larger image (screen-space effects use full-frame coordinates)
+     * @param {ViewOffset|null} view - Tile, or null for the full frame
+     */
+    setViewOffset(view) {
+        applyViewOffset(this.uniforms.uViewOffset, view);
+    }
+
     /**
      * Dispose resources
      */
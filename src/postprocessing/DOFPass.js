@@ -8,6 +8,7 @@
  * - Aperture control (blur amount)
  * - Depth-based focus falloff
  * - Hexagonal bokeh shape option
+ * - Autofocus: tracks the distance to a target object or point
  */
 
 import * as THREE from 'three';
@@ -45,6 +46,7 @@ uniform float uBokehScale;     // Bokeh size multiplier
 uniform bool uHexagonal;       // Use hexagonal bokeh shape
 uniform float uFocusRange;     // Range around focus that stays sharp
 uniform float uTime;
+uniform float uViewScale;      // Output pixels per screen pixel (tiled rendering)
 
 varying vec2 vUv;
 
@@ -105,7 +107,7 @@ vec3 bokehBlur(vec2 uv, float coc) {
     vec2 pixelSize = 1.0 / uResolution;
 
     // Maximum blur radius in pixels
-    float maxRadius = uMaxBlur * uBokehScale;
+    float maxRadius = uMaxBlur * uBokehScale * uViewScale;
     float radius = coc * maxRadius;
 
     // Early exit for minimal blur
@@ -232,6 +234,7 @@ class DOFPass extends Pass {
             bokehScale = 3.0,
             hexagonal = false,
             focusRange = 2.0,
+            focusSpeed = 0.1,
             width = window.innerWidth,
             height = window.innerHeight
         } = options;
@@ -267,7 +270,8 @@ class DOFPass extends Pass {
             uBokehScale: { value: bokehScale },
             uHexagonal: { value: hexagonal },
             uFocusRange: { value: focusRange },
-            uTime: { value: 0 }
+            uTime: { value: 0 },
+            uViewScale: { value: 1 }
         };
 
         // ==========================================
@@ -288,6 +292,22 @@ class DOFPass extends Pass {
         this.focus = focus;
         this.aperture = aperture;
         this.maxBlur = maxBlur;
+
+        // ==========================================
+        // Autofocus
+        // ==========================================
+
+        /** @type {THREE.Object3D|THREE.Vector3|null} Tracked focus target */
+        this.focusTarget = null;
+
+        /** @type {number|null} Current focus distance in world units (null = manual focus) */
+        this.focusDistance = null;
+
+        /** @type {number} Focus pull smoothing per frame at 60fps (1 = instant) */
+        this.focusSpeed = focusSpeed;
+
+        /** @type {THREE.Vector3} Target world position (scratch) */
+        this._targetPosition = new THREE.Vector3();
     }
 
     /**
@@ -299,6 +319,70 @@ class DOFPass extends Pass {
         this.uniforms.uFocus.value = value;
     }
 
+    /**
+     * Focus on an object or point; the focus distance follows it every
+     * frame as the camera or target moves. null returns to manual focus.
+     * @param {THREE.Object3D|THREE.Vector3|null} target - Target (objects use their world position)
+     * @param {boolean} [immediate=false] - Snap focus instead of pulling it
+     */
+    setFocusTarget(target, immediate = false) {
+        this.focusTarget = target;
+
+        if (!target) {
+            this.focusDistance = null;
+            this.setFocus(this.focus);
+            return;
+        }
+
+        if (immediate) {
+            this.focusDistance = null;
+            this._updateAutofocus(0);
+        }
+    }
+
+    /**
+     * Set focus by distance from the camera (view-space depth)
+     * @param {number} distance - World units in front of the camera
+     */
+    setFocusDistance(distance) {
+        const { near, far } = this.camera;
+        const depth = THREE.MathUtils.clamp(distance, near, far);
+
+        // Inverse of linearizeDepth() in the shader (perspective depth buffer)
+        const ndcZ = (far + near - (2 * near * far) / depth) / (far - near);
+
+        this.focusDistance = distance;
+        this.uniforms.uFocus.value = ndcZ * 0.5 + 0.5;
+    }
+
+    /**
+     * Pull focus toward the focus target
+     * @param {number} deltaTime - Seconds (0 = snap)
+     * @private
+     */
+    _updateAutofocus(deltaTime) {
+        const target = this.focusTarget;
+        if (!target) return;
+
+        if (target.isObject3D) {
+            target.getWorldPosition(this._targetPosition);
+        } else {
+            this._targetPosition.copy(target);
+        }
+
+        // View-space depth (what the depth buffer stores), not straight-line distance
+        this._targetPosition.applyMatrix4(this.camera.matrixWorldInverse);
+        const distance = Math.max(-this._targetPosition.z, this.camera.near);
+
+        if (this.focusDistance === null || deltaTime <= 0) {
+            this.setFocusDistance(distance);
+            return;
+        }
+
+        const t = 1 - Math.pow(1 - this.focusSpeed, deltaTime * 60);
+        this.setFocusDistance(this.focusDistance + (distance - this.focusDistance) * t);
+    }
+
     /**
      * Set aperture (blur amount)
      * @param {number} value - Aperture value (0.001-0.1 recommended)
@@ -341,6 +425,15 @@ class DOFPass extends Pass {
         this.uniforms.uBokehScale.value = scale;
     }
 
+    /**
+     * Render as a tile of a larger image - blur radii are in pixels,
+     * so they grow with the output resolution to keep the same look
+     * @param {Object|null} view - Tile {scale, ...}, or null for the full frame
+     */
+    setViewOffset(view) {
+        this.uniforms.uViewScale.value = view ? view.scale : 1;
+    }
+
     /**
      * Update camera parameters
      */
@@ -371,6 +464,9 @@ class DOFPass extends Pass {
         // Update time
         this.uniforms.uTime.value += deltaTime;
 
+        // Track the focus target
+        this._updateAutofocus(deltaTime);
+
         // ==========================================
         // Render Scene to Depth Target
         // ==========================================
@@ -378,8 +474,9 @@ class DOFPass extends Pass {
         // Store current render target
         const currentRenderTarget = renderer.getRenderTarget();
 
-        // Render scene to get depth
+        // Render scene to get depth (the pipeline disables autoClear)
         renderer.setRenderTarget(this.depthTarget);
+        renderer.clear();
         renderer.render(this.scene, this.camera);
 
         // Restore render target
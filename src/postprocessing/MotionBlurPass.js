@@ -0,0 +1,181 @@
+/**
+ * MotionBlurPass.js
+ * Custom Post-Processing Pass for Radial Motion Blur
+ *
+ * Features:
+ * - Zoom-style blur streaking away from a center point
+ * - Stronger toward the edges, sharp in the middle
+ * - Skipped entirely while the amount is zero
+ */
+
+import * as THREE from 'three';
+import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { createViewOffsetUniform, applyViewOffset } from './ViewOffset.js';
+
+/** @type {number} Amount below which the pass is skipped */
+const MIN_AMOUNT = 0.0005;
+
+/**
+ * Motion Blur Vertex Shader
+ * Simple fullscreen quad shader
+ */
+const MotionBlurVertexShader = `
+varying vec2 vUv;
+
+void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+/**
+ * Motion Blur Fragment Shader
+ * Averages samples along the line toward the center
+ */
+const MotionBlurFragmentShader = `
+precision highp float;
+
+#define SAMPLES 12
+
+uniform sampler2D tDiffuse;
+uniform float uAmount;          // Streak length as a fraction of the distance to the center
+uniform vec2 uCenter;
+uniform vec4 uViewOffset;       // Tile origin/size in full-frame UV (tiled rendering)
+
+varying vec2 vUv;
+
+void main() {
+    // Streaks are computed in full-frame UV and scaled into tile UV
+    vec2 screenUv = uViewOffset.xy + vUv * uViewOffset.zw;
+    vec2 streak = (uCenter - screenUv) * uAmount / uViewOffset.zw;
+
+    vec4 color = vec4(0.0);
+    float total = 0.0;
+
+    for (int i = 0; i < SAMPLES; i++) {
+        float t = float(i) / float(SAMPLES - 1);
+
+        // Nearer samples weigh more, so edges smear instead of ghosting
+        float weight = 1.0 - t * 0.5;
+
+        color += texture2D(tDiffuse, vUv + streak * t) * weight;
+        total += weight;
+    }
+
+    gl_FragColor = color / total;
+}
+`;
+
+/**
+ * @class MotionBlurPass
+ * @extends Pass
+ * @description Custom post-processing pass for radial motion blur (e.g. driven by scroll speed)
+ */
+class MotionBlurPass extends Pass {
+    /**
+     * Create motion blur pass
+     * @param {Object} options - Pass options
+     * @param {number} [options.amount] - Streak length (0-0.2; default: 0)
+     * @param {THREE.Vector2} [options.center] - Blur center in screen UV (default: 0.5, 0.5)
+     */
+    constructor(options = {}) {
+        super();
+
+        const {
+            amount = 0,
+            center = new THREE.Vector2(0.5, 0.5)
+        } = options;
+
+        this.uniforms = {
+            tDiffuse: { value: null },
+            uAmount: { value: 0 },
+            uCenter: { value: center },
+            uViewOffset: createViewOffsetUniform()
+        };
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: MotionBlurVertexShader,
+            fragmentShader: MotionBlurFragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.fsQuad = new FullScreenQuad(this.material);
+
+        /** @type {boolean} User toggle (enabled itself follows the amount) */
+        this.active = true;
+
+        /** @type {number} Current streak length */
+        this.amount = 0;
+
+        this.setAmount(amount);
+    }
+
+    /**
+     * Set the blur amount. The pass disables itself at zero, so it
+     * costs nothing while the page isn't moving.
+     * @param {number} value - Streak length as a fraction of the distance to the center (0-0.2)
+     */
+    setAmount(value) {
+        this.amount = value;
+        this.uniforms.uAmount.value = value;
+        this.enabled = this.active && value > MIN_AMOUNT;
+    }
+
+    /**
+     * Turn the effect on or off
+     * @param {boolean} active
+     */
+    setActive(active) {
+        this.active = active;
+        this.setAmount(this.amount);
+    }
+
+    /**
+     * Set the point streaks converge on
+     * @param {number} x - X coordinate (0-1)
+     * @param {number} y - Y coordinate (0-1)
+     */
+    setCenter(x, y) {
+        this.uniforms.uCenter.value.set(x, y);
+    }
+
+    /**
+     * Render the pass
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.WebGLRenderTarget} writeBuffer
+     * @param {THREE.WebGLRenderTarget} readBuffer
+     */
+    render(renderer, writeBuffer, readBuffer) {
+        this.uniforms.tDiffuse.value = readBuffer.texture;
+
+        if (this.renderToScreen) {
+            renderer.setRenderTarget(null);
+        } else {
+            renderer.setRenderTarget(writeBuffer);
+            if (this.clear) renderer.clear();
+        }
+
+        this.fsQuad.render(renderer);
+    }
+
+    /**
+     * Render as a tile of a larger image (screen-space effects use full-frame coordinates)
+     * @param {ViewOffset|null} view - Tile, or null for the full frame
+     */
+    setViewOffset(view) {
+        applyViewOffset(this.uniforms.uViewOffset, view);
+    }
+
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.material.dispose();
+        this.fsQuad.dispose();
+    }
+}
+
+export { MotionBlurPass };
+export default MotionBlurPass;
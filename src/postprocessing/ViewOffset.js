@@ -0,0 +1,58 @@
+/**
+ * ViewOffset.js
+ * Tiled Rendering Support for Screen-Space Effects
+ *
+ * When a frame is rendered in tiles (camera.setViewOffset), effects
+ * that depend on the position on screen - vignette, radial aberration,
+ * the background gradient - have to work in full-frame coordinates
+ * instead of the tile's own 0-1 UVs, or every tile gets its own vignette.
+ *
+ * Such effects take a `uViewOffset` vec4: xy = tile origin and
+ * zw = tile size, in full-frame UV space (y up). (0, 0, 1, 1) = no tiling.
+ *
+ *     vec2 screenUv = uViewOffset.xy + vUv * uViewOffset.zw;
+ */
+
+import * as THREE from 'three';
+
+/**
+ * @typedef {Object} ViewOffset
+ * @property {number} fullWidth - Full image width in pixels
+ * @property {number} fullHeight - Full image height in pixels
+ * @property {number} x - Tile left edge in pixels (from the left)
+ * @property {number} y - Tile top edge in pixels (from the top)
+ * @property {number} width - Tile width in pixels
+ * @property {number} height - Tile height in pixels
+ * @property {number} scale - Full image height relative to the on-screen canvas height
+ */
+
+/**
+ * Create a uViewOffset uniform (no tiling)
+ * @returns {Object} Uniform {value: THREE.Vector4}
+ */
+function createViewOffsetUniform() {
+    return { value: new THREE.Vector4(0, 0, 1, 1) };
+}
+
+/**
+ * Write a view offset into a uViewOffset uniform
+ * @param {Object} uniform - Uniform created by createViewOffsetUniform()
+ * @param {ViewOffset|null} view - Tile, or null for the full frame
+ */
+function applyViewOffset(uniform, view) {
+    if (!view) {
+        uniform.value.set(0, 0, 1, 1);
+        return;
+    }
+
+    const { fullWidth, fullHeight, x, y, width, height } = view;
+
+    uniform.value.set(
+        x / fullWidth,
+        1 - (y + height) / fullHeight,   // setViewOffset measures y from the top
+        width / fullWidth,
+        height / fullHeight
+    );
+}
+
+export { createViewOffsetUniform, applyViewOffset };
@@ -12,6 +12,7 @@
 
 import * as THREE from 'three';
 import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { createViewOffsetUniform, applyViewOffset } from './ViewOffset.js';
 
 /**
  * Vignette + Color Grade Fragment Shader
@@ -43,7 +44,10 @@ const VignetteColorGradeShader = {
 
         // Temperature/Tint
         uTemperature: { value: 0.0 },
-        uTint: { value: 0.0 }
+        uTint: { value: 0.0 },
+
+        // Tiled rendering (see ViewOffset.js)
+        uViewOffset: createViewOffsetUniform()
     },
 
     vertexShader: `
@@ -85,6 +89,9 @@ const VignetteColorGradeShader = {
         uniform float uTemperature;
         uniform float uTint;
 
+        // Tile origin/size in full-frame UV (tiled rendering)
+        uniform vec4 uViewOffset;
+
         varying vec2 vUv;
 
         // ==========================================
@@ -186,7 +193,8 @@ const VignetteColorGradeShader = {
             // Vignette
             // ==========================================
 
-            float vig = vignette(vUv, uVignetteIntensity, uVignetteRadius, uVignetteSoftness);
+            vec2 screenUv = uViewOffset.xy + vUv * uViewOffset.zw;
+            float vig = vignette(screenUv, uVignetteIntensity, uVignetteRadius, uVignetteSoftness);
             color = mix(uVignetteColor, color, vig);
 
             // ==========================================
@@ -376,6 +384,15 @@ class VignetteColorGradePass extends Pass {
         this.uniforms.uTintIntensity.value = 0;
     }
 
+    /**
+     * Scene tint as a single color (for scene looks). White is no tint,
+     * so tinted and untinted scenes crossfade by interpolating it.
+     * @param {Object} color - {r, g, b} 0-1
+     */
+    setSceneTint(color) {
+        this.setTint(color.r, color.g, color.b);
+    }
+
     /**
      * Alias for backward compatibility
      * @param {string} presetName
@@ -400,6 +417,14 @@ class VignetteColorGradePass extends Pass {
         this.fsQuad.render(renderer);
     }
 
+    /**
+     * Render as a tile of a larger image (screen-space effects use full-frame coordinates)
+     * @param {ViewOffset|null} view - Tile, or null for the full frame
+     */
+    setViewOffset(view) {
+        applyViewOffset(this.uniforms.uViewOffset, view);
+    }
+
     /**
      * Dispose resources
      */
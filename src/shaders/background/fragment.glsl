@@ -12,6 +12,7 @@
 precision highp float;
 
 uniform float uTime;
+uniform float uSeed;          // Random seed from Time (deterministic hashes)
 uniform vec3 uColorTop;
 uniform vec3 uColorMiddle;
 uniform vec3 uColorBottom;
@@ -21,6 +22,7 @@ uniform float uNoiseStrength;
 uniform float uStarDensity;
 uniform float uStarBrightness;
 uniform vec2 uResolution;
+uniform vec4 uViewOffset;     // Tile origin/size in full-frame UV (tiled rendering)
 
 varying vec2 vUv;
 
@@ -35,11 +37,11 @@ const float PI = 3.14159265359;
 // ==========================================
 
 float hash(vec2 p) {
-    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    return fract(sin(dot(p + uSeed, vec2(127.1, 311.7))) * 43758.5453123);
 }
 
 float hash3(vec3 p) {
-    return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453123);
+    return fract(sin(dot(p + uSeed, vec3(127.1, 311.7, 74.7))) * 43758.5453123);
 }
 
 // ==========================================
@@ -143,11 +145,13 @@ vec3 nebula(vec2 uv, float time) {
 // ==========================================
 
 void main() {
-    vec2 uv = vUv;
+    // Full-frame UV (equals vUv unless rendering a tile)
+    vec2 uv = uViewOffset.xy + vUv * uViewOffset.zw;
 
-    // Aspect ratio correction for stars
+    // Aspect ratio correction for stars (of the full frame)
+    vec2 fullResolution = uResolution / uViewOffset.zw;
     vec2 aspectUV = uv;
-    aspectUV.x *= uResolution.x / uResolution.y;
+    aspectUV.x *= fullResolution.x / fullResolution.y;
 
     // ==========================================
     // Base Gradient
@@ -18,6 +18,7 @@ precision highp float;
 // ==========================================
 
 uniform float uTime;
+uniform float uSeed;          // Random seed from Time (deterministic hashes)
 uniform vec3 uColor;              // Base tint color
 uniform float uOpacity;
 uniform float uScanLineIntensity;
@@ -56,7 +57,7 @@ const float TAU = 6.28318530718;
 // ==========================================
 
 float hash(vec2 p) {
-    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    return fract(sin(dot(p + uSeed, vec2(127.1, 311.7))) * 43758.5453123);
 }
 
 float noise(vec2 p) {
@@ -12,6 +12,7 @@
 
 // Uniforms
 uniform float uTime;
+uniform float uSeed;          // Random seed from Time (deterministic hashes)
 uniform float uGlitchIntensity;
 uniform float uDisplacementScale;
 uniform float uWaveSpeed;
@@ -38,7 +39,7 @@ float hash(float n) {
 }
 
 float hash2(vec2 p) {
-    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    return fract(sin(dot(p + uSeed, vec2(127.1, 311.7))) * 43758.5453123);
 }
 
 // ==========================================
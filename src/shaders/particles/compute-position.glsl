@@ -24,6 +24,7 @@ uniform sampler2D textureVelocity;
 
 // Time uniforms
 uniform float uTime;
+uniform float uSeed;          // Random seed from Time (deterministic hashes)
 uniform float uDeltaTime;
 
 // Simulation bounds
@@ -42,7 +43,7 @@ uniform float uLifetimeMax;
  * Converts 2D coordinates to a seemingly random value
  */
 float hash(vec2 p) {
-    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    return fract(sin(dot(p + uSeed, vec2(127.1, 311.7))) * 43758.5453123);
 }
 
 /**
@@ -50,9 +51,9 @@ float hash(vec2 p) {
  */
 vec3 hash3(vec2 p) {
     vec3 q = vec3(
-        dot(p, vec2(127.1, 311.7)),
-        dot(p, vec2(269.5, 183.3)),
-        dot(p, vec2(419.2, 371.9))
+        dot(p + uSeed, vec2(127.1, 311.7)),
+        dot(p + uSeed, vec2(269.5, 183.3)),
+        dot(p + uSeed, vec2(419.2, 371.9))
     );
     return fract(sin(q) * 43758.5453);
 }
@@ -23,6 +23,7 @@ uniform sampler2D textureVelocity;
 
 // Time
 uniform float uTime;
+uniform float uSeed;          // Random seed from Time (deterministic hashes)
 uniform float uDeltaTime;
 
 // Flow field settings
@@ -217,14 +218,14 @@ vec3 fbmCurlNoise(vec3 p, int octaves, float lacunarity, float gain) {
 // ==========================================
 
 float hash(vec2 p) {
-    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    return fract(sin(dot(p + uSeed, vec2(127.1, 311.7))) * 43758.5453123);
 }
 
 vec3 hash3(vec2 p) {
     vec3 q = vec3(
-        dot(p, vec2(127.1, 311.7)),
-        dot(p, vec2(269.5, 183.3)),
-        dot(p, vec2(419.2, 371.9))
+        dot(p + uSeed, vec2(127.1, 311.7)),
+        dot(p + uSeed, vec2(269.5, 183.3)),
+        dot(p + uSeed, vec2(419.2, 371.9))
     );
     return fract(sin(q) * 43758.5453) * 2.0 - 1.0;
 }
@@ -12,6 +12,7 @@ precision highp float;
 
 // Uniforms
 uniform float uTime;
+uniform float uSeed;          // Random seed from Time (deterministic hashes)
 uniform vec3 uColor;
 uniform vec3 uColorEnd;      // Color at end of lifetime
 uniform float uGlowStrength;
@@ -30,7 +31,7 @@ in vec2 vReference;
 // Hash function for per-particle variation
 // ==========================================
 float hash(vec2 p) {
-    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    return fract(sin(dot(p + uSeed, vec2(127.1, 311.7))) * 43758.5453123);
 }
 
 void main() {
@@ -20,6 +20,7 @@ uniform sampler2D texturePosition;
 
 // Rendering parameters
 uniform float uTime;
+uniform float uSeed;          // Random seed from Time (deterministic hashes)
 uniform float uSize;
 uniform float uPixelRatio;
 
@@ -44,7 +45,7 @@ out vec2 vReference;
 // Hash function for per-particle variation
 // ==========================================
 float hash(vec2 p) {
-    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    return fract(sin(dot(p + uSeed, vec2(127.1, 311.7))) * 43758.5453123);
 }
 
 void main() {
@@ -36,6 +36,7 @@ uniform vec3 cameraPosition;
 
 // Time for animated effects
 uniform float uTime;
+uniform float uSeed;          // Random seed from Time (deterministic hashes)
 
 // Effect parameters
 uniform float uFresnelPower;
@@ -59,7 +60,7 @@ out vec4 fragColor;
 
 // Simple hash function
 float hash(vec2 p) {
-    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    return fract(sin(dot(p + uSeed, vec2(127.1, 311.7))) * 43758.5453123);
 }
 
 // 2D noise
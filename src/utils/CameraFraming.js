@@ -0,0 +1,241 @@
+/**
+ * CameraFraming.js
+ * Aspect-Ratio-Aware Camera Framing
+ *
+ * Camera paths are authored for a landscape viewport. A scene can
+ * declare a framing volume - a box around its subjects - and on
+ * narrower viewports the camera backs off (or widens its fov) until
+ * the box fits again:
+ *
+ *     framing: {
+ *         min: { x: -7, y: -3.5, z: -1 },
+ *         max: { x: 7, y: 3.5, z: 1.5 },
+ *         padding: 0.1,       // Extra margin (fraction of the box, default 0.1)
+ *         mode: 'distance'    // 'distance' (dolly back) or 'fov' (zoom out)
+ *     }
+ *
+ * The box is fitted at its center plane, seen along the camera's
+ * current view direction. Framing only ever widens the shot - where
+ * the authored camera already shows the whole box nothing changes.
+ * Corrections blend across scene boundaries so the path stays
+ * continuous when neighbouring scenes frame differently.
+ */
+
+import * as THREE from 'three';
+
+/** @type {number} Largest fov 'fov' framing may zoom out to (degrees) */
+const MAX_FOV = 100;
+
+/** @type {THREE.Vector3} Scratch vectors */
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _toCenter = new THREE.Vector3();
+
+/**
+ * Half the box's extent along an axis
+ * @param {THREE.Vector3} halfSize
+ * @param {THREE.Vector3} axis - Unit vector
+ * @returns {number}
+ */
+function extentAlong(halfSize, axis) {
+    return Math.abs(axis.x) * halfSize.x + Math.abs(axis.y) * halfSize.y + Math.abs(axis.z) * halfSize.z;
+}
+
+/**
+ * @class CameraFraming
+ * @description Keeps each scene's framing volume in view for the current aspect ratio
+ */
+class CameraFraming {
+    /**
+     * Create framing from scene definitions
+     * @param {Array<Object>} scenes - Scene definitions (ordered, with start/end progress)
+     * @param {Object} [options]
+     * @param {number} [options.blend] - Progress on each side of a scene boundary
+     *                                   over which corrections blend (default: 0.03)
+     * @param {number} [options.fov] - Fov used when the path doesn't set one (default: 45)
+     */
+    constructor(scenes, options = {}) {
+        const {
+            blend = 0.03,
+            fov = 45
+        } = options;
+
+        /** @type {number} Blend half-width in progress */
+        this.blend = blend;
+
+        /** @type {number} Fallback fov in degrees */
+        this.fov = fov;
+
+        /** @type {Array<Object|null>} Framing per scene {center, halfSize, padding, mode} */
+        this.volumes = scenes.map(scene => this._parse(scene));
+
+        /** @type {Array<Object>} Scene definitions */
+        this.scenes = scenes;
+
+        /** @type {Array<Object>} Scratch corrections per scene */
+        this._corrections = scenes.map(() => ({ distance: 0, fov: 0 }));
+    }
+
+    /**
+     * Parse a scene's framing block
+     * @param {Object} scene
+     * @returns {Object|null}
+     * @private
+     */
+    _parse(scene) {
+        const framing = scene.framing;
+        if (!framing) return null;
+
+        if (!framing.min || !framing.max) {
+            throw new Error(`[CameraFraming] Scene "${scene.name}": framing needs min and max`);
+        }
+
+        const { padding = 0.1, mode = 'distance' } = framing;
+
+        if (mode !== 'distance' && mode !== 'fov') {
+            throw new Error(`[CameraFraming] Scene "${scene.name}": unknown framing mode "${mode}"`);
+        }
+
+        const min = new THREE.Vector3(framing.min.x, framing.min.y, framing.min.z);
+        const max = new THREE.Vector3(framing.max.x, framing.max.y, framing.max.z);
+
+        return {
+            center: min.clone().add(max).multiplyScalar(0.5),
+            halfSize: max.clone().sub(min).multiplyScalar(0.5),
+            padding,
+            mode
+        };
+    }
+
+    /**
+     * Whether any scene declares a framing volume
+     * @returns {boolean}
+     */
+    get isEmpty() {
+        return this.volumes.every(volume => volume === null);
+    }
+
+    /**
+     * Widen a path pose so the active framing volume fits
+     * @param {number} progress - Global scroll progress (0-1)
+     * @param {Object} pose - {position, lookAt, fov, roll} (modified in place)
+     * @param {number} aspect - Viewport width / height
+     */
+    apply(progress, pose, aspect) {
+        if (this.isEmpty) return;
+
+        const index = this._sceneIndex(progress);
+        if (index < 0) return;
+
+        const correction = this._blend(index, progress, pose, aspect);
+
+        if (correction.distance > 0) {
+            _forward.subVectors(pose.lookAt, pose.position).normalize();
+            pose.position.addScaledVector(_forward, -correction.distance);
+        }
+
+        if (correction.fov > 0) {
+            pose.fov = (pose.fov ?? this.fov) + correction.fov;
+        }
+    }
+
+    /**
+     * Index of the scene containing a progress
+     * @param {number} progress
+     * @returns {number} -1 if none
+     * @private
+     */
+    _sceneIndex(progress) {
+        const index = this.scenes.findIndex(s => progress >= s.start && progress <= s.end);
+        if (index >= 0) return index;
+
+        return progress > 1 ? this.scenes.length - 1 : -1;
+    }
+
+    /**
+     * Correction for a progress, blended with the neighbouring scene near
+     * boundaries (50/50 exactly at the boundary, so both sides agree)
+     * @param {number} index - Scene index
+     * @param {number} progress
+     * @param {Object} pose
+     * @param {number} aspect
+     * @returns {Object} {distance, fov}
+     * @private
+     */
+    _blend(index, progress, pose, aspect) {
+        const scene = this.scenes[index];
+        const result = this._correction(index, pose, aspect);
+
+        let neighbour = -1;
+        let offset = 0;
+
+        if (index > 0 && progress - scene.start < this.blend) {
+            neighbour = index - 1;
+            offset = progress - scene.start;
+        } else if (index < this.scenes.length - 1 && scene.end - progress < this.blend) {
+            neighbour = index + 1;
+            offset = scene.end - progress;
+        }
+
+        if (neighbour < 0 || this.blend <= 0) return result;
+
+        const other = this._correction(neighbour, pose, aspect);
+        const weight = THREE.MathUtils.smoothstep(0.5 + 0.5 * offset / this.blend, 0, 1);
+
+        return {
+            distance: other.distance + (result.distance - other.distance) * weight,
+            fov: other.fov + (result.fov - other.fov) * weight
+        };
+    }
+
+    /**
+     * How much a scene's volume needs the pose widened
+     * @param {number} index - Scene index
+     * @param {Object} pose
+     * @param {number} aspect
+     * @returns {Object} {distance, fov} (zero when the volume already fits)
+     * @private
+     */
+    _correction(index, pose, aspect) {
+        const correction = this._corrections[index];
+        const volume = this.volumes[index];
+
+        correction.distance = 0;
+        correction.fov = 0;
+
+        if (!volume) return correction;
+
+        // Camera basis
+        _forward.subVectors(pose.lookAt, pose.position);
+        if (_forward.lengthSq() === 0) return correction;
+        _forward.normalize();
+        _right.crossVectors(_forward, THREE.Object3D.DEFAULT_UP).normalize();
+        _up.crossVectors(_right, _forward);
+
+        // Box size on screen axes, plus how far its center is off the view axis
+        _toCenter.subVectors(volume.center, pose.position);
+        const scale = 1 + volume.padding;
+        const halfWidth = (extentAlong(volume.halfSize, _right) + Math.abs(_toCenter.dot(_right))) * scale;
+        const halfHeight = (extentAlong(volume.halfSize, _up) + Math.abs(_toCenter.dot(_up))) * scale;
+        const depth = _toCenter.dot(_forward);
+
+        const fov = pose.fov ?? this.fov;
+        const tanV = Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+        const tanH = tanV * aspect;
+
+        if (volume.mode === 'distance') {
+            const required = Math.max(halfWidth / tanH, halfHeight / tanV);
+            correction.distance = Math.max(0, required - depth);
+        } else if (depth > 0) {
+            const requiredTan = Math.max(halfHeight / depth, halfWidth / (depth * aspect));
+            const requiredFov = Math.min(THREE.MathUtils.radToDeg(Math.atan(requiredTan)) * 2, MAX_FOV);
+            correction.fov = Math.max(0, requiredFov - fov);
+        }
+
+        return correction;
+    }
+}
+
+export { CameraFraming };
+export default CameraFraming;
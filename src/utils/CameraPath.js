@@ -0,0 +1,495 @@
+/**
+ * CameraPath.js
+ * Continuous Multi-Keyframe Camera Path
+ *
+ * Builds one camera path over the whole scroll range from the scene
+ * definitions and evaluates it at any progress. Each scene's camera
+ * block can be written as:
+ *
+ * - keyframes:  { keyframes: [{t, position, lookAt, fov, roll, easing,
+ *                 handleIn, handleOut}], interpolation }
+ *   t is scene-local (0-1). easing shapes the segment ending at the
+ *   key. interpolation is 'catmullrom' (default), 'bezier' (uses the
+ *   keys' handleIn/handleOut position offsets, automatic where
+ *   missing) or 'linear'.
+ * - start/end:  { positionStart, positionEnd, lookAtStart, lookAtEnd,
+ *                 fovStart, fovEnd }
+ *   (a straight line)
+ * - orbital:    { orbital: true, radius, height, startAngle, endAngle, lookAt, fov }
+ *   (converted to bezier arcs)
+ *
+ * Any of them can add a dolly zoom: { dollyZoom: true | { subject } }.
+ * The camera then slides along the line to the subject (default: the
+ * look-at point) so the subject keeps the size it has at the start of
+ * the scene while the fov changes - animate fov (keyframes or
+ * fovStart/fovEnd) and the distance follows. Keys are moved to match,
+ * so the next scene continues from where the dolly zoom ended.
+ *
+ * A scene without a key at t = 0 (or without positionStart) continues
+ * from where the previous scene ended, so the path has no jumps at
+ * scene boundaries. A scene that does start with a different pose
+ * makes an intentional cut. Tangents are shared across boundaries, so
+ * spline segments stay smooth from one scene into the next.
+ *
+ * The scene's own `easing` still remaps progress through the whole
+ * scene, on top of per-segment easing.
+ *
+ * Missing lookAt/fov/roll values carry over from the previous key.
+ * fov stays null (camera untouched) unless some key sets it.
+ */
+
+import * as THREE from 'three';
+import { Easing } from './Easing.js';
+
+/** @type {number} Progress/pose tolerance for merging boundary keys */
+const EPSILON = 1e-6;
+
+/** @type {number} Largest arc angle per bezier segment for orbital scenes */
+const MAX_ARC_SEGMENT = Math.PI / 4;
+
+/** @type {THREE.Vector3} Scratch handles for automatic tangents */
+const _handleOut = new THREE.Vector3();
+const _handleIn = new THREE.Vector3();
+
+/** @type {THREE.Vector3} Scratch offset for dolly zoom */
+const _offset = new THREE.Vector3();
+
+/**
+ * Convert a plain {x, y, z} object to a Vector3
+ * @param {Object|null} value
+ * @returns {THREE.Vector3|null}
+ */
+function toVector(value) {
+    return value ? new THREE.Vector3(value.x || 0, value.y || 0, value.z || 0) : null;
+}
+
+/**
+ * Cubic bezier for scalars
+ * @param {number} p0
+ * @param {number} c0
+ * @param {number} c1
+ * @param {number} p1
+ * @param {number} t
+ * @returns {number}
+ */
+function bezier(p0, c0, c1, p1, t) {
+    const s = 1 - t;
+    return s * s * s * p0 + 3 * s * s * t * c0 + 3 * s * t * t * c1 + t * t * t * p1;
+}
+
+/**
+ * @class CameraPath
+ * @description Camera path (position, lookAt, fov, roll) keyed on scroll progress
+ */
+class CameraPath {
+    /**
+     * Build a path from scene definitions
+     * @param {Array<Object>} scenes - Scene definitions (ordered, with start/end progress)
+     */
+    constructor(scenes) {
+        /** @type {Array<Object>} Scene definitions */
+        this.scenes = scenes;
+
+        /** @type {Array<Object>} Path keys in global progress order */
+        this.keys = [];
+
+        /** @type {boolean} Whether any key sets a field of view */
+        this.hasFov = false;
+
+        this._build();
+    }
+
+    // ==========================================
+    // Building
+    // ==========================================
+
+    /**
+     * Build the global key list
+     * @private
+     */
+    _build() {
+        this.keys = [];
+        this.hasFov = false;
+
+        const dollyScenes = [];
+
+        this.scenes.forEach(scene => {
+            if (!scene.camera) return;
+
+            const span = scene.end - scene.start;
+            const firstIndex = this.keys.length;
+
+            this._sceneKeyframes(scene).forEach(keyframe => {
+                this._addKey(scene, scene.start + keyframe.t * span, keyframe);
+            });
+
+            if (scene.camera.dollyZoom) {
+                dollyScenes.push({ scene, firstIndex });
+            }
+        });
+
+        this._fillFov();
+        dollyScenes.forEach(({ scene, firstIndex }) => this._applyDollyZoom(scene, firstIndex));
+        this._computeTangents();
+    }
+
+    /**
+     * Give keys without a fov the first fov that is set (leading keys)
+     * @private
+     */
+    _fillFov() {
+        if (!this.hasFov) return;
+
+        const first = this.keys.find(key => key.fov !== null);
+        this.keys.forEach(key => {
+            if (key.fov === null) key.fov = first.fov;
+        });
+    }
+
+    /**
+     * Set up a scene's dolly zoom: pick the reference key (the pose the
+     * scene starts from), then move every key of the scene to the
+     * distance that keeps the subject's size at that key's fov
+     * @param {Object} scene
+     * @param {number} firstIndex - Index of the scene's first added key
+     * @private
+     */
+    _applyDollyZoom(scene, firstIndex) {
+        if (!this.hasFov) {
+            throw new Error(`[CameraPath] Scene "${scene.name}": dollyZoom needs an animated fov`);
+        }
+
+        const startsHere = this.keys[firstIndex] &&
+            this.keys[firstIndex].progress - scene.start < EPSILON;
+        const reference = startsHere ? this.keys[firstIndex] : this.keys[firstIndex - 1];
+
+        if (!reference) {
+            throw new Error(`[CameraPath] Scene "${scene.name}": dollyZoom needs a starting pose`);
+        }
+
+        const options = scene.camera.dollyZoom === true ? {} : scene.camera.dollyZoom;
+        const subject = toVector(options.subject);
+        const halfHeight = reference.position.distanceTo(subject || reference.lookAt) *
+            Math.tan(THREE.MathUtils.degToRad(reference.fov) / 2);
+
+        const dolly = { subject, halfHeight };
+
+        // Segments ending at these keys belong to the scene
+        for (let i = startsHere ? firstIndex + 1 : firstIndex; i < this.keys.length; i++) {
+            const key = this.keys[i];
+            key.dolly = dolly;
+            this._dolly(dolly, key);
+        }
+    }
+
+    /**
+     * Move a pose along the line to the subject so the subject's
+     * on-screen size matches the dolly zoom's reference
+     * @param {Object} dolly - {subject: Vector3|null, halfHeight}
+     * @param {Object} pose - {position, lookAt, fov} (position written in place)
+     * @private
+     */
+    _dolly(dolly, pose) {
+        const subject = dolly.subject || pose.lookAt;
+        const distance = dolly.halfHeight / Math.tan(THREE.MathUtils.degToRad(pose.fov) / 2);
+
+        _offset.subVectors(pose.position, subject);
+        if (_offset.lengthSq() === 0) return;
+
+        pose.position.copy(subject).addScaledVector(_offset.normalize(), distance);
+    }
+
+    /**
+     * Normalize a scene's camera block to keyframes
+     * @param {Object} scene
+     * @returns {Array<Object>} Keyframes with scene-local t
+     * @private
+     */
+    _sceneKeyframes(scene) {
+        const camera = scene.camera;
+
+        // Multi-keyframe path
+        if (Array.isArray(camera.keyframes)) {
+            const interpolation = camera.interpolation || 'catmullrom';
+            return camera.keyframes
+                .map(keyframe => ({ interpolation, ...keyframe }))
+                .sort((a, b) => a.t - b.t);
+        }
+
+        // Orbital arc, split into bezier segments that closely follow the circle
+        if (camera.orbital) {
+            const { radius, height, startAngle, endAngle, lookAt, fov } = camera;
+            const sweep = endAngle - startAngle;
+            const segments = Math.max(1, Math.ceil(Math.abs(sweep) / MAX_ARC_SEGMENT));
+            const handleScale = (4 / 3) * Math.tan(sweep / segments / 4);
+            const keyframes = [];
+
+            for (let i = 0; i <= segments; i++) {
+                const angle = startAngle + sweep * (i / segments);
+                const tangent = {
+                    x: -Math.sin(angle) * radius * handleScale,
+                    y: 0,
+                    z: Math.cos(angle) * radius * handleScale
+                };
+
+                keyframes.push({
+                    t: i / segments,
+                    position: { x: Math.cos(angle) * radius, y: height, z: Math.sin(angle) * radius },
+                    lookAt,
+                    fov,
+                    handleIn: { x: -tangent.x, y: 0, z: -tangent.z },
+                    handleOut: tangent,
+                    interpolation: 'bezier'
+                });
+            }
+
+            return keyframes;
+        }
+
+        // Straight line (start is optional - continues from the previous scene)
+        const keyframes = [];
+
+        if (camera.positionStart) {
+            keyframes.push({
+                t: 0,
+                position: camera.positionStart,
+                lookAt: camera.lookAtStart,
+                fov: camera.fovStart,
+                interpolation: 'linear'
+            });
+        }
+
+        if (camera.positionEnd) {
+            keyframes.push({
+                t: 1,
+                position: camera.positionEnd,
+                lookAt: camera.lookAtEnd,
+                fov: camera.fovEnd,
+                interpolation: 'linear'
+            });
+        }
+
+        return keyframes;
+    }
+
+    /**
+     * Append a key, merging it with an identical key at the same progress
+     * @param {Object} scene - Owning scene (for error messages)
+     * @param {number} progress - Global progress
+     * @param {Object} keyframe - Scene keyframe
+     * @private
+     */
+    _addKey(scene, progress, keyframe) {
+        const previous = this.keys[this.keys.length - 1] || null;
+
+        if (!keyframe.position) {
+            throw new Error(`[CameraPath] Scene "${scene.name}": every keyframe needs a position`);
+        }
+
+        if (keyframe.easing && !Easing[keyframe.easing]) {
+            throw new Error(`[CameraPath] Scene "${scene.name}": unknown easing "${keyframe.easing}"`);
+        }
+
+        if (keyframe.fov !== undefined && keyframe.fov !== null) {
+            this.hasFov = true;
+        }
+
+        const key = {
+            progress,
+            scene: scene.name,
+            position: toVector(keyframe.position),
+            lookAt: toVector(keyframe.lookAt) || (previous ? previous.lookAt.clone() : new THREE.Vector3()),
+            fov: keyframe.fov ?? (previous ? previous.fov : null),
+            roll: keyframe.roll ?? (previous ? previous.roll : 0),
+            easing: keyframe.easing || 'linear',
+            interpolation: keyframe.interpolation || 'catmullrom',
+            handleIn: toVector(keyframe.handleIn),
+            handleOut: toVector(keyframe.handleOut),
+            dolly: null,
+            cut: false
+        };
+
+        if (previous && Math.abs(previous.progress - progress) < EPSILON) {
+            const samePose = previous.position.distanceTo(key.position) < EPSILON &&
+                previous.lookAt.distanceTo(key.lookAt) < EPSILON &&
+                previous.fov === key.fov &&
+                previous.roll === key.roll;
+
+            if (samePose) {
+                // Shared boundary key: the new scene's outgoing handle wins
+                previous.handleOut = key.handleOut || previous.handleOut;
+                return;
+            }
+
+            // Different pose at the same progress - an intentional cut
+            key.cut = true;
+        }
+
+        this.keys.push(key);
+    }
+
+    /**
+     * Compute automatic tangents (per unit progress) from neighbouring
+     * keys, across scene boundaries but not across cuts
+     * @private
+     */
+    _computeTangents() {
+        const keys = this.keys;
+
+        keys.forEach((key, index) => {
+            const previous = index > 0 && !key.cut ? keys[index - 1] : null;
+            const next = index < keys.length - 1 && !keys[index + 1].cut ? keys[index + 1] : null;
+
+            const from = previous || key;
+            const to = next || key;
+            const span = to.progress - from.progress;
+
+            key.tangents = {
+                position: new THREE.Vector3(),
+                lookAt: new THREE.Vector3(),
+                fov: 0,
+                roll: 0
+            };
+
+            if (span <= 0) return;
+
+            key.tangents.position.subVectors(to.position, from.position).divideScalar(span);
+            key.tangents.lookAt.subVectors(to.lookAt, from.lookAt).divideScalar(span);
+            if (this.hasFov) {
+                key.tangents.fov = (to.fov - from.fov) / span;
+            }
+            key.tangents.roll = (to.roll - from.roll) / span;
+        });
+    }
+
+    // ==========================================
+    // Evaluation
+    // ==========================================
+
+    /**
+     * Map global progress through the owning scene's easing
+     * @param {number} progress
+     * @returns {number}
+     * @private
+     */
+    _remap(progress) {
+        const scene = this.scenes.find(s => progress >= s.start && progress <= s.end);
+        if (!scene || !scene.easing) return progress;
+
+        const span = scene.end - scene.start;
+        if (span <= 0) return progress;
+
+        const local = (progress - scene.start) / span;
+        const easing = Easing[scene.easing] || Easing.linear;
+        return scene.start + easing(local) * span;
+    }
+
+    /**
+     * Evaluate the path
+     * @param {number} progress - Global scroll progress (0-1)
+     * @param {Object} target - {position: Vector3, lookAt: Vector3, fov, roll} written in place
+     * @returns {boolean} False if the path is empty
+     */
+    evaluate(progress, target) {
+        const keys = this.keys;
+        if (keys.length === 0) return false;
+
+        const p = this._remap(progress);
+
+        // Clamp to the ends
+        if (keys.length === 1 || p <= keys[0].progress) {
+            this._copyKey(keys[0], target);
+            return true;
+        }
+
+        const last = keys[keys.length - 1];
+        if (p >= last.progress) {
+            this._copyKey(last, target);
+            return true;
+        }
+
+        // Find the segment (the later key wins at a cut)
+        let index = 0;
+        while (index < keys.length - 2 && keys[index + 1].progress <= p) {
+            index++;
+        }
+
+        const from = keys[index];
+        const to = keys[index + 1];
+        const duration = to.progress - from.progress;
+
+        if (duration <= 0) {
+            this._copyKey(to, target);
+            return true;
+        }
+
+        const t = Easing[to.easing]((p - from.progress) / duration);
+
+        if (to.interpolation === 'linear') {
+            target.position.lerpVectors(from.position, to.position, t);
+            target.lookAt.lerpVectors(from.lookAt, to.lookAt, t);
+            target.fov = this.hasFov ? from.fov + (to.fov - from.fov) * t : null;
+            target.roll = from.roll + (to.roll - from.roll) * t;
+            if (to.dolly) this._dolly(to.dolly, target);
+            return true;
+        }
+
+        // Cubic segment: bezier control points from handles or automatic tangents
+        const third = duration / 3;
+        const useHandles = to.interpolation === 'bezier';
+        const handleOut = useHandles && from.handleOut
+            ? from.handleOut
+            : _handleOut.copy(from.tangents.position).multiplyScalar(third);
+        const handleIn = useHandles && to.handleIn
+            ? to.handleIn
+            : _handleIn.copy(to.tangents.position).multiplyScalar(-third);
+
+        ['x', 'y', 'z'].forEach(axis => {
+            target.position[axis] = bezier(
+                from.position[axis],
+                from.position[axis] + handleOut[axis],
+                to.position[axis] + handleIn[axis],
+                to.position[axis],
+                t
+            );
+            target.lookAt[axis] = bezier(
+                from.lookAt[axis],
+                from.lookAt[axis] + from.tangents.lookAt[axis] * third,
+                to.lookAt[axis] - to.tangents.lookAt[axis] * third,
+                to.lookAt[axis],
+                t
+            );
+        });
+
+        target.fov = this.hasFov
+            ? bezier(from.fov, from.fov + from.tangents.fov * third, to.fov - to.tangents.fov * third, to.fov, t)
+            : null;
+        target.roll = bezier(
+            from.roll,
+            from.roll + from.tangents.roll * third,
+            to.roll - to.tangents.roll * third,
+            to.roll,
+            t
+        );
+
+        if (to.dolly) this._dolly(to.dolly, target);
+
+        return true;
+    }
+
+    /**
+     * Write a key's pose into a target
+     * @param {Object} key
+     * @param {Object} target
+     * @private
+     */
+    _copyKey(key, target) {
+        target.position.copy(key.position);
+        target.lookAt.copy(key.lookAt);
+        target.fov = this.hasFov ? key.fov : null;
+        target.roll = key.roll;
+    }
+}
+
+export { CameraPath };
+export default CameraPath;
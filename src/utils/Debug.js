@@ -13,23 +13,20 @@ import GUI from 'lil-gui';
  * @description Manages debug GUI with lil-gui
  */
 class Debug {
-    /** @type {Debug|null} Singleton instance */
-    static instance = null;
-
     /**
      * Create debug manager
+     * @param {Object} [options]
+     * @param {string} [options.title] - GUI title (useful with several experiences on a page)
      */
-    constructor() {
-        // Singleton pattern
-        if (Debug.instance) {
-            return Debug.instance;
-        }
-        Debug.instance = this;
+    constructor(options = {}) {
+        const {
+            title = 'Debug Controls'
+        } = options;
 
         /** @type {GUI} Main GUI instance */
         this.gui = new GUI({
             width: 300,
-            title: 'Debug Controls'
+            title
         });
 
         /** @type {Map<string, GUI>} Folder references */
@@ -52,12 +49,13 @@ class Debug {
      * @private
      */
     _setupKeyboardToggle() {
-        window.addEventListener('keydown', (event) => {
+        this._onKeyDown = (event) => {
             // Press 'H' to toggle GUI visibility
             if (event.key === 'h' || event.key === 'H') {
                 this.toggle();
             }
-        });
+        };
+        window.addEventListener('keydown', this._onKeyDown);
     }
 
     /**
@@ -156,28 +154,21 @@ class Debug {
     }
 
     /**
-     * Check if debug mode is active
+     * Check if debug mode is active (?debug in the URL; the hash
+     * belongs to scroll deep links)
      * @returns {boolean}
      */
     static isActive() {
-        return window.location.hash === '#debug';
-    }
-
-    /**
-     * Get the singleton instance
-     * @returns {Debug|null}
-     */
-    static getInstance() {
-        return Debug.instance;
+        return new URLSearchParams(window.location.search).has('debug');
     }
 
     /**
      * Clean up resources
      */
     dispose() {
+        window.removeEventListener('keydown', this._onKeyDown);
         this.gui.destroy();
         this.folders.clear();
-        Debug.instance = null;
 
         console.log('%c[Debug] Disposed', 'color: #ff44ff;');
     }
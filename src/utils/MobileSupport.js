@@ -9,21 +9,27 @@
  * - Device orientation
  * - Responsive viewport
  * - Touch-friendly UI adjustments
+ *
+ * Events: tap, doubleTap, swipe, pinch, pan, orientation
  */
 
 import * as THREE from 'three';
+import { EventEmitter } from '../core/EventEmitter.js';
 
 /**
  * @class MobileSupport
+ * @extends EventEmitter
  * @description Manages mobile/touch interactions
  */
-class MobileSupport {
+class MobileSupport extends EventEmitter {
     /**
      * Create mobile support manager
      * @param {HTMLElement} element - Target element for touch events
      * @param {Object} options - Configuration options
      */
     constructor(element = document.body, options = {}) {
+        super();
+
         const {
             enablePinch = true,
             enablePinchZoom = true,
@@ -62,9 +68,6 @@ class MobileSupport {
         this.onPan = null;
         this.onOrientationChange = null;
 
-        // Event system callbacks
-        this._eventCallbacks = {};
-
         // Double tap detection
         this.lastTapTime = 0;
         this.doubleTapDelay = 300;
@@ -85,30 +88,6 @@ class MobileSupport {
         console.log('[MobileSupport] Mobile device:', this.isMobile);
     }
 
-    /**
-     * Subscribe to events
-     * @param {string} event - Event name (tap, doubleTap, swipe, pinch, pan, orientation)
-     * @param {Function} callback - Callback function
-     */
-    on(event, callback) {
-        if (!this._eventCallbacks[event]) {
-            this._eventCallbacks[event] = [];
-        }
-        this._eventCallbacks[event].push(callback);
-    }
-
-    /**
-     * Emit an event
-     * @param {string} event - Event name
-     * @param {*} data - Event data
-     * @private
-     */
-    _emit(event, data) {
-        if (this._eventCallbacks[event]) {
-            this._eventCallbacks[event].forEach(callback => callback(data));
-        }
-    }
-
     /**
      * Detect if device is mobile
      * @returns {boolean}
@@ -195,17 +174,21 @@ class MobileSupport {
      * @private
      */
     _preventDefaults() {
-        // Prevent zoom on double tap
-        document.addEventListener('gesturestart', (e) => e.preventDefault());
-        document.addEventListener('gesturechange', (e) => e.preventDefault());
-        document.addEventListener('gestureend', (e) => e.preventDefault());
-
-        // Prevent scroll bounce on iOS
-        document.body.addEventListener('touchmove', (e) => {
+        // Stored so dispose() can remove them (document outlives this instance)
+        this._preventGesture = (e) => e.preventDefault();
+        this._preventBounce = (e) => {
             if (e.target === this.element || this.element.contains(e.target)) {
                 e.preventDefault();
             }
-        }, { passive: false });
+        };
+
+        // Prevent zoom on double tap
+        document.addEventListener('gesturestart', this._preventGesture);
+        document.addEventListener('gesturechange', this._preventGesture);
+        document.addEventListener('gestureend', this._preventGesture);
+
+        // Prevent scroll bounce on iOS
+        document.body.addEventListener('touchmove', this._preventBounce, { passive: false });
     }
 
     /**
@@ -251,7 +234,7 @@ class MobileSupport {
         };
 
         // Emit event
-        this._emit('orientation', this.orientation);
+        this.emit('orientation', this.orientation);
 
         // Legacy callback
         if (this.onOrientationChange) {
@@ -305,7 +288,7 @@ class MobileSupport {
             };
 
             // Emit event
-            this._emit('pan', panData);
+            this.emit('pan', panData);
 
             // Legacy callback
             if (this.onPan) {
@@ -326,7 +309,7 @@ class MobileSupport {
             };
 
             // Emit event
-            this._emit('pinch', pinchData);
+            this.emit('pinch', pinchData);
 
             // Legacy callback
             if (this.onPinch) {
@@ -359,7 +342,7 @@ class MobileSupport {
                 };
 
                 // Emit event
-                this._emit('doubleTap', doubleTapData);
+                this.emit('doubleTap', doubleTapData);
 
                 // Legacy callback
                 if (this.onDoubleTap) {
@@ -376,7 +359,7 @@ class MobileSupport {
                 };
 
                 // Emit event
-                this._emit('tap', tapData);
+                this.emit('tap', tapData);
 
                 // Legacy callback
                 if (this.onTap) {
@@ -406,7 +389,7 @@ class MobileSupport {
             };
 
             // Emit event
-            this._emit('swipe', swipeData);
+            this.emit('swipe', swipeData);
 
             // Legacy callback
             if (this.onSwipe) {
@@ -538,6 +521,14 @@ class MobileSupport {
         this.element.removeEventListener('touchend', this._onTouchEnd);
         this.element.removeEventListener('touchcancel', this._onTouchEnd);
 
+        // Remove document listeners
+        if (this._preventGesture) {
+            document.removeEventListener('gesturestart', this._preventGesture);
+            document.removeEventListener('gesturechange', this._preventGesture);
+            document.removeEventListener('gestureend', this._preventGesture);
+            document.body.removeEventListener('touchmove', this._preventBounce);
+        }
+
         // Remove orientation listener
         if (this.orientationEnabled) {
             window.removeEventListener('deviceorientation', this._onDeviceOrientation);
@@ -548,6 +539,8 @@ class MobileSupport {
             this.styleElement.remove();
         }
 
+        this.removeAllListeners();
+
         console.log('%c[MobileSupport] Disposed', 'color: #ff88ff;');
     }
 }
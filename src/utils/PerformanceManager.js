@@ -12,6 +12,7 @@
  */
 
 import * as THREE from 'three';
+import { EventEmitter } from '../core/EventEmitter.js';
 
 /**
  * Performance quality levels
@@ -90,15 +91,18 @@ const QualityPresets = {
 
 /**
  * @class PerformanceManager
+ * @extends EventEmitter
  * @description Manages adaptive performance and LOD
  */
-class PerformanceManager {
+class PerformanceManager extends EventEmitter {
     /**
      * Create performance manager
      * @param {THREE.WebGLRenderer} renderer - The WebGL renderer
      * @param {Object} options - Configuration options
      */
     constructor(renderer, options = {}) {
+        super();
+
         const {
             targetFPS = 60,
             autoAdjust = true,
@@ -134,9 +138,6 @@ class PerformanceManager {
         this.geometryCount = 0;
         this.textureCount = 0;
 
-        // Event callbacks
-        this._eventCallbacks = {};
-
         // Device detection
         this.deviceCapabilities = this._detectDeviceCapabilities();
 
@@ -154,30 +155,6 @@ class PerformanceManager {
         console.log('[PerformanceManager] Initial quality:', this.currentQuality);
     }
 
-    /**
-     * Subscribe to events
-     * @param {string} event - Event name
-     * @param {Function} callback - Callback function
-     */
-    on(event, callback) {
-        if (!this._eventCallbacks[event]) {
-            this._eventCallbacks[event] = [];
-        }
-        this._eventCallbacks[event].push(callback);
-    }
-
-    /**
-     * Emit an event
-     * @param {string} event - Event name
-     * @param {*} data - Event data
-     * @private
-     */
-    _emit(event, data) {
-        if (this._eventCallbacks[event]) {
-            this._eventCallbacks[event].forEach(callback => callback(data));
-        }
-    }
-
     /**
      * Detect device capabilities
      * @returns {Object}
@@ -286,7 +263,7 @@ class PerformanceManager {
         console.log(`%c[PerformanceManager] Quality changed: ${previousQuality} -> ${quality}`, 'color: #ffaa44;');
 
         // Emit event
-        this._emit('qualityChange', {
+        this.emit('qualityChange', {
             level: quality,
             previousLevel: previousQuality,
             preset: QualityPresets[quality]
@@ -446,6 +423,7 @@ class PerformanceManager {
     dispose() {
         this.onQualityChange = null;
         this.fpsHistory = [];
+        this.removeAllListeners();
         console.log('%c[PerformanceManager] Disposed', 'color: #44ff88;');
     }
 }
@@ -0,0 +1,319 @@
+/**
+ * PropertyTracks.js
+ * Scroll-Driven Property Keyframe Tracks
+ *
+ * Binds any animatable property to keyframes on scroll progress:
+ *
+ *     "tracks": {
+ *         "passes.bloom.strength": [
+ *             { "t": 0, "value": 1.5 },
+ *             { "t": 0.3, "value": 2.0, "easing": "easeInOut" }
+ *         ],
+ *         "particles.material.uniforms.uColor": [
+ *             { "t": 0.25, "value": { "r": 0.2, "g": 0.6, "b": 0.8 } }
+ *         ]
+ *     }
+ *
+ * Targets are dot paths from a set of roots (Experience passes its
+ * world components, `passes`, `scene` and `camera`). Numeric
+ * segments index arrays ("glassCards.cards.1.mesh.position.y"). The
+ * last segment may be:
+ * - a number property              - assigned
+ * - a THREE.Color / Vector         - value is {r, g, b} / {x, y, z}, copied in
+ * - a uniform ({value})            - its value is set (same rules)
+ * - a method (setIntensity)        - called with the value
+ *
+ * Tracks in the timeline's top-level `tracks` use global progress;
+ * tracks inside a scene use scene-local t (0-1 through the scene).
+ * All keys for one target are merged into a single track over the
+ * whole scroll range, so scenes hand a property over smoothly. Before
+ * the first key and after the last the value holds. A key's easing
+ * shapes the segment that ends at it.
+ *
+ * Scene looks ({target: value}, see Timeline.js) become keys too: held
+ * from the end of the crossfade window at the scene's start to the
+ * start of the window at its end, blending with the neighbouring
+ * scene's value inside the windows. Scenes without the target carry
+ * the previous value, so a blend never spans a whole scene.
+ */
+
+import { Easing } from './Easing.js';
+
+/** @type {string} Easing of look crossfades */
+const CROSSFADE_EASING = 'easeInOut';
+
+/**
+ * Interpolate two track values (numbers or {r,g,b} / {x,y,z} objects)
+ * @param {number|Object} from
+ * @param {number|Object} to
+ * @param {number} t - 0-1
+ * @param {Object} [out] - Object written in place for object values
+ * @returns {number|Object}
+ */
+function mix(from, to, t, out) {
+    if (typeof from === 'number') {
+        return from + (to - from) * t;
+    }
+
+    Object.keys(from).forEach(key => {
+        out[key] = from[key] + (to[key] - from[key]) * t;
+    });
+    return out;
+}
+
+/**
+ * Walk a path to the object owning its last segment
+ * @param {Object} roots - Named root objects
+ * @param {Array<string>} segments - Path segments
+ * @param {string} [target] - Path for the warning (silent if omitted)
+ * @returns {Object|null}
+ */
+function walk(roots, segments, target) {
+    let owner = roots;
+
+    for (let i = 0; i < segments.length - 1; i++) {
+        owner = owner[segments[i]];
+
+        if (owner === null || owner === undefined) {
+            if (target) {
+                console.warn(`[PropertyTracks] "${target}": "${segments.slice(0, i + 1).join('.')}" not found`);
+            }
+            return null;
+        }
+    }
+
+    return owner;
+}
+
+/**
+ * Resolve a target path to a setter. The path is walked again on
+ * every write, so replaced objects (a new scene.fog) stay bound.
+ * @param {Object} roots - Named root objects the path starts from
+ * @param {string} target - Dot path
+ * @returns {Object|null} {apply(value)}, or null (with a warning) if the path doesn't resolve
+ */
+function bindTarget(roots, target) {
+    const segments = target.split('.');
+    const owner = walk(roots, segments, target);
+    if (!owner) return null;
+
+    const key = segments[segments.length - 1];
+
+    if (!(key in owner)) {
+        console.warn(`[PropertyTracks] "${target}": no property "${key}"`);
+        return null;
+    }
+
+    const property = owner[key];
+    const isUniform = property && typeof property === 'object' &&
+        'value' in property && !property.isColor && !property.isVector3;
+    const current = isUniform ? property.value : property;
+
+    let write;
+
+    if (typeof current === 'function') {
+        write = (object, name, value) => object[name](value);
+    } else if (current && typeof current === 'object') {
+        if (current.isColor) {
+            write = (object, name, value) => object[name].setRGB(value.r, value.g, value.b);
+        } else if (typeof current.set === 'function' && 'x' in current) {
+            write = (object, name, value) => object[name].set(value.x, value.y, value.z);
+        } else {
+            console.warn(`[PropertyTracks] "${target}": can't animate this object`);
+            return null;
+        }
+    } else {
+        write = (object, name, value) => { object[name] = value; };
+    }
+
+    return {
+        apply: value => {
+            const object = walk(roots, segments);
+            if (!object || !(key in object)) return;
+
+            // Uniform: animate its value
+            if (isUniform) {
+                write(object[key], 'value', value);
+            } else {
+                write(object, key, value);
+            }
+        }
+    };
+}
+
+/**
+ * @class PropertyTrack
+ * @description Keyframes for one target property over global progress
+ */
+class PropertyTrack {
+    /**
+     * Create a track
+     * @param {string} target - Dot path of the property
+     * @param {Array<Object>} keys - {progress, value, easing} (any order)
+     */
+    constructor(target, keys) {
+        /** @type {string} Target path */
+        this.target = target;
+
+        /** @type {Array<Object>} Keys sorted by progress */
+        this.keys = keys.slice().sort((a, b) => a.progress - b.progress);
+
+        /** @type {Object|null} Resolved setter {apply(value)} (see PropertyTracks.bind) */
+        this.binding = null;
+
+        /** @type {Object|null} Scratch value for object interpolation */
+        this._value = typeof this.keys[0].value === 'object' ? { ...this.keys[0].value } : null;
+    }
+
+    /**
+     * Value at a progress
+     * @param {number} progress - Global progress (0-1)
+     * @returns {number|Object}
+     */
+    evaluate(progress) {
+        const keys = this.keys;
+        const first = keys[0];
+        const last = keys[keys.length - 1];
+
+        if (keys.length === 1 || progress <= first.progress) return first.value;
+        if (progress >= last.progress) return last.value;
+
+        let index = 0;
+        while (index < keys.length - 2 && keys[index + 1].progress <= progress) {
+            index++;
+        }
+
+        const from = keys[index];
+        const to = keys[index + 1];
+        const duration = to.progress - from.progress;
+        if (duration <= 0) return to.value;
+
+        const t = Easing[to.easing]((progress - from.progress) / duration);
+        return mix(from.value, to.value, t, this._value);
+    }
+}
+
+/**
+ * @class PropertyTracks
+ * @description Evaluates property tracks for the current scroll progress
+ */
+class PropertyTracks {
+    /**
+     * Create the track player
+     * @param {Object} roots - Named root objects target paths start from
+     */
+    constructor(roots) {
+        /** @type {Object} Path roots */
+        this.roots = roots;
+
+        /** @type {Array<PropertyTrack>} Bound tracks */
+        this.tracks = [];
+
+        /** @type {number|null} Progress of the last update (values are only written when it changes) */
+        this._lastProgress = null;
+    }
+
+    /**
+     * Replace the tracks from a timeline
+     * @param {Object} timeline - {scenes, tracks} (scene tracks use scene-local t, scene looks are held)
+     */
+    setTracks(timeline) {
+        const keysByTarget = new Map();
+
+        const addKey = (target, progress, value, easing) => {
+            if (!keysByTarget.has(target)) keysByTarget.set(target, []);
+            keysByTarget.get(target).push({ progress, value, easing });
+        };
+
+        const addKeys = (tracks, toProgress) => {
+            Object.entries(tracks || {}).forEach(([target, keyframes]) => {
+                keyframes.forEach(keyframe => {
+                    addKey(target, toProgress(keyframe.t), keyframe.value, keyframe.easing || 'linear');
+                });
+            });
+        };
+
+        addKeys(timeline.tracks, t => t);
+        timeline.scenes.forEach(scene => {
+            addKeys(scene.tracks, t => scene.start + t * (scene.end - scene.start));
+        });
+
+        this._addLookKeys(timeline.scenes, addKey);
+
+        this.tracks = [];
+
+        keysByTarget.forEach((keys, target) => {
+            const track = new PropertyTrack(target, keys);
+            track.binding = this.bind(target);
+
+            if (track.binding) {
+                this.tracks.push(track);
+            }
+        });
+
+        // Write every value on the next update
+        this._lastProgress = null;
+    }
+
+    /**
+     * Add the keys of the scenes' looks: two per scene and target, at
+     * the inner edges of its crossfade windows
+     * @param {Array<Object>} scenes - Scene definitions in order
+     * @param {Function} addKey - (target, progress, value, easing)
+     * @private
+     */
+    _addLookKeys(scenes, addKey) {
+        const values = new Map();
+
+        scenes.forEach((scene, index) => {
+            const next = scenes[index + 1];
+            const fadeIn = index > 0 ? (scene.crossfade || 0) / 2 : 0;
+            const fadeOut = next ? (next.crossfade || 0) / 2 : 0;
+
+            Object.entries(scene.look || {}).forEach(([target, value]) => {
+                values.set(target, value);
+            });
+
+            values.forEach((value, target) => {
+                // The scene's own tracks take over inside it
+                if (scene.tracks && scene.tracks[target]) return;
+
+                addKey(target, scene.start + fadeIn, value, CROSSFADE_EASING);
+                addKey(target, scene.end - fadeOut, value, 'linear');
+            });
+        });
+    }
+
+    /**
+     * Resolve a target path to a setter (see bindTarget)
+     * @param {string} target - Dot path
+     * @returns {Object|null} {apply(value)}, or null (with a warning) if the path doesn't resolve
+     */
+    bind(target) {
+        return bindTarget(this.roots, target);
+    }
+
+    /**
+     * Write the track values for a progress
+     * @param {number} progress - Global scroll progress (0-1)
+     */
+    update(progress) {
+        // Only write when scrolling, so debug tweaks stick between scrolls
+        if (progress === this._lastProgress) return;
+        this._lastProgress = progress;
+
+        this.tracks.forEach(track => {
+            track.binding.apply(track.evaluate(progress));
+        });
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.tracks = [];
+    }
+}
+
+export { PropertyTracks, PropertyTrack, bindTarget };
+export default PropertyTracks;
@@ -0,0 +1,228 @@
+/**
+ * ScreenshotCapture.js
+ * Tiled High-Resolution Poster Screenshots
+ *
+ * Renders a still far larger than the canvas (or the GPU's maximum
+ * texture size) by drawing it in tiles: the camera renders one window
+ * of the full image at a time (camera.setViewOffset) and each tile is
+ * copied into a 2D canvas that holds the final image.
+ *
+ * Screen-space effects follow the tile through Experience.setViewOffset:
+ * vignette, chromatic aberration and the background gradient use
+ * full-frame coordinates, pixel-sized effects (particle points, DOF blur)
+ * are scaled to the output resolution. Tiles overlap so effects that
+ * sample neighbouring pixels (bloom, FXAA, blur) have no visible seams;
+ * only the inner part of each tile is kept.
+ *
+ * The frame is frozen while tiles render - every tile shows the same
+ * moment. Bloom's glow radius does not scale with the output size, so
+ * it looks tighter on very large posters.
+ */
+
+import { downloadBlob } from './VideoExporter.js';
+
+/** @type {number} Largest side a 2D canvas reliably supports across browsers */
+const MAX_CANVAS_SIZE = 16384;
+
+/**
+ * Yield to the browser (keeps the page responsive between tiles)
+ * @returns {Promise<void>}
+ */
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * @class ScreenshotCapture
+ * @description Captures high-resolution stills of the experience in tiles
+ */
+class ScreenshotCapture {
+    /**
+     * Create screenshot capture
+     * @param {Experience} experience - Experience to capture
+     */
+    constructor(experience) {
+        /** @type {Experience} */
+        this.experience = experience;
+
+        /** @type {boolean} Capture in progress */
+        this.isCapturing = false;
+    }
+
+    /**
+     * Capture a poster
+     * @param {Object} options - Capture options
+     * @param {number} [options.width] - Output width in pixels (default: 7680)
+     * @param {number} [options.height] - Output height in pixels (default: 4320)
+     * @param {number|null} [options.progress] - Scroll progress (0-1) to capture (default: current view)
+     * @param {number} [options.tileSize] - Tile size in pixels (default: 2048, capped by the GPU)
+     * @param {number} [options.overlap] - Pixels each tile extends past its edges (default: 128)
+     * @param {number} [options.settleTime] - Seconds simulated after jumping to a progress
+     *                                        so camera moves and tweens finish (default: 2)
+     * @param {boolean} [options.download] - Trigger a download when done (default: true)
+     * @param {string} [options.filename] - Download name (default: soulhit-poster-<timestamp>.png)
+     * @param {Function} [options.onProgress] - Called with (progress 0-1, tile, totalTiles)
+     * @returns {Promise<Blob>} PNG image
+     */
+    async capture(options = {}) {
+        const {
+            width = 7680,
+            height = 4320,
+            progress = null,
+            tileSize: requestedTileSize = 2048,
+            overlap = 128,
+            settleTime = 2,
+            download = true,
+            filename = null,
+            onProgress = null
+        } = options;
+
+        if (this.isCapturing) {
+            throw new Error('[ScreenshotCapture] A capture is already in progress');
+        }
+
+        if (this.experience.videoExporter.isRecording) {
+            throw new Error('[ScreenshotCapture] Cannot capture while recording');
+        }
+
+        if (width > MAX_CANVAS_SIZE || height > MAX_CANVAS_SIZE) {
+            throw new Error(`[ScreenshotCapture] ${width}x${height} exceeds the ${MAX_CANVAS_SIZE}px canvas limit`);
+        }
+
+        const { app } = this.experience;
+        const tileSize = Math.min(requestedTileSize, app.renderer.capabilities.maxTextureSize);
+        const inner = tileSize - overlap * 2;
+
+        if (inner <= 0) {
+            throw new Error(`[ScreenshotCapture] Overlap ${overlap}px leaves no room in ${tileSize}px tiles`);
+        }
+
+        // Final image
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+
+        const columns = Math.ceil(width / inner);
+        const rows = Math.ceil(height / inner);
+        const totalTiles = columns * rows;
+
+        // Pixel-sized effects scale with the output relative to the screen
+        const scale = height / app.sizes.height;
+
+        this.isCapturing = true;
+
+        const restore = this._enterCaptureMode(progress, settleTime, tileSize);
+
+        console.log(`%c[ScreenshotCapture] Rendering ${width}x${height} in ${totalTiles} tiles`, 'color: #ff4488;');
+
+        try {
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const x = column * inner;
+                    const y = row * inner;
+
+                    // Render the tile with its overlap margin...
+                    this.experience.setViewOffset({
+                        fullWidth: width,
+                        fullHeight: height,
+                        x: x - overlap,
+                        y: y - overlap,
+                        width: tileSize,
+                        height: tileSize,
+                        scale
+                    });
+                    app.rendererManager.renderFrame({ deltaTime: 0, elapsedTime: app.time.elapsedTime });
+
+                    // ...and keep the inner part. The drawing buffer is still
+                    // intact because we copy in the same task as the render.
+                    const copyWidth = Math.min(inner, width - x);
+                    const copyHeight = Math.min(inner, height - y);
+                    context.drawImage(
+                        app.canvas,
+                        overlap, overlap, copyWidth, copyHeight,
+                        x, y, copyWidth, copyHeight
+                    );
+
+                    const tile = row * columns + column + 1;
+                    if (onProgress) {
+                        onProgress(tile / totalTiles, tile, totalTiles);
+                    }
+
+                    await nextTask();
+                }
+            }
+        } finally {
+            restore();
+            this.isCapturing = false;
+        }
+
+        const blob = await new Promise((resolve, reject) => {
+            output.toBlob(b => b ? resolve(b) : reject(new Error('[ScreenshotCapture] PNG encoding failed')), 'image/png');
+        });
+
+        console.log(`%c[ScreenshotCapture] Done (${(blob.size / 1048576).toFixed(1)} MB)`, 'color: #ff4488;');
+
+        if (download) {
+            downloadBlob(blob, filename || `soulhit-poster-${Date.now()}.png`);
+        }
+
+        return blob;
+    }
+
+    /**
+     * Freeze the experience (optionally at a scroll position) and
+     * switch the renderer to tile size
+     * @param {number|null} progress - Scroll progress to jump to
+     * @param {number} settleTime - Seconds to simulate after jumping
+     * @param {number} tileSize - Tile size in pixels
+     * @returns {Function} Restores the previous state
+     * @private
+     */
+    _enterCaptureMode(progress, settleTime, tileSize) {
+        const { app, scrollManager, performanceManager } = this.experience;
+        const { time, rendererManager } = app;
+
+        const saved = {
+            wasRunning: time.isRunning,
+            adaptiveQuality: performanceManager.adaptiveQuality,
+            fixedSize: app.fixedSize
+        };
+
+        // Frames are driven by hand from here on
+        time.stop();
+
+        // Quality must not change between tiles
+        performanceManager.setAdaptiveQuality(false);
+
+        // Jump to the requested scroll position and let it settle
+        if (progress !== null) {
+            scrollManager.setControlledProgress(progress);
+            time.step(Math.ceil(settleTime / (time.fixedStep || 1 / 60)));
+        }
+
+        app.setFixedSize({ width: tileSize, height: tileSize, pixelRatio: 1 });
+
+        // Scheduled captures/compute would run with a stale view between tiles;
+        // components refresh what they need in onViewOffset instead
+        rendererManager.setStageEnabled('tasks', false);
+
+        return () => {
+            this.experience.setViewOffset(null);
+            rendererManager.setStageEnabled('tasks', true);
+            app.setFixedSize(saved.fixedSize);
+            performanceManager.setAdaptiveQuality(saved.adaptiveQuality);
+
+            if (progress !== null) {
+                scrollManager.setControlledProgress(null);
+            }
+
+            if (saved.wasRunning) {
+                time.start();
+            }
+        };
+    }
+}
+
+export { ScreenshotCapture };
+export default ScreenshotCapture;
@@ -0,0 +1,411 @@
+/**
+ * ScrollChoreography.js
+ * Scroll-Linked Overlay Content Animations
+ *
+ * Overlay elements declare their animations with data attributes and
+ * are scrubbed by the same scroll progress as the 3D scene, so text and
+ * camera stay in step forwards and backwards:
+ *
+ *     <h2 data-enter="fade-up -0.2,0" data-exit="fade-up 0.8,1">Orbit</h2>
+ *     <p data-enter="blur" data-split="words" data-stagger="0.4">...</p>
+ *
+ * - data-enter   Preset plus optional scrub range: "fade-up" or
+ *                "fade-up -0.2,0" (default range -0.3,0). Without it the
+ *                element is shown from the start.
+ * - data-exit    Same for leaving (default range 0.6,0.9; the preset's
+ *                motion continues in the same direction). Without it
+ *                the element stays.
+ * - data-ease    Easing name from Easing.js (default: easeOut)
+ * - data-split   "words" or "chars": animate the text piece by piece
+ *                (screen readers read a hidden unsplit copy)
+ * - data-stagger 0-1 spread of the pieces (or of the element's children
+ *                when it isn't split): 0 = together, 1 = one after another
+ * - data-scene   Scene the ranges refer to (default: the closest
+ *                [data-section])
+ *
+ * Ranges are scene-local progress (0 = scene start, 1 = scene end) and
+ * may reach into the neighbouring scenes: -0.3,0 finishes entering as
+ * the scene starts, which is where paginated scrolling lands, and
+ * 0.6,0.9 has left before the next scene's content arrives.
+ */
+
+import { Easing } from './Easing.js';
+
+/**
+ * Animation presets: how an element is offset when hidden. Exits
+ * mirror the motion, so a "fade-up" element also leaves upwards.
+ * - x, y  - Offset in px
+ * - scale - Scale when hidden
+ * - blur  - Blur radius in px when hidden
+ * @readonly
+ * @enum {Object}
+ */
+const ChoreographyPresets = {
+    fade: {},
+    'fade-up': { y: 40 },
+    'fade-down': { y: -40 },
+    'fade-left': { x: 40 },
+    'fade-right': { x: -40 },
+    scale: { scale: 0.85 },
+    blur: { blur: 12 },
+    'blur-up': { y: 20, blur: 8 }
+};
+
+/** @type {Array<number>} Default scrub ranges (scene-local progress) */
+const DEFAULT_ENTER_RANGE = [-0.3, 0];
+const DEFAULT_EXIT_RANGE = [0.6, 0.9];
+
+/**
+ * Progress through a range, clamped to 0-1
+ * @param {number} value
+ * @param {number} from
+ * @param {number} to
+ * @returns {number}
+ */
+function rangeProgress(value, from, to) {
+    if (to <= from) return value >= to ? 1 : 0;
+    return Math.max(0, Math.min(1, (value - from) / (to - from)));
+}
+
+/**
+ * Round a style value (fewer distinct values, fewer style writes)
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * @class ScrollChoreography
+ * @description Scrubs data-attribute animations of overlay elements with scroll progress
+ */
+class ScrollChoreography {
+    /**
+     * Create the choreography for a DOM subtree
+     * @param {Document|HTMLElement} root - Where to look for animated elements
+     * @param {Array<Object>} scenes - Scene definitions (start/end progress)
+     * @param {Object} [options]
+     * @param {boolean} [options.reducedMotion] - Only fade, no movement (default: the
+     *                                            user's prefers-reduced-motion setting)
+     */
+    constructor(root, scenes, options = {}) {
+        const {
+            reducedMotion = typeof window.matchMedia === 'function' &&
+                window.matchMedia('(prefers-reduced-motion: reduce)').matches
+        } = options;
+
+        /** @type {Document|HTMLElement} */
+        this.root = root;
+
+        /** @type {boolean} Only animate opacity */
+        this.reducedMotion = reducedMotion;
+
+        /** @type {Map<string, Object>} Scene definitions by name */
+        this.scenes = new Map();
+
+        /** @type {Array<Object>} Animated elements {element, scene, enter, exit, ease, parts, stagger, ...} */
+        this.items = [];
+
+        /** @type {number|null} Progress of the last update (styles are only written when it changes) */
+        this._lastProgress = null;
+
+        this.setScenes(scenes);
+        this.refresh();
+    }
+
+    /**
+     * Replace the scene definitions (e.g. after the timeline file changed)
+     * @param {Array<Object>} scenes
+     */
+    setScenes(scenes) {
+        this.scenes = new Map(scenes.map(scene => [scene.name, scene]));
+        this._lastProgress = null;
+    }
+
+    /**
+     * (Re)read the animated elements and their attributes
+     */
+    refresh() {
+        this._restore();
+
+        this.root.querySelectorAll('[data-enter], [data-exit]').forEach(element => {
+            const item = this._parse(element);
+            if (item) {
+                this.items.push(item);
+            }
+        });
+
+        this._lastProgress = null;
+    }
+
+    /**
+     * Read an element's attributes
+     * @param {HTMLElement} element
+     * @returns {Object|null} Item, or null (with a warning) if it can't be animated
+     * @private
+     */
+    _parse(element) {
+        const data = element.dataset;
+        const section = element.closest('[data-section]');
+        const scene = data.scene || (section && section.dataset.section);
+
+        if (!scene) {
+            console.warn('[ScrollChoreography] Element outside a [data-section] needs data-scene', element);
+            return null;
+        }
+
+        const enter = this._parseAnimation(data.enter, DEFAULT_ENTER_RANGE, element);
+        const exit = this._parseAnimation(data.exit, DEFAULT_EXIT_RANGE, element);
+        if (enter === false || exit === false) return null;
+
+        const easeName = data.ease || 'easeOut';
+        let ease = Easing[easeName];
+
+        if (!ease) {
+            console.warn(`[ScrollChoreography] Unknown easing "${easeName}", using linear`, element);
+            ease = Easing.linear;
+        }
+
+        const html = element.innerHTML;
+        let parts;
+
+        if (data.split) {
+            parts = this._split(element, data.split);
+        } else if (data.stagger !== undefined && element.children.length > 0) {
+            parts = Array.from(element.children);
+        } else {
+            parts = [element];
+        }
+
+        const stagger = data.stagger !== undefined
+            ? Math.max(0, Math.min(1, parseFloat(data.stagger) || 0))
+            : (data.split ? 0.5 : 0);
+
+        // Stylesheet opacity of each piece, scaled rather than replaced
+        const opacities = parts.map(part => {
+            const opacity = parseFloat(window.getComputedStyle(part).opacity);
+            return Number.isFinite(opacity) ? opacity : 1;
+        });
+
+        return {
+            element, scene, enter, exit, ease, parts, stagger, html, opacities,
+            styles: parts.map(() => '')
+        };
+    }
+
+    /**
+     * Parse "preset [from,to]"
+     * @param {string|undefined} value - Attribute value
+     * @param {Array<number>} defaultRange
+     * @param {HTMLElement} element - For warnings
+     * @returns {Object|null|false} {preset, from, to}, null if absent, false if invalid
+     * @private
+     */
+    _parseAnimation(value, defaultRange, element) {
+        if (value === undefined) return null;
+
+        const [name, range] = value.trim().split(/\s+/);
+        const preset = ChoreographyPresets[name];
+
+        if (!preset) {
+            console.warn(`[ScrollChoreography] Unknown animation "${name}" (use ${Object.keys(ChoreographyPresets).join(', ')})`, element);
+            return false;
+        }
+
+        let [from, to] = defaultRange;
+
+        if (range) {
+            [from, to] = range.split(',').map(Number);
+
+            if (!Number.isFinite(from) || !Number.isFinite(to) || to < from) {
+                console.warn(`[ScrollChoreography] Invalid range "${range}" (expected from,to in scene progress)`, element);
+                return false;
+            }
+        }
+
+        return { preset, from, to };
+    }
+
+    /**
+     * Split an element's text into inline-block pieces. Words stay
+     * unbroken when split into characters; screen readers get the
+     * original text from a visually hidden copy (headings and
+     * paragraphs can't take an aria-label).
+     * @param {HTMLElement} element
+     * @param {string} mode - 'words' or 'chars'
+     * @returns {Array<HTMLElement>} Pieces in reading order
+     * @private
+     */
+    _split(element, mode) {
+        if (mode !== 'words' && mode !== 'chars') {
+            console.warn(`[ScrollChoreography] Unknown split "${mode}" (use words or chars)`, element);
+            return [element];
+        }
+
+        const text = element.textContent.trim();
+        const doc = element.ownerDocument;
+        const parts = [];
+
+        element.textContent = '';
+
+        const label = doc.createElement('span');
+        label.className = 'split-label';
+        label.textContent = text;
+        element.appendChild(label);
+
+        text.split(/\s+/).forEach((word, index) => {
+            if (index > 0) {
+                element.appendChild(doc.createTextNode(' '));
+            }
+
+            const wordElement = doc.createElement('span');
+            wordElement.className = 'split-word';
+            wordElement.setAttribute('aria-hidden', 'true');
+            element.appendChild(wordElement);
+
+            if (mode === 'words') {
+                wordElement.textContent = word;
+                parts.push(wordElement);
+                return;
+            }
+
+            Array.from(word).forEach(char => {
+                const charElement = doc.createElement('span');
+                charElement.className = 'split-char';
+                charElement.textContent = char;
+                wordElement.appendChild(charElement);
+                parts.push(charElement);
+            });
+        });
+
+        return parts;
+    }
+
+    /**
+     * Scrub every element to a progress
+     * @param {number} progress - Global scroll progress (0-1)
+     */
+    update(progress) {
+        if (progress === this._lastProgress) return;
+        this._lastProgress = progress;
+
+        this.items.forEach(item => {
+            const scene = this.scenes.get(item.scene);
+            if (!scene) return;
+
+            const local = (progress - scene.start) / (scene.end - scene.start);
+            const count = item.parts.length;
+
+            // Pieces share the range: each takes 1/spread of it, starting
+            // `stagger` of their own length apart
+            const spread = 1 + (count - 1) * item.stagger;
+
+            item.parts.forEach((part, index) => {
+                const offset = index * item.stagger / spread;
+                const length = 1 / spread;
+
+                let hidden = 0;
+                let preset = null;
+                let direction = 1;
+
+                if (item.enter) {
+                    const { from, to } = item.enter;
+                    const start = from + (to - from) * offset;
+                    const t = rangeProgress(local, start, start + (to - from) * length);
+
+                    hidden = 1 - item.ease(t);
+                    preset = item.enter.preset;
+                }
+
+                if (item.exit) {
+                    const { from, to } = item.exit;
+                    const start = from + (to - from) * offset;
+                    const t = rangeProgress(local, start, start + (to - from) * length);
+                    const exitHidden = item.ease(t);
+
+                    if (exitHidden > hidden) {
+                        hidden = exitHidden;
+                        preset = item.exit.preset;
+                        direction = -1;
+                    }
+                }
+
+                this._apply(item, index, preset, hidden, direction);
+            });
+        });
+    }
+
+    /**
+     * Write a piece's style
+     * @param {Object} item
+     * @param {number} index - Piece index
+     * @param {Object|null} preset
+     * @param {number} hidden - 0 (shown) to 1 (hidden)
+     * @param {number} direction - 1 entering, -1 leaving (mirrors the motion)
+     * @private
+     */
+    _apply(item, index, preset, hidden, direction) {
+        const amount = round(hidden);
+        const motion = this.reducedMotion || !preset ? {} : preset;
+
+        let opacity = '';
+        let translate = '';
+        let scale = '';
+        let filter = '';
+
+        if (amount > 0) {
+            const x = round((motion.x || 0) * amount * direction);
+            const y = round((motion.y || 0) * amount * direction);
+
+            opacity = String(round(item.opacities[index] * (1 - amount)));
+            if (x || y) translate = `${x}px ${y}px`;
+            if (motion.scale) scale = String(round(1 + (motion.scale - 1) * amount));
+            if (motion.blur) filter = `blur(${round(motion.blur * amount)}px)`;
+        }
+
+        // Skip unchanged pieces (most of them, most of the time)
+        const key = `${opacity}|${translate}|${scale}|${filter}`;
+        if (item.styles[index] === key) return;
+        item.styles[index] = key;
+
+        // Individual transform properties, so hover transforms still apply
+        const style = item.parts[index].style;
+        style.opacity = opacity;
+        style.translate = translate;
+        style.scale = scale;
+        style.filter = filter;
+    }
+
+    /**
+     * Put the elements back as they were (inline styles, split text)
+     * @private
+     */
+    _restore() {
+        this.items.forEach(item => {
+            item.parts.forEach(part => {
+                part.style.opacity = '';
+                part.style.translate = '';
+                part.style.scale = '';
+                part.style.filter = '';
+            });
+
+            if (item.element.dataset.split) {
+                item.element.innerHTML = item.html;
+            }
+        });
+
+        this.items = [];
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this._restore();
+        this.scenes.clear();
+    }
+}
+
+export { ScrollChoreography, ChoreographyPresets };
+export default ScrollChoreography;
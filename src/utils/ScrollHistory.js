@@ -0,0 +1,227 @@
+/**
+ * ScrollHistory.js
+ * Deep Links & History Sync for Scroll Scenes
+ *
+ * The URL mirrors the scroll position, so a position can be shared
+ * and is restored on load:
+ *
+ *     /                            top of the page
+ *     /#orbital                    start of a scene
+ *     /?p=0.5#spineReveal          halfway through a scene
+ *     /?scene=spineReveal&p=0.5    same, query form (read only)
+ *     /?p=0.5                      global progress without a scene
+ *
+ * Other query parameters (?seed, ?fps, ?debug) are kept as they are.
+ * Entering a scene pushes a history entry and moving within a scene
+ * replaces it, so back/forward step through the visited scenes. An
+ * entry keeps the position where the scroll last rested in its scene.
+ */
+
+/**
+ * Clamp to 0-1
+ * @param {number} value
+ * @returns {number}
+ */
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * @class ScrollHistory
+ * @description Keeps the URL and browser history in sync with a ScrollManager
+ */
+class ScrollHistory {
+    /**
+     * Create history sync for a scroll manager
+     * @param {ScrollManager} scrollManager - Scroll manager to follow and navigate
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Minimum ms between URL updates within a scene
+     *                                      (browsers rate-limit replaceState; default: 250)
+     */
+    constructor(scrollManager, options = {}) {
+        const {
+            interval = 250
+        } = options;
+
+        /** @type {ScrollManager} */
+        this.scrollManager = scrollManager;
+
+        /** @type {number} Minimum ms between replaceState calls */
+        this.interval = interval;
+
+        /** @type {string} Last URL written or navigated to */
+        this._url = window.location.href;
+
+        /** @type {string|null} Scene of the current history entry */
+        this._scene = null;
+
+        /** @type {number} Time of the last write (ms) */
+        this._lastWrite = 0;
+
+        /** @type {boolean} Scrolling to a back/forward target (scenes passed on the way don't push entries) */
+        this._navigating = false;
+
+        /** @type {boolean} A scroll animation ran and the scroll hasn't come to rest since */
+        this._jumping = false;
+
+        /** @type {string|null} URL where the scroll last came to rest */
+        this._restUrl = null;
+
+        /** @type {string|null} Scene of _restUrl */
+        this._restScene = null;
+
+        // The URL holds the position now; don't let the browser restore its own
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        this._onPopState = this._onPopState.bind(this);
+        window.addEventListener('popstate', this._onPopState);
+    }
+
+    /**
+     * Progress the current URL links to
+     * @returns {number|null} Global progress (0-1), or null without a (valid) link
+     */
+    readLocation() {
+        const params = new URLSearchParams(window.location.search);
+        const hash = window.location.hash.slice(1);
+        const p = parseFloat(params.get('p'));
+        let name = params.get('scene');
+
+        if (!name && hash) {
+            try {
+                name = decodeURIComponent(hash);
+            } catch (error) {
+                // Malformed escape (e.g. "#100%"): no link
+                console.warn(`[ScrollHistory] Unknown scene "${hash}" in URL`);
+                return null;
+            }
+        }
+
+        if (!name) {
+            return Number.isFinite(p) ? clamp01(p) : null;
+        }
+
+        const scene = this.scrollManager.getScenes().find(s => s.name === name);
+
+        if (!scene) {
+            console.warn(`[ScrollHistory] Unknown scene "${name}" in URL`);
+            return null;
+        }
+
+        const local = Number.isFinite(p) ? clamp01(p) : 0;
+        return scene.start + local * (scene.end - scene.start);
+    }
+
+    /**
+     * URL for a position (keeps unrelated query parameters)
+     * @param {Object} scene - Scene definition
+     * @param {number} localProgress - Progress within the scene (0-1)
+     * @returns {string}
+     * @private
+     */
+    _format(scene, localProgress) {
+        const url = new URL(window.location.href);
+        const p = Math.round(localProgress * 100) / 100;
+
+        url.searchParams.delete('scene');
+        url.searchParams.delete('p');
+
+        if (scene === this.scrollManager.getScenes()[0] && p === 0) {
+            // Top of the page: clean URL
+            url.hash = '';
+        } else {
+            url.hash = scene.name;
+
+            if (p > 0) {
+                url.searchParams.set('p', String(p));
+            }
+        }
+
+        return url.href;
+    }
+
+    /**
+     * Write the current position to the URL (call every frame)
+     * @param {Object} scene - Current scene definition
+     * @param {number} localProgress - Progress within the scene (0-1)
+     */
+    update(scene, localProgress) {
+        if (!scene) return;
+
+        const scrollManager = this.scrollManager;
+        const url = this._format(scene, localProgress);
+
+        if (scrollManager.isAnimating) {
+            this._jumping = true;
+        }
+
+        if (url !== this._url) {
+            this._write(scene, url);
+        }
+
+        // Navigations and jumps end once the scroll has come to rest
+        if (!scrollManager.isAnimating && scrollManager.scrollY === scrollManager.targetScrollY) {
+            this._navigating = false;
+            this._jumping = false;
+            this._restUrl = url;
+            this._restScene = scene.name;
+        }
+    }
+
+    /**
+     * Push (new scene) or replace (same scene, throttled) the history entry
+     * @param {Object} scene - Current scene definition
+     * @param {string} url
+     * @private
+     */
+    _write(scene, url) {
+        const now = performance.now();
+        const enteredScene = this._scene !== null && scene.name !== this._scene;
+
+        if (!enteredScene && now - this._lastWrite < this.interval) return;
+
+        // Scenes an animated jump (Home/End) passes through get no entries:
+        // wait for it to land
+        if (enteredScene && this._jumping) return;
+
+        if (enteredScene && !this._navigating) {
+            // Leave the previous entry where the scroll rested in that scene,
+            // not wherever the last update caught it on the way out
+            if (this._restScene === this._scene && this._restUrl !== this._url) {
+                window.history.replaceState(null, '', this._restUrl);
+            }
+
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+
+        this._url = url;
+        this._scene = scene.name;
+        this._lastWrite = now;
+    }
+
+    /**
+     * Back/forward (or an edited hash): scroll to the entry's position
+     * @private
+     */
+    _onPopState() {
+        this._url = window.location.href;
+        this._scene = null;
+        this._navigating = true;
+
+        this.scrollManager.goToProgress(this.readLocation() ?? 0);
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        window.removeEventListener('popstate', this._onPopState);
+    }
+}
+
+export { ScrollHistory };
+export default ScrollHistory;
@@ -3,132 +3,49 @@
  * Advanced Scroll-Based Camera & Animation Controller
  *
  * Features:
- * - Multi-scene camera paths with smooth interpolation
+ * - One continuous camera path over all scenes (spline keyframes with
+ *   position, lookAt, fov and roll - see CameraPath.js)
+ * - Per-scene framing volumes that keep subjects in view on any
+ *   aspect ratio (see CameraFraming.js)
  * - Orbital camera movement support
  * - Scene triggers for element visibility
  * - Custom easing functions
  * - Smooth scroll interpolation
+ * - Animated scrollTo with named easings, returning a promise; user
+ *   scrolling or touching interrupts it
+ * - Optional pagination: wheel, keys and swipes move exactly one scene
+ *   and the page snaps to scene starts (mode: 'paginated')
+ * - Optional deep links: the URL follows the scroll position and
+ *   back/forward move between scenes (history: true, see ScrollHistory.js)
+ * - Pluggable scroll source: the window, a scrollable element, or
+ *   virtual scrolling without a tall page (source, see ScrollSource.js)
+ *
+ * Events:
+ * - 'update'          Every frame with scroll + camera data
+ * - 'scene:change'    Active scene changed {from, to, scene}
+ * - 'scenes:change'   Scene definitions replaced (timeline reload) {scenes}
+ * - 'section:enter'   Legacy section entered
+ * - 'section:leave'   Legacy section left
  */
 
 import * as THREE from 'three';
-import gsap from 'gsap';
 import { EventEmitter } from '../core/EventEmitter.js';
+import { isUIEvent } from '../core/CameraControllers.js';
+import { Easing } from './Easing.js';
+import { CameraPath } from './CameraPath.js';
+import { CameraFraming } from './CameraFraming.js';
+import { loadTimeline } from './Timeline.js';
+import { ScrollHistory } from './ScrollHistory.js';
+import { createScrollSource } from './ScrollSource.js';
 
-/**
- * Easing functions for smooth camera transitions
- */
-const Easing = {
-    linear: t => t,
-    easeInOut: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
-    easeIn: t => t * t * t,
-    easeOut: t => 1 - Math.pow(1 - t, 3),
-    easeInOutQuart: t => t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2,
-    easeOutExpo: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
-    easeInOutBack: t => {
-        const c1 = 1.70158;
-        const c2 = c1 * 1.525;
-        return t < 0.5
-            ? (Math.pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
-            : (Math.pow(2 * t - 2, 2) * ((c2 + 1) * (t * 2 - 2) + c2) + 2) / 2;
-    }
-};
+/** @type {Array<string>} Scroll modes */
+const SCROLL_MODES = ['free', 'paginated'];
 
 /**
- * Scene definitions for the scroll experience
+ * Scene definitions for the scroll experience, loaded from
+ * src/data/timeline.json (format and validation: Timeline.js).
  */
-const SCENE_DEFINITIONS = [
-    {
-        name: 'hero',
-        start: 0,
-        end: 0.2,
-        camera: {
-            positionStart: { x: 0, y: 0, z: 15 },
-            positionEnd: { x: 0, y: 2, z: 12 },
-            lookAtStart: { x: 0, y: 0, z: 0 },
-            lookAtEnd: { x: 0, y: -1, z: 0 }
-        },
-        easing: 'easeInOut',
-        effects: {
-            particleColor: { r: 0.27, g: 0.53, b: 1.0 },
-            bloomStrength: 1.5,
-            fogDensity: 0.02
-        }
-    },
-    {
-        name: 'underwater',
-        start: 0.2,
-        end: 0.4,
-        camera: {
-            positionStart: { x: 0, y: 2, z: 12 },
-            positionEnd: { x: 0, y: -5, z: 8 },
-            lookAtStart: { x: 0, y: -1, z: 0 },
-            lookAtEnd: { x: 0, y: -3, z: 0 }
-        },
-        easing: 'easeInOutQuart',
-        effects: {
-            particleColor: { r: 0.2, g: 0.6, b: 0.8 },
-            bloomStrength: 2.0,
-            fogDensity: 0.05,
-            tint: { r: 0.1, g: 0.3, b: 0.5 }
-        }
-    },
-    {
-        name: 'spineReveal',
-        start: 0.4,
-        end: 0.6,
-        camera: {
-            positionStart: { x: 0, y: -5, z: 8 },
-            positionEnd: { x: 0, y: 0, z: 18 },
-            lookAtStart: { x: 0, y: -3, z: 0 },
-            lookAtEnd: { x: 0, y: 0, z: 0 }
-        },
-        easing: 'easeOutExpo',
-        effects: {
-            particleColor: { r: 1.0, g: 0.3, b: 0.5 },
-            bloomStrength: 1.8,
-            fogDensity: 0.015,
-            spineVisible: true
-        }
-    },
-    {
-        name: 'orbital',
-        start: 0.6,
-        end: 0.8,
-        camera: {
-            orbital: true,
-            radius: 14,
-            height: 2,
-            startAngle: Math.PI / 2,  // Start from front
-            endAngle: Math.PI * 2.5,  // Full rotation + half
-            lookAt: { x: 0, y: 0, z: 0 }
-        },
-        easing: 'easeInOut',
-        effects: {
-            particleColor: { r: 0.8, g: 0.4, b: 1.0 },
-            bloomStrength: 2.2,
-            cardsOrbit: true
-        }
-    },
-    {
-        name: 'final',
-        start: 0.8,
-        end: 1.0,
-        camera: {
-            // Continue from orbital end position
-            positionStart: { x: 0, y: 2, z: 14 },
-            positionEnd: { x: 0, y: 5, z: 25 },
-            lookAtStart: { x: 0, y: 0, z: 0 },
-            lookAtEnd: { x: 0, y: 0, z: 0 }
-        },
-        easing: 'easeOut',
-        effects: {
-            particleColor: { r: 0.27, g: 0.53, b: 1.0 },
-            bloomStrength: 1.5,
-            fogDensity: 0.01,
-            finalReveal: true
-        }
-    }
-];
+const SCENE_DEFINITIONS = loadTimeline().scenes;
 
 /**
  * @class ScrollManager
@@ -136,21 +53,22 @@ const SCENE_DEFINITIONS = [
  * @description Advanced scroll-based camera and animation controller
  */
 class ScrollManager extends EventEmitter {
-    /** @type {ScrollManager|null} Singleton instance */
-    static instance = null;
-
     /**
      * Create scroll manager
      * @param {Object} options - Configuration options
+     * @param {string} [options.mode] - 'free' (native scrolling) or 'paginated'
+     *                                  (one scene per wheel/key/swipe, snapping to scene starts)
+     * @param {number} [options.pageDuration] - Seconds a page change animates for
+     * @param {number} [options.snapDelay] - Milliseconds after a free scroll (scrollbar)
+     *                                       before snapping to the nearest page
+     * @param {boolean} [options.history] - Sync the URL and browser history with the
+     *                                      scroll position, and start at the URL's position
+     * @param {string|HTMLElement|Object} [options.source] - Where the scroll position comes
+     *        from: 'window' (default), 'virtual', a scrollable element or selector, or a
+     *        source instance (see ScrollSource.js; disposed with the manager)
      */
     constructor(options = {}) {
-        // Singleton pattern
-        if (ScrollManager.instance) {
-            return ScrollManager.instance;
-        }
-
         super();
-        ScrollManager.instance = this;
 
         // ==========================================
         // Configuration
@@ -159,7 +77,13 @@ class ScrollManager extends EventEmitter {
         const {
             smoothness = 0.08,
             threshold = 0.1,
-            scenes = SCENE_DEFINITIONS
+            scenes = loadTimeline().scenes,
+            aspect = window.innerWidth / window.innerHeight,
+            mode = 'free',
+            pageDuration = 1.2,
+            snapDelay = 150,
+            history = false,
+            source = 'window'
         } = options;
 
         /** @type {number} Smooth interpolation factor */
@@ -171,6 +95,18 @@ class ScrollManager extends EventEmitter {
         /** @type {Array} Scene definitions */
         this.scenes = scenes;
 
+        /** @type {string} Scroll mode (see setMode) */
+        this.mode = 'free';
+
+        /** @type {number} Page change duration in seconds */
+        this.pageDuration = pageDuration;
+
+        /** @type {number} Delay before snapping after a free scroll (ms) */
+        this.snapDelay = snapDelay;
+
+        /** @type {Object} Scroll position source (window, element or virtual) */
+        this.source = createScrollSource(source);
+
         // ==========================================
         // Scroll State
         // ==========================================
@@ -215,14 +151,49 @@ class ScrollManager extends EventEmitter {
         /** @type {THREE.Vector3} Interpolated look-at target */
         this.smoothLookAtTarget = new THREE.Vector3(0, 0, 0);
 
+        /** @type {number|null} Current field of view (null = path doesn't set it) */
+        this.cameraFov = null;
+
+        /** @type {number} Current roll in radians */
+        this.cameraRoll = 0;
+
+        /** @type {number|null} Interpolated field of view */
+        this.smoothCameraFov = null;
+
+        /** @type {number} Interpolated roll */
+        this.smoothCameraRoll = 0;
+
+        /** @type {CameraPath} Camera path over all scenes */
+        this.cameraPath = new CameraPath(this.scenes);
+
+        /** @type {CameraFraming} Scene framing volumes */
+        this.framing = new CameraFraming(this.scenes);
+
+        /** @type {number} Viewport aspect ratio the framing fits to */
+        this.aspect = aspect;
+
+        /** @type {Object} Path evaluation target (writes the camera state in place) */
+        this._pathSample = {
+            position: this.cameraPosition,
+            lookAt: this.lookAtTarget,
+            fov: null,
+            roll: 0
+        };
+
+        /** @type {boolean} Skip smoothing on the next update (after restore) */
+        this._snapNextUpdate = false;
+
+        /** @type {number|null} Externally driven progress (recording), null = follow scroll */
+        this.controlledProgress = null;
+
         // ==========================================
         // Document Dimensions
         // ==========================================
 
         /** @type {number} Viewport height */
-        this.viewportHeight = window.innerHeight;
+        this.viewportHeight = this.source.viewportHeight;
 
-        /** @type {number} Document scrollable height */
+        /** @type {number} Scrollable height of the source */
         this.documentHeight = 0;
 
         // ==========================================
@@ -232,12 +203,51 @@ class ScrollManager extends EventEmitter {
         /** @type {Array<Object>} Registered scroll sections */
         this.sections = [];
 
+        // ==========================================
+        // Pagination
+        // ==========================================
+
+        /** @type {boolean} Paginated mode reacts to wheel/keys/swipes (off while e.g. a free camera has them) */
+        this.inputEnabled = true;
+
+        /** @type {Object|null} Running scroll animation {from, to, y, frame, resolve...} (see scrollTo) */
+        this._scrollAnimation = null;
+
+        /** @type {number|null} Progress the running page change ends at */
+        this._pageTarget = null;
+
+        /** @type {number|null} Pending snap timeout */
+        this._snapTimer = null;
+
+        /** @type {number} Time of the last wheel event (ms) */
+        this._lastWheelTime = 0;
+
+        /** @type {boolean} The current wheel gesture already changed page */
+        this._wheelLocked = false;
+
+        /** @type {number|null} Position deliberately between pages (deep link), not snapped */
+        this._heldProgress = null;
+
+        /** @type {ScrollHistory|null} URL / history sync */
+        this.history = null;
+
         // ==========================================
         // Initialize
         // ==========================================
 
         this._bindEvents();
         this._updateDimensions();
+        this.setMode(mode);
+
+        // Start where the URL points
+        if (history) {
+            this.history = new ScrollHistory(this);
+
+            const linked = this.history.readLocation();
+            if (linked !== null) {
+                this.restoreProgress(linked);
+            }
+        }
 
         console.log('%c[ScrollManager] Advanced camera system initialized', 'color: #44ffaa;');
         console.log(`%c[ScrollManager] ${this.scenes.length} scenes configured`, 'color: #44ffaa;');
@@ -250,9 +260,21 @@ class ScrollManager extends EventEmitter {
     _bindEvents() {
         this._handleScroll = this._handleScroll.bind(this);
         this._handleResize = this._handleResize.bind(this);
+        this._handleWheel = this._handleWheel.bind(this);
+        this._handleKeyDown = this._handleKeyDown.bind(this);
+        this._handleTouchStart = this._handleTouchStart.bind(this);
+
+        const target = this.source.target;
+
+        // Not passive: in paginated mode the wheel changes page instead of scrolling
+        target.addEventListener('wheel', this._handleWheel, { passive: false });
+        target.addEventListener('touchstart', this._handleTouchStart, { passive: true });
+        window.addEventListener('keydown', this._handleKeyDown);
 
-        window.addEventListener('scroll', this._handleScroll, { passive: true });
-        window.addEventListener('resize', this._handleResize);
+        this.source.connect({
+            onScroll: this._handleScroll,
+            onResize: this._handleResize
+        });
     }
 
     /**
@@ -260,7 +282,29 @@ class ScrollManager extends EventEmitter {
      * @private
      */
     _handleScroll() {
-        this.targetScrollY = window.scrollY;
+        this.targetScrollY = this.source.scroll;
+
+        // Off the animated position: someone else scrolled (scrollbar, keys)
+        const animation = this._scrollAnimation;
+        if (animation && Math.abs(this.targetScrollY - animation.y) > 1.5) {
+            this.stopScrollAnimation();
+        }
+
+        // Scrolled some other way (scrollbar drag): settle on the nearest page
+        if (this.mode === 'paginated' && !this._scrollAnimation) {
+            this._scheduleSnap();
+        }
+    }
+
+    /**
+     * Touching the page takes over from a scroll animation
+     * (in paginated mode swipes change page instead)
+     * @private
+     */
+    _handleTouchStart() {
+        if (this.mode === 'free') {
+            this.stopScrollAnimation();
+        }
     }
 
     /**
@@ -268,19 +312,151 @@ class ScrollManager extends EventEmitter {
      * @private
      */
     _handleResize() {
-        this.viewportHeight = window.innerHeight;
+        const previousHeight = this.documentHeight;
+
+        this.viewportHeight = this.source.viewportHeight;
         this._updateDimensions();
+
+        // Keep the smoothed position at the same progress, so the camera
+        // doesn't sweep across scenes while it catches up
+        if (previousHeight > 0 && this.documentHeight > 0) {
+            const scale = this.documentHeight / previousHeight;
+            this.scrollY *= scale;
+            this.previousScrollY *= scale;
+        }
+
+        // Page positions in pixels moved with the document height
+        if (this.mode === 'paginated') {
+            this._scheduleSnap();
+        }
+    }
+
+    /**
+     * Whether paginated input should handle an event
+     * @param {Event} event
+     * @returns {boolean}
+     * @private
+     */
+    _acceptsPageInput(event) {
+        return this.mode === 'paginated' &&
+            this.inputEnabled &&
+            this.controlledProgress === null &&
+            !isUIEvent(event);
     }
 
     /**
-     * Update document dimensions
+     * Wheel: one page per gesture. A gesture (including trackpad inertia)
+     * is a run of wheel events without a pause, so it can't skip scenes.
+     * @param {WheelEvent} event
+     * @private
+     */
+    _handleWheel(event) {
+        if (!this._acceptsPageInput(event)) {
+            // Free scrolling: the wheel takes over from a scroll animation
+            if (this.mode === 'free' && !isUIEvent(event)) {
+                this.stopScrollAnimation();
+            }
+            return;
+        }
+        event.preventDefault();
+
+        const now = performance.now();
+        const paused = now - this._lastWheelTime > 200;
+        this._lastWheelTime = now;
+
+        if (this._wheelLocked && !paused) return;
+        this._wheelLocked = false;
+
+        if (event.deltaY === 0) return;
+
+        this._wheelLocked = true;
+        this.stepPage(Math.sign(event.deltaY));
+    }
+
+    /**
+     * Keys: arrows, PageUp/PageDown and Space (Shift+Space back) move one
+     * page; Home/End go to the first/last page
+     * @param {KeyboardEvent} event
+     * @private
+     */
+    _handleKeyDown(event) {
+        if (!this._acceptsPageInput(event)) return;
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'PageDown':
+                this.stepPage(1);
+                break;
+            case 'ArrowUp':
+            case 'PageUp':
+                this.stepPage(-1);
+                break;
+            case ' ':
+                this.stepPage(event.shiftKey ? -1 : 1);
+                break;
+            case 'Home':
+                this.goToPage(0);
+                break;
+            case 'End':
+                this.goToPage(this.getPages().length - 1);
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+    }
+
+    /**
+     * Swipe gesture (from MobileSupport): swiping up goes to the next page
+     * @param {Object} swipe - {direction}
+     */
+    handleSwipe(swipe) {
+        if (this.mode !== 'paginated' || !this.inputEnabled || this.controlledProgress !== null) return;
+
+        if (swipe.direction === 'up') {
+            this.stepPage(1);
+        } else if (swipe.direction === 'down') {
+            this.stepPage(-1);
+        }
+    }
+
+    /**
+     * Switch between free scrolling and pagination
+     * @param {string} mode - 'free' or 'paginated'
+     */
+    setMode(mode) {
+        if (!SCROLL_MODES.includes(mode)) {
+            throw new Error(`[ScrollManager] Unknown scroll mode "${mode}" (use 'free' or 'paginated')`);
+        }
+
+        this.mode = mode;
+
+        // A virtual source's own wheel/touch/key scrolling would fight the pages
+        this.source.inputEnabled = mode === 'free';
+
+        if (mode === 'paginated') {
+            this._scheduleSnap();
+        } else {
+            clearTimeout(this._snapTimer);
+        }
+    }
+
+    /**
+     * Set the viewport aspect ratio scene framing fits to
+     * @param {number} aspect - Width / height
+     */
+    setAspect(aspect) {
+        this.aspect = aspect;
+    }
+
+    /**
+     * Update the scrollable range from the source
      * @private
      */
     _updateDimensions() {
-        this.documentHeight = Math.max(
-            document.body.scrollHeight,
-            document.documentElement.scrollHeight
-        ) - this.viewportHeight;
+        this.documentHeight = this.source.maxScroll;
     }
 
     /**
@@ -316,12 +492,13 @@ class ScrollManager extends EventEmitter {
     }
 
     /**
-     * Get current scene based on progress
+     * Get current scene based on progress. A boundary belongs to the
+     * scene starting there, so a page (scene start) shows its own scene.
      * @returns {Object|null} Current scene definition
      */
     getCurrentSceneDefinition() {
         for (const scene of this.scenes) {
-            if (this.progress >= scene.start && this.progress <= scene.end) {
+            if (this.progress >= scene.start && this.progress < scene.end) {
                 return scene;
             }
         }
@@ -375,36 +552,12 @@ class ScrollManager extends EventEmitter {
      * @private
      */
     _calculateCameraPosition() {
-        const scene = this.getCurrentSceneDefinition();
-        if (!scene || !scene.camera) return;
-
-        const localProgress = this.getSceneLocalProgress(scene);
-        const easing = scene.easing || 'linear';
-
-        if (scene.camera.orbital) {
-            // Orbital camera movement
-            const { radius, height, startAngle, endAngle, lookAt } = scene.camera;
-            const angle = this.interpolate(startAngle, endAngle, localProgress, easing);
-
-            this.cameraPosition.x = Math.cos(angle) * radius;
-            this.cameraPosition.z = Math.sin(angle) * radius;
-            this.cameraPosition.y = height;
-
-            this.lookAtTarget.set(lookAt.x, lookAt.y, lookAt.z);
-        } else {
-            // Linear camera path
-            const { positionStart, positionEnd, lookAtStart, lookAtEnd } = scene.camera;
+        if (!this.cameraPath.evaluate(this.progress, this._pathSample)) return;
 
-            if (positionStart && positionEnd) {
-                const newPos = this.interpolateVector3(positionStart, positionEnd, localProgress, easing);
-                this.cameraPosition.copy(newPos);
-            }
+        this.framing.apply(this.progress, this._pathSample, this.aspect);
 
-            if (lookAtStart && lookAtEnd) {
-                const newLookAt = this.interpolateVector3(lookAtStart, lookAtEnd, localProgress, easing);
-                this.lookAtTarget.copy(newLookAt);
-            }
-        }
+        this.cameraFov = this._pathSample.fov;
+        this.cameraRoll = this._pathSample.roll;
     }
 
     /**
@@ -416,8 +569,19 @@ class ScrollManager extends EventEmitter {
         // Store previous position
         this.previousScrollY = this.scrollY;
 
-        // Smooth interpolation
-        this.scrollY += (this.targetScrollY - this.scrollY) * this.smoothness;
+        // Smooth interpolation (or exact position when driven externally)
+        if (this.controlledProgress !== null) {
+            this.scrollY = this.controlledProgress * this.documentHeight;
+            this.targetScrollY = this.scrollY;
+        } else {
+            this.scrollY += (this.targetScrollY - this.scrollY) * this.smoothness;
+
+            // Settle exactly on the target (the easing alone stops a fraction
+            // short, which would leave a page one pixel inside the previous scene)
+            if (Math.abs(this.targetScrollY - this.scrollY) < 0.5) {
+                this.scrollY = this.targetScrollY;
+            }
+        }
 
         // Calculate velocity
         this.velocity = this.scrollY - this.previousScrollY;
@@ -430,9 +594,14 @@ class ScrollManager extends EventEmitter {
         }
 
         // Calculate progress
-        this.progress = this.documentHeight > 0
-            ? Math.max(0, Math.min(1, this.scrollY / this.documentHeight))
-            : 0;
+        if (this.controlledProgress !== null) {
+            // Independent of the document (works without a scrollable page)
+            this.progress = this.controlledProgress;
+        } else {
+            this.progress = this.documentHeight > 0
+                ? Math.max(0, Math.min(1, this.scrollY / this.documentHeight))
+                : 0;
+        }
 
         // Get current scene
         const currentSceneDef = this.getCurrentSceneDefinition();
@@ -444,7 +613,7 @@ class ScrollManager extends EventEmitter {
             this.currentScene = sceneName;
 
             // Emit scene change event
-            this.emit('sceneChange', {
+            this.emit('scene:change', {
                 from: this.previousScene,
                 to: this.currentScene,
                 scene: currentSceneDef
@@ -457,8 +626,23 @@ class ScrollManager extends EventEmitter {
         this._calculateCameraPosition();
 
         // Smooth camera interpolation
-        this.smoothCameraPosition.lerp(this.cameraPosition, this.smoothness * 2);
-        this.smoothLookAtTarget.lerp(this.lookAtTarget, this.smoothness * 2);
+        if (this._snapNextUpdate || this.controlledProgress !== null) {
+            this._snapNextUpdate = false;
+            this.smoothCameraPosition.copy(this.cameraPosition);
+            this.smoothLookAtTarget.copy(this.lookAtTarget);
+            this.smoothCameraFov = this.cameraFov;
+            this.smoothCameraRoll = this.cameraRoll;
+        } else {
+            this.smoothCameraPosition.lerp(this.cameraPosition, this.smoothness * 2);
+            this.smoothLookAtTarget.lerp(this.lookAtTarget, this.smoothness * 2);
+            this.smoothCameraRoll += (this.cameraRoll - this.smoothCameraRoll) * this.smoothness * 2;
+
+            if (this.cameraFov === null || this.smoothCameraFov === null) {
+                this.smoothCameraFov = this.cameraFov;
+            } else {
+                this.smoothCameraFov += (this.cameraFov - this.smoothCameraFov) * this.smoothness * 2;
+            }
+        }
 
         // Apply to camera if provided
         if (camera) {
@@ -469,6 +653,11 @@ class ScrollManager extends EventEmitter {
         // Update legacy sections
         this._updateSections();
 
+        // Keep the URL in step (not while a recording drives the progress)
+        if (this.history && this.controlledProgress === null) {
+            this.history.update(currentSceneDef, this.getSceneLocalProgress(currentSceneDef));
+        }
+
         // Emit update event with all data
         this.emit('update', {
             scrollY: this.scrollY,
@@ -480,7 +669,9 @@ class ScrollManager extends EventEmitter {
             sceneDefinition: currentSceneDef,
             localProgress: this.getSceneLocalProgress(currentSceneDef),
             cameraPosition: this.smoothCameraPosition.clone(),
-            lookAtTarget: this.smoothLookAtTarget.clone()
+            lookAtTarget: this.smoothLookAtTarget.clone(),
+            cameraFov: this.smoothCameraFov,
+            cameraRoll: this.smoothCameraRoll
         });
     }
 
@@ -507,13 +698,13 @@ class ScrollManager extends EventEmitter {
                 if (section.onEnter) {
                     section.onEnter(section);
                 }
-                this.emit('sectionEnter', section);
+                this.emit('section:enter', section);
             } else if (!isInSection && wasActive) {
                 section.isActive = false;
                 if (section.onLeave) {
                     section.onLeave(section);
                 }
-                this.emit('sectionLeave', section);
+                this.emit('section:leave', section);
             }
 
             // Progress callback
@@ -524,40 +715,270 @@ class ScrollManager extends EventEmitter {
     }
 
     /**
-     * Scroll to a specific position
+     * Animate the scroll position (of the source) to a position. A new scrollTo, user
+     * scrolling (wheel, scrollbar, keys) or touching interrupts it.
      * @param {number} target - Target scroll position in pixels
-     * @param {number} duration - Animation duration in seconds
+     * @param {number} [duration=1] - Animation duration in seconds
+     * @param {string|Function} [easing='easeInOutCubic'] - Easing name (see Easing.js) or function
+     * @returns {Promise<boolean>} Resolves true when the target is reached, false if interrupted
+     *          (rejects for an unknown easing)
      */
-    scrollTo(target, duration = 1) {
-        gsap.to(window, {
-            duration,
-            scrollTo: { y: target, autoKill: false },
-            ease: 'power3.inOut'
+    scrollTo(target, duration = 1, easing = 'easeInOutCubic') {
+        const ease = typeof easing === 'function' ? easing : Easing[easing];
+
+        if (!ease) {
+            return Promise.reject(new Error(`[ScrollManager] Unknown easing "${easing}"`));
+        }
+
+        this.stopScrollAnimation();
+
+        const from = this.source.scroll;
+        const to = Math.max(0, Math.min(this.documentHeight, target));
+
+        return new Promise(resolve => {
+            const animation = { from, to, y: from, frame: 0, start: performance.now(), resolve };
+            this._scrollAnimation = animation;
+
+            if (duration <= 0 || Math.abs(to - from) < 1) {
+                animation.y = to;
+                this.source.scrollTo(to);
+                this._endScrollAnimation(true);
+                return;
+            }
+
+            const step = (now) => {
+                if (this._scrollAnimation !== animation) return;
+
+                const t = Math.max(0, Math.min(1, (now - animation.start) / (duration * 1000)));
+                // Overshooting easings (easeOutBack) can't scroll past the ends;
+                // the source would clamp and the gap would read as user scrolling
+                animation.y = Math.max(0, Math.min(this.documentHeight, from + (to - from) * ease(t)));
+                this.source.scrollTo(animation.y);
+
+                if (t < 1) {
+                    animation.frame = requestAnimationFrame(step);
+                } else {
+                    this._endScrollAnimation(true);
+                }
+            };
+
+            animation.frame = requestAnimationFrame(step);
         });
     }
 
+    /**
+     * Stop a running scroll animation where it is (its promise resolves false)
+     */
+    stopScrollAnimation() {
+        this._endScrollAnimation(false);
+    }
+
+    /**
+     * End the running scroll animation
+     * @param {boolean} reached - Whether the target was reached
+     * @private
+     */
+    _endScrollAnimation(reached) {
+        const animation = this._scrollAnimation;
+        if (!animation) return;
+
+        cancelAnimationFrame(animation.frame);
+        this._scrollAnimation = null;
+        animation.resolve(reached);
+    }
+
     /**
      * Scroll to a specific progress
      * @param {number} progress - Target progress (0-1)
-     * @param {number} duration - Animation duration in seconds
+     * @param {number} [duration=1] - Animation duration in seconds
+     * @param {string|Function} [easing] - Easing name or function (see scrollTo)
+     * @returns {Promise<boolean>} See scrollTo
      */
-    scrollToProgress(progress, duration = 1) {
-        const target = progress * this.documentHeight;
-        this.scrollTo(target, duration);
+    scrollToProgress(progress, duration = 1, easing) {
+        this._updateDimensions();
+
+        // Round up so a scene start lands inside its scene, not a pixel before it
+        return this.scrollTo(Math.ceil(progress * this.documentHeight), duration, easing);
     }
 
     /**
      * Scroll to a specific scene
      * @param {string} sceneName - Scene name
-     * @param {number} duration - Animation duration in seconds
+     * @param {number} [duration=1] - Animation duration in seconds
+     * @param {string|Function} [easing] - Easing name or function (see scrollTo)
+     * @returns {Promise<boolean>} See scrollTo (false for an unknown scene)
      */
-    scrollToScene(sceneName, duration = 1) {
+    scrollToScene(sceneName, duration = 1, easing) {
         const scene = this.scenes.find(s => s.name === sceneName);
-        if (scene) {
-            this.scrollToProgress(scene.start, duration);
+
+        if (!scene) {
+            console.warn(`[ScrollManager] Unknown scene "${sceneName}"`);
+            return Promise.resolve(false);
+        }
+
+        return this.scrollToProgress(scene.start, duration, easing);
+    }
+
+    /**
+     * Page positions: every scene start, plus the end of the last scene
+     * so its animation can play out
+     * @returns {Array<number>} Progress values (ascending)
+     */
+    getPages() {
+        const pages = this.scenes.map(scene => scene.start);
+        const last = this.scenes[this.scenes.length - 1];
+
+        if (last && last.end > last.start) {
+            pages.push(last.end);
+        }
+
+        return pages;
+    }
+
+    /**
+     * Progress pagination steps from: where a running page change ends,
+     * otherwise the current scroll position
+     * @returns {number}
+     * @private
+     */
+    _pageProgress() {
+        if (this._pageTarget !== null && this._scrollAnimation) return this._pageTarget;
+
+        return this.documentHeight > 0 ? this.source.scroll / this.documentHeight : 0;
+    }
+
+    /**
+     * Move one page forward or back. From between two pages, back
+     * returns to the start of the current scene.
+     * @param {number} direction - 1 (next) or -1 (previous)
+     */
+    stepPage(direction) {
+        const pages = this.getPages();
+        const progress = this._pageProgress();
+        const epsilon = 1e-3;
+
+        let index = -1;
+
+        if (direction > 0) {
+            index = pages.findIndex(page => page > progress + epsilon);
+        } else {
+            pages.forEach((page, i) => {
+                if (page < progress - epsilon) index = i;
+            });
+        }
+
+        if (index >= 0) {
+            this.goToPage(index);
         }
     }
 
+    /**
+     * Animate to a page
+     * @param {number} index - Page index (see getPages)
+     * @returns {Promise<boolean>} See scrollTo
+     */
+    goToPage(index) {
+        const pages = this.getPages();
+        const page = pages[Math.max(0, Math.min(pages.length - 1, index))];
+
+        return this.goToProgress(page);
+    }
+
+    /**
+     * Animate to a progress and stay there, also between pages
+     * @param {number} progress - Target progress (0-1)
+     * @param {number} [duration] - Seconds (default: pageDuration)
+     * @returns {Promise<boolean>} See scrollTo
+     */
+    goToProgress(progress, duration = this.pageDuration) {
+        clearTimeout(this._snapTimer);
+
+        this._pageTarget = progress;
+        this._heldProgress = progress;
+
+        return this.scrollToProgress(progress, duration);
+    }
+
+    /**
+     * Whether a scroll animation (page change, scrollTo) is running
+     * @returns {boolean}
+     */
+    get isAnimating() {
+        return this._scrollAnimation !== null;
+    }
+
+    /**
+     * Snap to the nearest page once scrolling has settled
+     * @private
+     */
+    _scheduleSnap() {
+        clearTimeout(this._snapTimer);
+
+        this._snapTimer = setTimeout(() => {
+            if (this.mode !== 'paginated' || this._scrollAnimation || this.controlledProgress !== null) return;
+
+            this._updateDimensions();
+            const progress = this._pageProgress();
+            const pages = this.getPages();
+
+            // Left where a deep link or restore put it
+            if (this._heldProgress !== null && Math.abs(progress - this._heldProgress) * this.documentHeight <= 1) {
+                return;
+            }
+
+            let nearest = 0;
+            pages.forEach((page, i) => {
+                if (Math.abs(page - progress) < Math.abs(pages[nearest] - progress)) {
+                    nearest = i;
+                }
+            });
+
+            if (Math.abs(pages[nearest] - progress) * this.documentHeight > 1) {
+                this.goToPage(nearest);
+            }
+        }, this.snapDelay);
+    }
+
+    /**
+     * Jump to a saved scroll progress without smoothing
+     * (used when an experience is recreated). The scene change
+     * still fires on the next update so effects are applied.
+     * @param {number} progress - Scroll progress (0-1)
+     * @param {boolean} [moveSource=true] - Also move the scroll source (window) position
+     */
+    restoreProgress(progress, moveSource = true) {
+        this._updateDimensions();
+
+        // Whole pixels, rounded up so a scene start stays inside its scene
+        const target = Math.ceil(Math.max(0, Math.min(1, progress)) * this.documentHeight);
+
+        this.scrollY = target;
+        this.targetScrollY = target;
+        this.previousScrollY = target;
+        this._snapNextUpdate = true;
+        this._heldProgress = progress;
+
+        if (moveSource) {
+            this.source.scrollTo(target);
+        }
+    }
+
+    /**
+     * Drive progress externally (e.g. from a recording timeline).
+     * The camera follows the given progress exactly, without smoothing,
+     * and scrolling is ignored until released with null.
+     * @param {number|null} progress - Progress (0-1), or null to follow scrolling again
+     */
+    setControlledProgress(progress) {
+        if (progress === null) {
+            this.controlledProgress = null;
+            this._handleScroll();
+            return;
+        }
+
+        this.controlledProgress = Math.max(0, Math.min(1, progress));
+    }
+
     /**
      * Get current scroll data
      * @returns {Object}
@@ -583,7 +1004,9 @@ class ScrollManager extends EventEmitter {
             position: this.smoothCameraPosition.clone(),
             lookAt: this.smoothLookAtTarget.clone(),
             targetPosition: this.cameraPosition.clone(),
-            targetLookAt: this.lookAtTarget.clone()
+            targetLookAt: this.lookAtTarget.clone(),
+            fov: this.smoothCameraFov,
+            roll: this.smoothCameraRoll
         };
     }
 
@@ -595,15 +1018,40 @@ class ScrollManager extends EventEmitter {
         return this.scenes;
     }
 
+    /**
+     * Replace the scene definitions (e.g. after the timeline file changed).
+     * The camera path and framing are rebuilt; the current scene is kept
+     * if it still exists, otherwise the next update switches scenes.
+     * @param {Array<Object>} scenes - Scene definitions
+     */
+    setScenes(scenes) {
+        this.scenes = scenes;
+        this.cameraPath = new CameraPath(scenes);
+        this.framing = new CameraFraming(scenes);
+
+        this.emit('scenes:change', { scenes });
+
+        console.log(`%c[ScrollManager] ${scenes.length} scenes configured`, 'color: #44ffaa;');
+    }
+
     /**
      * Clean up resources
      */
     dispose() {
-        window.removeEventListener('scroll', this._handleScroll);
-        window.removeEventListener('resize', this._handleResize);
+        this.source.target.removeEventListener('wheel', this._handleWheel);
+        this.source.target.removeEventListener('touchstart', this._handleTouchStart);
+        window.removeEventListener('keydown', this._handleKeyDown);
+
+        clearTimeout(this._snapTimer);
+        this.stopScrollAnimation();
+        this.source.dispose();
+
+        if (this.history) {
+            this.history.dispose();
+        }
+
         this.sections = [];
         this.removeAllListeners();
-        ScrollManager.instance = null;
 
         console.log('%c[ScrollManager] Disposed', 'color: #44ffaa;');
     }
@@ -0,0 +1,619 @@
+/**
+ * ScrollSource.js
+ * Pluggable Scroll Position Sources
+ *
+ * ScrollManager reads and writes its scroll position through a source,
+ * so the experience doesn't have to own the page:
+ *
+ *     'window'              the document scroll (default; needs a tall page)
+ *     element / selector    a scrollable element (overflow: auto)
+ *     'virtual'             no scrolling at all: wheel, touch drag (with
+ *                           inertia) and keys move a position directly, so
+ *                           the experience fits a fixed-height container,
+ *                           an iframe or a modal
+ *     { type: 'virtual', element, content, ... }
+ *                           the same with options (see VirtualScrollSource):
+ *                           input and height from a container, and overlay
+ *                           content moved with the position
+ *
+ * A source exposes the position in pixels (scroll), its range
+ * (maxScroll) and the visible height (viewportHeight), and reports
+ * changes through the callbacks given to connect().
+ */
+
+import { isUIEvent } from '../core/CameraControllers.js';
+
+/**
+ * @class WindowScrollSource
+ * @description The document's own scroll position
+ */
+class WindowScrollSource {
+    constructor() {
+        /** @type {EventTarget} Where wheel and touch input arrives */
+        this.target = window;
+
+        /** @type {boolean} Own wheel/touch/key handling (native scrolling can't be switched off) */
+        this.inputEnabled = true;
+
+        /** @type {Object|null} Callbacks {onScroll, onResize} */
+        this._callbacks = null;
+    }
+
+    /** @returns {number} Scroll position (px) */
+    get scroll() {
+        return window.scrollY;
+    }
+
+    /** @returns {number} Largest scroll position (px) */
+    get maxScroll() {
+        return Math.max(
+            document.body.scrollHeight,
+            document.documentElement.scrollHeight
+        ) - window.innerHeight;
+    }
+
+    /** @returns {number} Visible height (px) */
+    get viewportHeight() {
+        return window.innerHeight;
+    }
+
+    /**
+     * Move the scroll position
+     * @param {number} y - Pixels
+     */
+    scrollTo(y) {
+        window.scrollTo(0, y);
+    }
+
+    /**
+     * Start reporting changes
+     * @param {Object} callbacks - {onScroll, onResize}
+     */
+    connect(callbacks) {
+        this._callbacks = callbacks;
+        window.addEventListener('scroll', callbacks.onScroll, { passive: true });
+        window.addEventListener('resize', callbacks.onResize);
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (!this._callbacks) return;
+
+        window.removeEventListener('scroll', this._callbacks.onScroll);
+        window.removeEventListener('resize', this._callbacks.onResize);
+        this._callbacks = null;
+    }
+}
+
+/**
+ * @class ElementScrollSource
+ * @description The scroll position of a scrollable element
+ */
+class ElementScrollSource {
+    /**
+     * Create a source for an element
+     * @param {HTMLElement} element - Element with overflow-y: auto/scroll
+     */
+    constructor(element) {
+        /** @type {HTMLElement} Scrolling element */
+        this.element = element;
+
+        /** @type {EventTarget} Where wheel and touch input arrives */
+        this.target = element;
+
+        /** @type {boolean} Own wheel/touch/key handling (native scrolling can't be switched off) */
+        this.inputEnabled = true;
+
+        /** @type {Object|null} Callbacks {onScroll, onResize} */
+        this._callbacks = null;
+
+        /** @type {ResizeObserver|null} Follows the element's size */
+        this._resizeObserver = null;
+    }
+
+    /** @returns {number} Scroll position (px) */
+    get scroll() {
+        return this.element.scrollTop;
+    }
+
+    /** @returns {number} Largest scroll position (px) */
+    get maxScroll() {
+        return Math.max(0, this.element.scrollHeight - this.element.clientHeight);
+    }
+
+    /** @returns {number} Visible height (px) */
+    get viewportHeight() {
+        return this.element.clientHeight;
+    }
+
+    /**
+     * Move the scroll position
+     * @param {number} y - Pixels
+     */
+    scrollTo(y) {
+        this.element.scrollTop = y;
+    }
+
+    /**
+     * Start reporting changes
+     * @param {Object} callbacks - {onScroll, onResize}
+     */
+    connect(callbacks) {
+        this._callbacks = callbacks;
+        this.element.addEventListener('scroll', callbacks.onScroll, { passive: true });
+        window.addEventListener('resize', callbacks.onResize);
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(() => callbacks.onResize());
+            this._resizeObserver.observe(this.element);
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (!this._callbacks) return;
+
+        this.element.removeEventListener('scroll', this._callbacks.onScroll);
+        window.removeEventListener('resize', this._callbacks.onResize);
+
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+
+        this._callbacks = null;
+    }
+}
+
+/** @type {string} Class on the frame (container, or <html>) while a virtual source moves content */
+const VIRTUAL_CLASS = 'virtual-scroll';
+
+/** @type {string} CSS variable on the frame: its height, for sizing content sections */
+const VIEWPORT_VARIABLE = '--virtual-viewport-height';
+
+/**
+ * @class VirtualScrollSource
+ * @description A scroll position driven by wheel, touch and keys, without document scrolling
+ */
+class VirtualScrollSource {
+    /**
+     * Create a virtual source
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.element] - Element receiving wheel/touch input and
+     *                                          giving the viewport height (default: window)
+     * @param {HTMLElement} [options.content] - Content laid out for the scroll range,
+     *        translated by the position as if it scrolled. The frame (element or <html>)
+     *        gets the virtual-scroll class (native scrolling off) and its height in
+     *        --virtual-viewport-height; the range is the content's height.
+     * @param {number} [options.length] - Scroll range in viewport heights without content
+     *                                    (default: 4, as the five full-height sections of the page)
+     * @param {number} [options.wheelSpeed] - Multiplier for wheel deltas (default: 1)
+     * @param {number} [options.touchSpeed] - Multiplier for touch drags (default: 1.5)
+     * @param {number} [options.inertia] - Time constant of the fling after a drag in ms
+     *                                     (default: 325; 0 stops with the finger)
+     */
+    constructor(options = {}) {
+        const {
+            element = null,
+            content = null,
+            length = 4,
+            wheelSpeed = 1,
+            touchSpeed = 1.5,
+            inertia = 325
+        } = options;
+
+        /** @type {HTMLElement|null} Input element (null = window) */
+        this.element = element;
+
+        /** @type {EventTarget} Where wheel and touch input arrives */
+        this.target = element || window;
+
+        /** @type {HTMLElement|null} Content moved with the position */
+        this.content = content;
+
+        /** @type {number} Scroll range in viewport heights (without content) */
+        this.length = length;
+
+        /** @type {number} Wheel delta multiplier */
+        this.wheelSpeed = wheelSpeed;
+
+        /** @type {number} Touch drag multiplier */
+        this.touchSpeed = touchSpeed;
+
+        /** @type {number} Fling time constant (ms) */
+        this.inertia = inertia;
+
+        /** @type {boolean} Wheel, touch and keys move the position (off in paginated mode) */
+        this.inputEnabled = true;
+
+        /** @type {number} Position (px) */
+        this._scroll = 0;
+
+        /** @type {number} Range the position was measured against */
+        this._maxScroll = 0;
+
+        /** @type {ResizeObserver|null} Follows the container's size */
+        this._resizeObserver = null;
+
+        /** @type {Object|null} Active drag {y, time, velocity} */
+        this._drag = null;
+
+        /** @type {Object|null} Running fling {velocity, time, frame} (velocity in px/ms) */
+        this._fling = null;
+
+        /** @type {Object|null} Callbacks {onScroll, onResize} */
+        this._callbacks = null;
+
+        this._onWheel = this._onWheel.bind(this);
+        this._onTouchStart = this._onTouchStart.bind(this);
+        this._onTouchMove = this._onTouchMove.bind(this);
+        this._onTouchEnd = this._onTouchEnd.bind(this);
+        this._onKeyDown = this._onKeyDown.bind(this);
+        this._onResize = this._onResize.bind(this);
+    }
+
+    /** @returns {number} Scroll position (px) */
+    get scroll() {
+        return this._scroll;
+    }
+
+    /** @returns {number} Largest scroll position (px) */
+    get maxScroll() {
+        if (this.content) {
+            return Math.max(0, this.content.scrollHeight - this.viewportHeight);
+        }
+
+        return this.length * this.viewportHeight;
+    }
+
+    /** @returns {HTMLElement} Element framing the content (container or <html>) */
+    get frame() {
+        return this.element || document.documentElement;
+    }
+
+    /** @returns {number} Visible height (px) */
+    get viewportHeight() {
+        return this.element ? this.element.clientHeight : window.innerHeight;
+    }
+
+    /**
+     * Move the scroll position (stops a fling)
+     * @param {number} y - Pixels
+     */
+    scrollTo(y) {
+        this._stopFling();
+        this._setScroll(y);
+    }
+
+    /**
+     * Set the position and report it
+     * @param {number} y - Pixels (clamped to the range)
+     * @private
+     */
+    _setScroll(y) {
+        const scroll = Math.max(0, Math.min(this.maxScroll, y));
+        if (scroll === this._scroll) return;
+
+        this._scroll = scroll;
+        this._moveContent();
+
+        if (this._callbacks) {
+            this._callbacks.onScroll();
+        }
+    }
+
+    /**
+     * Translate the content to the position
+     * @private
+     */
+    _moveContent() {
+        if (this.content) {
+            this.content.style.transform = `translate3d(0, ${-this._scroll}px, 0)`;
+        }
+    }
+
+    /**
+     * Size the content to the frame before measuring the range
+     * @private
+     */
+    _layout() {
+        if (this.content) {
+            this.frame.style.setProperty(VIEWPORT_VARIABLE, `${this.viewportHeight}px`);
+        }
+
+        this._maxScroll = this.maxScroll;
+    }
+
+    /**
+     * Start reporting changes
+     * @param {Object} callbacks - {onScroll, onResize}
+     */
+    connect(callbacks) {
+        this._callbacks = callbacks;
+
+        if (this.content) {
+            this.frame.classList.add(VIRTUAL_CLASS);
+            this.content.style.willChange = 'transform';
+        }
+
+        this._layout();
+        this._moveContent();
+
+        this.target.addEventListener('wheel', this._onWheel, { passive: false });
+        this.target.addEventListener('touchstart', this._onTouchStart, { passive: true });
+        this.target.addEventListener('touchmove', this._onTouchMove, { passive: false });
+        this.target.addEventListener('touchend', this._onTouchEnd, { passive: true });
+        this.target.addEventListener('touchcancel', this._onTouchEnd, { passive: true });
+        window.addEventListener('keydown', this._onKeyDown);
+        window.addEventListener('resize', this._onResize);
+
+        if (this.element && typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(this._onResize);
+            this._resizeObserver.observe(this.element);
+        }
+    }
+
+    // ==========================================
+    // Input
+    // ==========================================
+
+    /**
+     * Wheel: move by the delta (lines and pages converted to pixels)
+     * @param {WheelEvent} event
+     * @private
+     */
+    _onWheel(event) {
+        if (!this.inputEnabled || isUIEvent(event)) return;
+        event.preventDefault();
+
+        let delta = event.deltaY;
+        if (event.deltaMode === 1) delta *= 16;
+        if (event.deltaMode === 2) delta *= this.viewportHeight;
+
+        this.scrollTo(this._scroll + delta * this.wheelSpeed);
+    }
+
+    /**
+     * @param {TouchEvent} event
+     * @private
+     */
+    _onTouchStart(event) {
+        this._stopFling();
+
+        if (!this.inputEnabled || event.touches.length !== 1 || isUIEvent(event)) {
+            this._drag = null;
+            return;
+        }
+
+        this._drag = { y: event.touches[0].clientY, time: performance.now(), velocity: 0 };
+    }
+
+    /**
+     * Drag: the content follows the finger
+     * @param {TouchEvent} event
+     * @private
+     */
+    _onTouchMove(event) {
+        const drag = this._drag;
+        if (!drag || event.touches.length !== 1) return;
+        event.preventDefault();
+
+        const y = event.touches[0].clientY;
+        const now = performance.now();
+        const delta = (drag.y - y) * this.touchSpeed;
+        const elapsed = now - drag.time;
+
+        // Smoothed release velocity (px/ms)
+        if (elapsed > 0) {
+            drag.velocity = drag.velocity * 0.2 + (delta / elapsed) * 0.8;
+        }
+
+        drag.y = y;
+        drag.time = now;
+
+        this._setScroll(this._scroll + delta);
+    }
+
+    /**
+     * Release: keep moving with the drag's velocity, slowing down
+     * @private
+     */
+    _onTouchEnd() {
+        const drag = this._drag;
+        this._drag = null;
+
+        // Held still before letting go: no fling
+        if (!drag || this.inertia <= 0 || performance.now() - drag.time > 100) return;
+        if (Math.abs(drag.velocity) < 0.05) return;
+
+        const fling = { velocity: drag.velocity, time: performance.now(), frame: 0 };
+
+        const step = (now) => {
+            if (this._fling !== fling) return;
+
+            const elapsed = Math.max(0, now - fling.time);
+            fling.time = now;
+
+            this._setScroll(this._scroll + fling.velocity * elapsed);
+            fling.velocity *= Math.exp(-elapsed / this.inertia);
+
+            const atEdge = this._scroll <= 0 || this._scroll >= this.maxScroll;
+
+            if (Math.abs(fling.velocity) < 0.02 || atEdge) {
+                this._fling = null;
+            } else {
+                fling.frame = requestAnimationFrame(step);
+            }
+        };
+
+        this._fling = fling;
+        fling.frame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Stop a running fling
+     * @private
+     */
+    _stopFling() {
+        if (!this._fling) return;
+
+        cancelAnimationFrame(this._fling.frame);
+        this._fling = null;
+    }
+
+    /**
+     * Keys as the browser scrolls a page: arrows, PageUp/PageDown,
+     * Space (Shift+Space back), Home/End
+     * @param {KeyboardEvent} event
+     * @private
+     */
+    _onKeyDown(event) {
+        if (!this.inputEnabled || isUIEvent(event)) return;
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+        const page = this.viewportHeight * 0.875;
+
+        switch (event.key) {
+            case 'ArrowDown':
+                this.scrollTo(this._scroll + 40);
+                break;
+            case 'ArrowUp':
+                this.scrollTo(this._scroll - 40);
+                break;
+            case 'PageDown':
+                this.scrollTo(this._scroll + page);
+                break;
+            case 'PageUp':
+                this.scrollTo(this._scroll - page);
+                break;
+            case ' ':
+                this.scrollTo(this._scroll + (event.shiftKey ? -page : page));
+                break;
+            case 'Home':
+                this.scrollTo(0);
+                break;
+            case 'End':
+                this.scrollTo(this.maxScroll);
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+    }
+
+    /**
+     * Keep the position at the same fraction of the range
+     * @private
+     */
+    _onResize() {
+        const previous = this._maxScroll;
+        this._layout();
+
+        if (previous > 0) {
+            this._scroll = Math.min(this._maxScroll, this._scroll * this._maxScroll / previous);
+            this._moveContent();
+        }
+
+        if (this._callbacks) {
+            this._callbacks.onResize();
+            this._callbacks.onScroll();
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this._stopFling();
+        if (!this._callbacks) return;
+
+        this.target.removeEventListener('wheel', this._onWheel);
+        this.target.removeEventListener('touchstart', this._onTouchStart);
+        this.target.removeEventListener('touchmove', this._onTouchMove);
+        this.target.removeEventListener('touchend', this._onTouchEnd);
+        this.target.removeEventListener('touchcancel', this._onTouchEnd);
+        window.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('resize', this._onResize);
+
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+
+        if (this.content) {
+            this.frame.classList.remove(VIRTUAL_CLASS);
+            this.frame.style.removeProperty(VIEWPORT_VARIABLE);
+            this.content.style.transform = '';
+            this.content.style.willChange = '';
+        }
+
+        this._callbacks = null;
+    }
+}
+
+/**
+ * Resolve an element option (element or CSS selector)
+ * @param {string|HTMLElement|null} element
+ * @returns {HTMLElement|null}
+ * @throws {Error} If a selector matches nothing
+ */
+function resolveElement(element) {
+    if (typeof element !== 'string') return element || null;
+
+    const match = document.querySelector(element);
+
+    if (!match) {
+        throw new Error(`[ScrollSource] No element matches "${element}"`);
+    }
+
+    return match;
+}
+
+/**
+ * Create a scroll source
+ * @param {string|HTMLElement|Object} [source='window'] - 'window', 'virtual',
+ *        {type: 'virtual', ...options} (element / content may be selectors), a
+ *        scrollable element, a CSS selector for one, or a source instance
+ * @returns {Object} Scroll source
+ */
+function createScrollSource(source = 'window') {
+    if (source === 'window') return new WindowScrollSource();
+    if (source === 'virtual') return new VirtualScrollSource();
+
+    if (typeof source === 'string') {
+        return new ElementScrollSource(resolveElement(source));
+    }
+
+    if (source && source.type === 'virtual') {
+        const { type, element, content, ...options } = source;
+
+        return new VirtualScrollSource({
+            ...options,
+            element: resolveElement(element),
+            content: resolveElement(content)
+        });
+    }
+
+    if (typeof HTMLElement !== 'undefined' && source instanceof HTMLElement) {
+        return new ElementScrollSource(source);
+    }
+
+    if (source && typeof source.connect === 'function' && 'scroll' in source) {
+        return source;
+    }
+
+    throw new Error('[ScrollSource] Unknown scroll source (use \'window\', \'virtual\', {type: \'virtual\'}, an element or a source)');
+}
+
+export {
+    createScrollSource,
+    WindowScrollSource,
+    ElementScrollSource,
+    VirtualScrollSource
+};
+export default createScrollSource;
@@ -0,0 +1,759 @@
+/**
+ * Timeline.js
+ * Declarative Scene Timeline
+ *
+ * The scroll narrative - scenes, their progress ranges, camera paths,
+ * framing volumes and scene effects - lives in src/data/timeline.json
+ * so it can be edited without touching code. The file is validated on
+ * load and every problem is reported at once, with its JSON path:
+ *
+ *     [Timeline] Invalid timeline (2 problems):
+ *       - scenes[1] "underwater" (0.15-0.4) overlaps scenes[0] "hero" (0-0.2)
+ *       - scenes[3].effects.spineAutoRotat: unknown effect (did you mean "spineAutoRotate"?)
+ *
+ * File format: { version: 1, scenes: [scene, ...], tracks, velocity }, scenes in order.
+ * A scene is
+ *
+ *     {
+ *         name, start, end,     // Unique name, progress range 0-1 (no overlaps)
+ *         easing,               // Easing name for progress through the scene
+ *         camera,               // Camera block (see CameraPath.js)
+ *         framing,              // Framing volume (see CameraFraming.js)
+ *         effects,              // Scene enter effects (see EFFECT_FIELDS / EFFECT_DEFAULTS)
+ *         look,                 // Property values held through the scene {target: value}
+ *         crossfade,            // Width (progress) of the look blend at the scene's start
+ *         tracks                // Property tracks, scene-local t (see PropertyTracks.js)
+ *     }
+ *
+ * A top-level `tracks` block holds property tracks on global progress,
+ * and `velocity` maps scroll speed to effects (see VelocityEffects.js).
+ *
+ * Looks are a scene's effect set (particle color, bloom, fog, tint...).
+ * Across each boundary the two scenes' looks are blended by scroll
+ * position inside the later scene's crossfade window, centered on the
+ * boundary; 0 (the default) switches at the boundary. A scene that
+ * leaves a look target out keeps the previous scene's value.
+ *
+ * Scene state must not depend on how the scroll got somewhere: what
+ * changes continuously is a track (a function of progress), and enter
+ * effects a scene leaves out are reset to their defaults. Scrubbing
+ * backwards or jumping across scenes gives the same frame.
+ *
+ * Camera blocks are the CameraPath.js formats with one difference:
+ * angles are in degrees (orbital startAngle/endAngle, keyframe roll).
+ *
+ * In development the file is hot-reloaded: edits are validated and
+ * pushed to onTimelineChange() listeners without reloading the page.
+ * An invalid edit is reported and the last good timeline stays active.
+ */
+
+import * as THREE from 'three';
+import { Easing } from './Easing.js';
+import { ShakePresets } from '../core/CameraControllers.js';
+import timelineData from '../data/timeline.json';
+
+/** @type {number} Supported timeline file version */
+const TIMELINE_VERSION = 1;
+
+/** @type {number} Tolerance when comparing scene ranges */
+const EPSILON = 1e-6;
+
+// ==========================================
+// Field Checks
+// ==========================================
+
+// Each check returns null when the value is valid, otherwise a short
+// description of what was expected.
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+const number = value => isNumber(value) ? null : 'expected a number';
+
+const progress = value => isNumber(value) && value >= 0 && value <= 1
+    ? null
+    : 'expected a number between 0 and 1';
+
+const fov = value => isNumber(value) && value > 0 && value < 180
+    ? null
+    : 'expected a field of view in degrees (0-180)';
+
+const boolean = value => typeof value === 'boolean' ? null : 'expected true or false';
+
+const string = value => typeof value === 'string' && value.length > 0 ? null : 'expected a non-empty string';
+
+const vector = value => value && typeof value === 'object' && !Array.isArray(value) &&
+    ['x', 'y', 'z'].every(axis => isNumber(value[axis])) &&
+    Object.keys(value).every(key => key === 'x' || key === 'y' || key === 'z')
+    ? null
+    : 'expected {x, y, z} numbers';
+
+const color = value => value && typeof value === 'object' && !Array.isArray(value) &&
+    ['r', 'g', 'b'].every(channel => isNumber(value[channel])) &&
+    Object.keys(value).every(key => key === 'r' || key === 'g' || key === 'b')
+    ? null
+    : 'expected {r, g, b} numbers (0-1)';
+
+const pair = value => Array.isArray(value) && value.length === 2 && value.every(isNumber)
+    ? null
+    : 'expected [from, to] numbers';
+
+const speedRange = value => pair(value) || (value[0] >= 0 && value[1] > value[0]
+    ? null
+    : 'expected [min, max] speeds with 0 <= min < max');
+
+const width = value => isNumber(value) && value >= 0 && value <= 1
+    ? null
+    : 'expected a progress width between 0 and 1';
+
+const seconds = value => isNumber(value) && value >= 0 ? null : 'expected a duration in seconds (>= 0)';
+
+const nullable = check => value => value === null ? null : check(value);
+
+const oneOf = (...options) => value => options.includes(value)
+    ? null
+    : `expected one of ${options.map(option => `"${option}"`).join(', ')}`;
+
+const easing = value => Easing[value] ? null : `unknown easing "${value}"${suggest(value, Object.keys(Easing))}`;
+
+const shake = value => {
+    if (typeof value === 'string') {
+        return ShakePresets[value] ? null : `unknown shake preset "${value}"${suggest(value, Object.keys(ShakePresets))}`;
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return value.preset === undefined || ShakePresets[value.preset]
+            ? null
+            : `unknown shake preset "${value.preset}"`;
+    }
+    return 'expected a shake preset name or {preset, ...settings}';
+};
+
+const focus = value => {
+    if (value === null) return null;
+    if (typeof value === 'string') {
+        return /^(spine|cards|card:\d+)$/.test(value)
+            ? null
+            : 'expected "spine", "cards" or "card:<index>"';
+    }
+    return vector(value);
+};
+
+const dollyZoom = value => {
+    if (value === true) return null;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return value.subject === undefined ? null : vector(value.subject);
+    }
+    return 'expected true or {subject: {x, y, z}}';
+};
+
+/** @type {Array<string>} Top-level timeline fields */
+const TIMELINE_FIELDS = ['version', 'scenes', 'tracks', 'velocity'];
+
+/** @type {Object<string, Function>} Scene effects and their checks */
+const EFFECT_FIELDS = {
+    shake: nullable(shake),
+    focus,
+    spineAutoRotate: boolean,
+    finalReveal: boolean
+};
+
+/**
+ * Values for effects a scene leaves out. Every scene enters with a
+ * complete set, so the result doesn't depend on the previous scene.
+ * @type {Object}
+ */
+const EFFECT_DEFAULTS = {
+    shake: null,
+    focus: null,
+    spineAutoRotate: false,
+    finalReveal: false
+};
+
+/** @type {Object<string, string>} Former effects and the look / track target that replaces them */
+const MOVED_EFFECTS = {
+    tint: 'passes.vignette.setSceneTint',
+    particleColor: 'particles.material.uniforms.uColor',
+    bloomStrength: 'passes.bloom.strength',
+    bloomRadius: 'passes.bloom.radius',
+    bloomThreshold: 'passes.bloom.threshold',
+    fogDensity: 'scene.fog.far',
+    chromaticAberration: 'passes.chromatic.setIntensity',
+    spineVisible: 'spineModel.group.scale',
+    cardsOrbit: 'glassCards.group.rotation.y'
+};
+
+/** @type {Object<string, Function>} Camera block fields */
+const CAMERA_FIELDS = {
+    positionStart: vector,
+    positionEnd: vector,
+    lookAtStart: vector,
+    lookAtEnd: vector,
+    fovStart: fov,
+    fovEnd: fov,
+    keyframes: null,            // Checked separately
+    interpolation: oneOf('catmullrom', 'bezier', 'linear'),
+    orbital: boolean,
+    radius: number,
+    height: number,
+    startAngle: number,
+    endAngle: number,
+    lookAt: vector,
+    fov,
+    dollyZoom
+};
+
+/** @type {Object<string, Function>} Camera keyframe fields */
+const KEYFRAME_FIELDS = {
+    t: progress,
+    position: vector,
+    lookAt: vector,
+    fov,
+    roll: number,
+    easing,
+    handleIn: vector,
+    handleOut: vector
+};
+
+/** @type {Object<string, Function>} Framing volume fields */
+const FRAMING_FIELDS = {
+    min: vector,
+    max: vector,
+    padding: number,
+    mode: oneOf('distance', 'fov')
+};
+
+/** @type {Object<string, Function>} Scene fields */
+const SCENE_FIELDS = {
+    name: string,
+    start: progress,
+    end: progress,
+    easing,
+    camera: null,               // Checked separately
+    framing: null,
+    effects: null,
+    look: null,                 // Checked separately
+    crossfade: width,
+    tracks: null
+};
+
+/** @type {Object<string, Function>} Track keyframe fields */
+const TRACK_KEY_FIELDS = {
+    t: progress,
+    value: null,                // Checked separately
+    easing
+};
+
+/** @type {Object<string, Function>} Velocity mapping fields (see VelocityEffects.js) */
+const VELOCITY_FIELDS = {
+    speed: speedRange,
+    value: pair,
+    curve: easing,
+    attack: seconds,
+    release: seconds,
+    signed: boolean
+};
+
+/** @type {RegExp} Track target: dot path of identifiers / array indices */
+const TARGET_PATTERN = /^[A-Za-z_$][\w$]*(\.[\w$]+)+$/;
+
+// ==========================================
+// Validation
+// ==========================================
+
+/**
+ * Edit distance between two strings (for "did you mean" hints)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(
+                row[j] + 1,
+                row[j - 1] + 1,
+                diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+
+    return row[b.length];
+}
+
+/**
+ * Format a "did you mean" hint for a misspelled name
+ * @param {*} value - Name that was used
+ * @param {Array<string>} candidates - Valid names
+ * @returns {string} ' (did you mean "y"?)', or '' without a close match
+ */
+function suggest(value, candidates) {
+    const name = String(value);
+    let best = null;
+    let bestDistance = Infinity;
+
+    candidates.forEach(candidate => {
+        const distance = editDistance(name, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+
+    return best && bestDistance <= Math.max(2, Math.floor(name.length / 3))
+        ? ` (did you mean "${best}"?)`
+        : '';
+}
+
+/**
+ * Check an object's fields against a field table
+ * @param {*} value - Object to check
+ * @param {Object<string, Function|null>} fields - Field checks (null = checked by the caller)
+ * @param {string} path - JSON path for messages
+ * @param {string} kind - What the fields are called in messages ("effect", "camera field"...)
+ * @param {Array<string>} errors - Collected messages
+ * @returns {boolean} False if value is not an object at all
+ */
+function checkFields(value, fields, path, kind, errors) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path}: expected an object`);
+        return false;
+    }
+
+    Object.keys(value).forEach(key => {
+        if (!(key in fields)) {
+            const moved = kind === 'effect' && MOVED_EFFECTS[key];
+            errors.push(moved
+                ? `${path}.${key}: no longer an effect - set "${moved}" in the scene's look or tracks`
+                : `${path}.${key}: unknown ${kind}${suggest(key, Object.keys(fields))}`);
+            return;
+        }
+
+        const check = fields[key];
+        const problem = check ? check(value[key]) : null;
+        if (problem) {
+            errors.push(`${path}.${key}: ${problem}`);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Check a scene's camera block
+ * @param {Object} camera
+ * @param {string} path
+ * @param {Array<string>} errors
+ */
+function checkCamera(camera, path, errors) {
+    if (!checkFields(camera, CAMERA_FIELDS, path, 'camera field', errors)) return;
+
+    if (camera.keyframes !== undefined) {
+        if (!Array.isArray(camera.keyframes) || camera.keyframes.length === 0) {
+            errors.push(`${path}.keyframes: expected a non-empty array`);
+        } else {
+            camera.keyframes.forEach((keyframe, index) => {
+                const keyPath = `${path}.keyframes[${index}]`;
+                if (!checkFields(keyframe, KEYFRAME_FIELDS, keyPath, 'keyframe field', errors)) return;
+
+                if (keyframe.t === undefined) errors.push(`${keyPath}: missing "t"`);
+                if (keyframe.position === undefined) errors.push(`${keyPath}: missing "position"`);
+            });
+        }
+
+        if (camera.orbital) {
+            errors.push(`${path}: use either keyframes or orbital, not both`);
+        }
+    }
+
+    if (camera.orbital) {
+        ['radius', 'startAngle', 'endAngle'].forEach(key => {
+            if (camera[key] === undefined) errors.push(`${path}: orbital camera needs "${key}"`);
+        });
+    }
+
+    if (camera.dollyZoom && camera.fovStart === undefined && camera.fovEnd === undefined &&
+        camera.fov === undefined && !(camera.keyframes || []).some(keyframe => keyframe && keyframe.fov !== undefined)) {
+        errors.push(`${path}.dollyZoom: the scene doesn't animate the fov`);
+    }
+}
+
+/**
+ * Kind of a track value
+ * @param {*} value
+ * @returns {string|null} 'number', 'color', 'vector', or null if not animatable
+ */
+function valueKind(value) {
+    if (isNumber(value)) return 'number';
+    if (!color(value)) return 'color';
+    if (!vector(value)) return 'vector';
+    return null;
+}
+
+/**
+ * Check a tracks block ({target: [keyframes]})
+ * @param {Object} tracks
+ * @param {string} path
+ * @param {Array<string>} errors
+ */
+function checkTracks(tracks, path, errors) {
+    if (!tracks || typeof tracks !== 'object' || Array.isArray(tracks)) {
+        errors.push(`${path}: expected an object {target: [keyframes]}`);
+        return;
+    }
+
+    Object.entries(tracks).forEach(([target, keyframes]) => {
+        const trackPath = `${path}["${target}"]`;
+
+        if (!TARGET_PATTERN.test(target)) {
+            errors.push(`${trackPath}: expected a dot path like "passes.bloom.strength"`);
+        }
+
+        if (!Array.isArray(keyframes) || keyframes.length === 0) {
+            errors.push(`${trackPath}: expected a non-empty array of keyframes`);
+            return;
+        }
+
+        let kind = null;
+
+        keyframes.forEach((keyframe, index) => {
+            const keyPath = `${trackPath}[${index}]`;
+            if (!checkFields(keyframe, TRACK_KEY_FIELDS, keyPath, 'keyframe field', errors)) return;
+
+            if (keyframe.t === undefined) errors.push(`${keyPath}: missing "t"`);
+
+            const valueType = valueKind(keyframe.value);
+            if (!valueType) {
+                errors.push(`${keyPath}.value: expected a number, {r, g, b} or {x, y, z}`);
+            } else if (kind && valueType !== kind) {
+                errors.push(`${keyPath}.value: expected a ${kind} like the track's other keys`);
+            } else {
+                kind = valueType;
+            }
+        });
+    });
+}
+
+/**
+ * Check a scene's look ({target: value})
+ * @param {Object} look
+ * @param {Object} [tracks] - The scene's tracks (a target can't be in both)
+ * @param {string} path
+ * @param {Array<string>} errors
+ */
+function checkLook(look, tracks, path, errors) {
+    if (!look || typeof look !== 'object' || Array.isArray(look)) {
+        errors.push(`${path}: expected an object {target: value}`);
+        return;
+    }
+
+    Object.entries(look).forEach(([target, value]) => {
+        const valuePath = `${path}["${target}"]`;
+
+        if (!TARGET_PATTERN.test(target)) {
+            errors.push(`${valuePath}: expected a dot path like "passes.bloom.strength"`);
+        }
+
+        if (!valueKind(value)) {
+            errors.push(`${valuePath}: expected a number, {r, g, b} or {x, y, z}`);
+        }
+
+        if (tracks && typeof tracks === 'object' && target in tracks) {
+            errors.push(`${valuePath}: also animated in the scene's tracks - use one or the other`);
+        }
+    });
+}
+
+/**
+ * Check that crossfade windows fit: each is centered on a boundary, so
+ * a scene must be longer than the halves reaching into it
+ * @param {Array<Object>} scenes
+ * @param {Array<string>} errors
+ */
+function checkCrossfades(scenes, errors) {
+    scenes.forEach((scene, index) => {
+        if (!isNumber(scene.start) || !isNumber(scene.end)) return;
+
+        const label = `scenes[${index}] "${scene.name}"`;
+        const next = scenes[index + 1];
+        const fadeIn = isNumber(scene.crossfade) ? scene.crossfade / 2 : 0;
+        const fadeOut = next && isNumber(next.crossfade) ? next.crossfade / 2 : 0;
+
+        if (index === 0 && scene.crossfade) {
+            errors.push(`${label}.crossfade: the first scene has no previous scene to crossfade from`);
+        } else if (fadeIn + fadeOut > scene.end - scene.start + EPSILON) {
+            errors.push(`${label}: crossfade windows (${fadeIn * 2} in, ${fadeOut * 2} out) are longer than the scene`);
+        }
+    });
+}
+
+/**
+ * Check a velocity block ({target: mapping})
+ * @param {Object} velocity
+ * @param {string} path
+ * @param {Array<string>} errors
+ */
+function checkVelocity(velocity, path, errors) {
+    if (!velocity || typeof velocity !== 'object' || Array.isArray(velocity)) {
+        errors.push(`${path}: expected an object {target: mapping}`);
+        return;
+    }
+
+    Object.entries(velocity).forEach(([target, mapping]) => {
+        const mappingPath = `${path}["${target}"]`;
+
+        if (!TARGET_PATTERN.test(target)) {
+            errors.push(`${mappingPath}: expected a dot path like "passes.chromatic.setBoost"`);
+        }
+
+        if (!checkFields(mapping, VELOCITY_FIELDS, mappingPath, 'velocity field', errors)) return;
+
+        ['speed', 'value'].forEach(key => {
+            if (mapping[key] === undefined) errors.push(`${mappingPath}: missing "${key}"`);
+        });
+    });
+}
+
+/**
+ * Check the scene ranges: ordered, no overlaps. Gaps are allowed but
+ * returned as warnings (progress in a gap stays in the previous scene).
+ * @param {Array<Object>} scenes
+ * @param {Array<string>} errors
+ * @param {Array<string>} warnings
+ */
+function checkRanges(scenes, errors, warnings) {
+    const label = (scene, index) => `scenes[${index}] "${scene.name}" (${scene.start}-${scene.end})`;
+
+    scenes.forEach((scene, index) => {
+        if (!isNumber(scene.start) || !isNumber(scene.end)) return;
+
+        if (scene.end <= scene.start) {
+            errors.push(`${label(scene, index)}: end must be after start`);
+        }
+
+        const previous = scenes[index - 1];
+        if (!previous || !isNumber(previous.end)) return;
+
+        if (scene.start < previous.start) {
+            errors.push(`${label(scene, index)} starts before ${label(previous, index - 1)} - scenes must be in order`);
+        } else if (scene.start < previous.end - EPSILON) {
+            errors.push(`${label(scene, index)} overlaps ${label(previous, index - 1)}`);
+        } else if (scene.start > previous.end + EPSILON) {
+            warnings.push(`gap between ${label(previous, index - 1)} and ${label(scene, index)}`);
+        }
+    });
+}
+
+/**
+ * Validate timeline data
+ * @param {Object} data - Parsed timeline JSON
+ * @returns {Object} {errors: Array<string>, warnings: Array<string>}
+ */
+function validateTimeline(data) {
+    const errors = [];
+    const warnings = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { errors: ['timeline: expected an object {version, scenes}'], warnings };
+    }
+
+    if (data.version !== TIMELINE_VERSION) {
+        errors.push(`version: expected ${TIMELINE_VERSION}, got ${JSON.stringify(data.version)}`);
+    }
+
+    Object.keys(data).forEach(key => {
+        if (!TIMELINE_FIELDS.includes(key)) {
+            errors.push(`${key}: unknown field${suggest(key, TIMELINE_FIELDS)}`);
+        }
+    });
+
+    if (data.tracks !== undefined) {
+        checkTracks(data.tracks, 'tracks', errors);
+    }
+
+    if (data.velocity !== undefined) {
+        checkVelocity(data.velocity, 'velocity', errors);
+    }
+
+    if (!Array.isArray(data.scenes) || data.scenes.length === 0) {
+        errors.push('scenes: expected a non-empty array');
+        return { errors, warnings };
+    }
+
+    const names = new Map();
+
+    data.scenes.forEach((scene, index) => {
+        const path = `scenes[${index}]`;
+        const named = scene && typeof scene.name === 'string' ? `${path} "${scene.name}"` : path;
+
+        if (!checkFields(scene, SCENE_FIELDS, named, 'scene field', errors)) return;
+
+        ['name', 'start', 'end'].forEach(key => {
+            if (scene[key] === undefined) errors.push(`${named}: missing "${key}"`);
+        });
+
+        if (typeof scene.name === 'string') {
+            if (names.has(scene.name)) {
+                errors.push(`${named}: duplicate name (also scenes[${names.get(scene.name)}])`);
+            } else {
+                names.set(scene.name, index);
+            }
+        }
+
+        if (scene.camera !== undefined) {
+            checkCamera(scene.camera, `${named}.camera`, errors);
+        }
+
+        if (scene.framing !== undefined &&
+            checkFields(scene.framing, FRAMING_FIELDS, `${named}.framing`, 'framing field', errors)) {
+            if (!scene.framing.min || !scene.framing.max) {
+                errors.push(`${named}.framing: needs "min" and "max"`);
+            }
+        }
+
+        if (scene.effects !== undefined) {
+            checkFields(scene.effects, EFFECT_FIELDS, `${named}.effects`, 'effect', errors);
+        }
+
+        if (scene.look !== undefined) {
+            checkLook(scene.look, scene.tracks, `${named}.look`, errors);
+
+            Object.keys(scene.look || {}).forEach(target => {
+                if (data.tracks && typeof data.tracks === 'object' && target in data.tracks) {
+                    errors.push(`${named}.look["${target}"]: also animated in the top-level tracks`);
+                }
+            });
+        }
+
+        if (scene.tracks !== undefined) {
+            checkTracks(scene.tracks, `${named}.tracks`, errors);
+        }
+    });
+
+    checkRanges(data.scenes, errors, warnings);
+    checkCrossfades(data.scenes, errors);
+
+    return { errors, warnings };
+}
+
+// ==========================================
+// Parsing
+// ==========================================
+
+/**
+ * Convert a validated scene to the runtime format (angles to radians)
+ * @param {Object} scene
+ * @returns {Object} New scene definition
+ */
+function toSceneDefinition(scene) {
+    const definition = JSON.parse(JSON.stringify(scene));
+    const camera = definition.camera;
+
+    definition.effects = { ...EFFECT_DEFAULTS, ...definition.effects };
+    definition.look = definition.look || {};
+    definition.crossfade = definition.crossfade || 0;
+
+    if (camera) {
+        if (camera.orbital) {
+            camera.startAngle = THREE.MathUtils.degToRad(camera.startAngle);
+            camera.endAngle = THREE.MathUtils.degToRad(camera.endAngle);
+        }
+
+        if (camera.keyframes) {
+            camera.keyframes.forEach(keyframe => {
+                if (keyframe.roll !== undefined) {
+                    keyframe.roll = THREE.MathUtils.degToRad(keyframe.roll);
+                }
+            });
+        }
+    }
+
+    return definition;
+}
+
+/**
+ * Validate timeline data and convert it to scene definitions
+ * @param {Object} data - Parsed timeline JSON
+ * @param {string} [source='timeline'] - Name used in messages
+ * @returns {Object} {version, scenes, tracks, velocity}
+ * @throws {Error} Listing every problem found
+ */
+function parseTimeline(data, source = 'timeline') {
+    const { errors, warnings } = validateTimeline(data);
+
+    warnings.forEach(warning => {
+        console.warn(`[Timeline] ${source}: ${warning}`);
+    });
+
+    if (errors.length > 0) {
+        const count = errors.length === 1 ? '1 problem' : `${errors.length} problems`;
+        throw new Error(`[Timeline] Invalid ${source} (${count}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        version: data.version,
+        scenes: data.scenes.map(toSceneDefinition),
+        tracks: data.tracks ? JSON.parse(JSON.stringify(data.tracks)) : {},
+        velocity: data.velocity ? JSON.parse(JSON.stringify(data.velocity)) : {}
+    };
+}
+
+// ==========================================
+// Loading & Hot Reload
+// ==========================================
+
+/** @type {Object} Active timeline */
+let currentTimeline = parseTimeline(timelineData, 'timeline.json');
+
+/** @type {Set<Function>} Hot reload listeners */
+const listeners = new Set();
+
+/**
+ * Get the active timeline
+ * @returns {Object} {version, scenes, tracks, velocity}
+ */
+function loadTimeline() {
+    return currentTimeline;
+}
+
+/**
+ * Listen for timeline edits (development hot reload)
+ * @param {Function} callback - Called with the new {version, scenes, tracks, velocity}
+ * @returns {Function} Unsubscribe
+ */
+function onTimelineChange(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+}
+
+if (import.meta.hot) {
+    import.meta.hot.accept('../data/timeline.json', (module) => {
+        if (!module) return;
+
+        try {
+            currentTimeline = parseTimeline(module.default, 'timeline.json');
+        } catch (error) {
+            // Keep the last good timeline until the file is fixed
+            console.error(error.message);
+            return;
+        }
+
+        console.log('%c[Timeline] timeline.json reloaded', 'color: #44ffaa;');
+        listeners.forEach(callback => callback(currentTimeline));
+    });
+}
+
+export {
+    TIMELINE_VERSION,
+    EFFECT_FIELDS,
+    validateTimeline,
+    parseTimeline,
+    loadTimeline,
+    onTimelineChange
+};
+export default loadTimeline;
@@ -0,0 +1,157 @@
+/**
+ * VelocityEffects.js
+ * Scroll-Speed-Driven Effects
+ *
+ * Maps how fast the page is scrolling to effect values, so fast
+ * scrolling streaks, shimmers and kicks the camera and slowing down
+ * lets everything settle again:
+ *
+ *     "velocity": {
+ *         "passes.chromatic.setBoost": {
+ *             "speed": [0.2, 3],        // Speed range in viewport heights per second
+ *             "value": [0, 0.012],      // Output at the ends of the speed range
+ *             "curve": "easeOut",       // Easing across the range (default: linear)
+ *             "attack": 0.08,           // Seconds to rise toward a higher value (default: 0.1)
+ *             "release": 0.6            // Seconds to fall back (default: 0.5)
+ *         },
+ *         "scrollKick.fov": {
+ *             "speed": [0.5, 4], "value": [0, 6], "signed": true
+ *         }
+ *     }
+ *
+ * Targets are dot paths resolved like property tracks (see
+ * PropertyTracks.js). Below the speed range a mapping outputs its first
+ * value, above it the last. A signed mapping flips its output while
+ * scrolling up. Targets should be additive inputs (boosts, offsets) so
+ * they combine with the tracks that animate the same effects.
+ */
+
+import { Easing } from './Easing.js';
+import { bindTarget } from './PropertyTracks.js';
+
+/**
+ * Fill in mapping defaults
+ * @param {Object} mapping - Mapping from the timeline
+ * @returns {Object}
+ */
+function withDefaults(mapping) {
+    return {
+        curve: 'linear',
+        attack: 0.1,
+        release: 0.5,
+        signed: false,
+        ...mapping
+    };
+}
+
+/**
+ * @class VelocityEffects
+ * @description Drives effect values from the scroll speed
+ */
+class VelocityEffects {
+    /**
+     * Create the mapping layer
+     * @param {Object} roots - Named root objects target paths start from
+     */
+    constructor(roots) {
+        /** @type {Object} Path roots */
+        this.roots = roots;
+
+        /** @type {Array<Object>} Bound mappings {target, settings, binding, value} */
+        this.mappings = [];
+
+        /** @type {boolean} When off, every effect settles back to rest */
+        this.enabled = true;
+
+        /** @type {number} Last measured speed (viewport heights per second) */
+        this.speed = 0;
+    }
+
+    /**
+     * Replace the mappings from a timeline
+     * @param {Object} timeline - {velocity: {target: mapping}}
+     */
+    setMappings(timeline) {
+        // Removed or edited mappings leave their targets at rest
+        this.mappings.forEach(mapping => {
+            mapping.binding.apply(mapping.settings.value[0]);
+        });
+
+        this.mappings = [];
+
+        Object.entries(timeline.velocity || {}).forEach(([target, mapping]) => {
+            const binding = bindTarget(this.roots, target);
+            if (!binding) return;
+
+            const settings = withDefaults(mapping);
+            this.mappings.push({ target, settings, binding, value: settings.value[0] });
+            binding.apply(settings.value[0]);
+        });
+    }
+
+    /**
+     * Output of a mapping for a speed (before smoothing)
+     * @param {Object} settings - Mapping settings
+     * @param {number} speed - Viewport heights per second
+     * @param {number} sign - 1 scrolling down, -1 up
+     * @returns {number}
+     * @private
+     */
+    _evaluate(settings, speed, sign) {
+        const [minSpeed, maxSpeed] = settings.speed;
+        const [from, to] = settings.value;
+
+        const t = maxSpeed > minSpeed
+            ? Math.max(0, Math.min(1, (speed - minSpeed) / (maxSpeed - minSpeed)))
+            : Number(speed >= minSpeed);
+
+        const value = from + (to - from) * Easing[settings.curve](t);
+
+        return settings.signed ? from + (value - from) * sign : value;
+    }
+
+    /**
+     * Follow the scroll speed (call every frame after the scroll manager)
+     * @param {Object} scroll - {velocity (px per frame), direction, viewportHeight}, e.g. the ScrollManager
+     * @param {number} deltaTime - Seconds (0 while paused: values hold)
+     */
+    update(scroll, deltaTime) {
+        if (deltaTime <= 0) return;
+
+        this.speed = scroll.viewportHeight > 0
+            ? Math.abs(scroll.velocity) / scroll.viewportHeight / deltaTime
+            : 0;
+
+        const speed = this.enabled ? this.speed : 0;
+        const sign = scroll.direction === 'up' ? -1 : 1;
+
+        this.mappings.forEach(mapping => {
+            const { settings } = mapping;
+            const target = this._evaluate(settings, speed, sign);
+            const rest = settings.value[0];
+
+            // Rise with attack, settle with release
+            const rising = Math.abs(target - rest) > Math.abs(mapping.value - rest);
+            const duration = rising ? settings.attack : settings.release;
+            const blend = duration > 0 ? 1 - Math.exp(-deltaTime / duration) : 1;
+
+            let value = mapping.value + (target - mapping.value) * blend;
+            if (Math.abs(value - target) < 1e-5) value = target;
+
+            if (value !== mapping.value) {
+                mapping.value = value;
+                mapping.binding.apply(value);
+            }
+        });
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.mappings = [];
+    }
+}
+
+export { VelocityEffects };
+export default VelocityEffects;
@@ -0,0 +1,396 @@
+/**
+ * VideoExporter.js
+ * Scripted Recording of the Scroll Experience
+ *
+ * Renders the experience frame by frame along a scripted scroll
+ * timeline and encodes the result:
+ * - 'webm': MediaRecorder on a manually stepped canvas stream
+ * - 'png':  lossless PNG sequence bundled into a zip
+ *
+ * While recording, Time runs on a fixed step (one step per exported
+ * frame, loop stopped), ScrollManager follows the timeline instead of
+ * the page scroll, and the renderer draws at the requested size no
+ * matter how big the window or canvas is.
+ *
+ * Note: MediaRecorder timestamps frames with the wall clock, so WebM
+ * frames are paced in real time. If a frame takes longer than 1/fps to
+ * render the video will stutter - use the PNG sequence for frame-exact
+ * output at heavy resolutions.
+ */
+
+import { EventEmitter } from '../core/EventEmitter.js';
+import { Easing } from './Easing.js';
+import { ZipWriter } from './ZipWriter.js';
+
+/**
+ * Trigger a browser download for a Blob
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Wait until a wall-clock timestamp
+ * @param {number} timestamp - performance.now() value
+ * @returns {Promise<void>}
+ */
+function waitUntil(timestamp) {
+    const delay = timestamp - performance.now();
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, delay)));
+}
+
+/**
+ * @class VideoExporter
+ * @extends EventEmitter
+ * @description Records the experience along a scroll timeline to WebM or a PNG sequence
+ *
+ * Events:
+ * - 'start'    {width, height, fps, totalFrames, format}
+ * - 'progress' {frame, totalFrames, progress}
+ * - 'complete' {blob, format}
+ */
+class VideoExporter extends EventEmitter {
+    /**
+     * Create video exporter
+     * @param {Experience} experience - Experience to record
+     */
+    constructor(experience) {
+        super();
+
+        /** @type {Experience} */
+        this.experience = experience;
+
+        /** @type {boolean} Recording in progress */
+        this.isRecording = false;
+
+        /** @type {boolean} Cancel requested */
+        this._cancelled = false;
+    }
+
+    /**
+     * Record the experience
+     * @param {Object} options - Recording options
+     * @param {number} [options.width] - Output width in pixels (default: 1920)
+     * @param {number} [options.height] - Output height in pixels (default: 1080)
+     * @param {number} [options.fps] - Frames per second (default: 60)
+     * @param {number} [options.duration] - Length in seconds for the default 0 → 1 timeline
+     * @param {Array<Object>} [options.timeline] - Keyframes {time, progress|scene, easing}
+     *                                             (easing applies to the segment ending at the keyframe)
+     * @param {string} [options.format] - 'webm' or 'png' (zip of frames)
+     * @param {string} [options.mimeType] - WebM mime type (default: best supported)
+     * @param {number} [options.videoBitsPerSecond] - WebM bitrate (default: 20 Mbps)
+     * @param {boolean} [options.download] - Trigger a download when done (default: true)
+     * @param {string} [options.filename] - Download name (default: soulhit-<timestamp>.<ext>)
+     * @param {Function} [options.onProgress] - Called with (progress 0-1, frame, totalFrames)
+     * @returns {Promise<Blob>} Encoded video or zip
+     */
+    async record(options = {}) {
+        const {
+            width = 1920,
+            height = 1080,
+            fps = 60,
+            duration = 20,
+            timeline = null,
+            format = 'webm',
+            mimeType = null,
+            videoBitsPerSecond = 20000000,
+            download = true,
+            filename = null,
+            onProgress = null
+        } = options;
+
+        if (this.isRecording) {
+            throw new Error('[VideoExporter] A recording is already in progress');
+        }
+
+        if (this.experience.screenshotCapture && this.experience.screenshotCapture.isCapturing) {
+            throw new Error('[VideoExporter] Cannot record while a screenshot is being captured');
+        }
+
+        if (format !== 'webm' && format !== 'png') {
+            throw new Error(`[VideoExporter] Unknown format "${format}" (use 'webm' or 'png')`);
+        }
+
+        const { app } = this.experience;
+        const maxSize = app.renderer.capabilities.maxTextureSize;
+        if (width > maxSize || height > maxSize) {
+            throw new Error(`[VideoExporter] ${width}x${height} exceeds the GPU limit of ${maxSize}px`);
+        }
+
+        const keyframes = this._resolveTimeline(timeline || [
+            { time: 0, progress: 0 },
+            { time: duration, progress: 1 }
+        ]);
+        const totalTime = keyframes[keyframes.length - 1].time;
+        const totalFrames = Math.max(1, Math.round(totalTime * fps));
+
+        const encoder = format === 'webm'
+            ? this._createWebMEncoder(mimeType, videoBitsPerSecond)
+            : this._createPNGEncoder();
+
+        this.isRecording = true;
+        this._cancelled = false;
+
+        const restore = this._enterRecordingMode(width, height, fps);
+
+        this.emit('start', { width, height, fps, totalFrames, format });
+        console.log(`%c[VideoExporter] Recording ${totalFrames} frames at ${width}x${height}, ${fps}fps (${format})`, 'color: #ff4488;');
+
+        let blob;
+
+        try {
+            const start = performance.now();
+            const frameDuration = 1000 / fps;
+
+            for (let frame = 0; frame < totalFrames; frame++) {
+                if (this._cancelled) {
+                    throw new Error('[VideoExporter] Recording cancelled');
+                }
+
+                // Move along the timeline, then advance one fixed step
+                // (update + render through the pipeline)
+                this.experience.scrollManager.setControlledProgress(
+                    this._progressAt(keyframes, frame / fps)
+                );
+                app.time.step(1);
+
+                await encoder.addFrame(frame);
+
+                // WebM needs real-time pacing (MediaRecorder uses wall-clock timestamps)
+                if (format === 'webm') {
+                    await waitUntil(start + (frame + 1) * frameDuration);
+                }
+
+                const progress = (frame + 1) / totalFrames;
+                this.emit('progress', { frame, totalFrames, progress });
+                if (onProgress) {
+                    onProgress(progress, frame, totalFrames);
+                }
+            }
+
+            blob = await encoder.finish();
+        } catch (error) {
+            encoder.abort();
+            throw error;
+        } finally {
+            restore();
+            this.isRecording = false;
+        }
+
+        this.emit('complete', { blob, format });
+        console.log(`%c[VideoExporter] Done (${(blob.size / 1048576).toFixed(1)} MB)`, 'color: #ff4488;');
+
+        if (download) {
+            const extension = format === 'webm' ? 'webm' : 'zip';
+            downloadBlob(blob, filename || `soulhit-${Date.now()}.${extension}`);
+        }
+
+        return blob;
+    }
+
+    /**
+     * Request cancellation of the current recording
+     */
+    cancel() {
+        if (this.isRecording) {
+            this._cancelled = true;
+        }
+    }
+
+    /**
+     * Put the experience into deterministic, fixed-size recording mode
+     * @param {number} width
+     * @param {number} height
+     * @param {number} fps
+     * @returns {Function} Restores the previous state
+     * @private
+     */
+    _enterRecordingMode(width, height, fps) {
+        const { app, scrollManager, performanceManager } = this.experience;
+        const { time } = app;
+
+        const saved = {
+            fixedStep: time.fixedStep,
+            wasRunning: time.isRunning,
+            adaptiveQuality: performanceManager.adaptiveQuality,
+            fixedSize: app.fixedSize
+        };
+
+        // Frames are stepped by hand, not by requestAnimationFrame
+        time.stop();
+        time.setFixedStep(1 / fps);
+
+        // Quality must not change mid-recording
+        performanceManager.setAdaptiveQuality(false);
+
+        app.setFixedSize({ width, height, pixelRatio: 1 });
+
+        return () => {
+            scrollManager.setControlledProgress(null);
+            app.setFixedSize(saved.fixedSize);
+            time.setFixedStep(saved.fixedStep);
+            performanceManager.setAdaptiveQuality(saved.adaptiveQuality);
+
+            if (saved.wasRunning) {
+                time.start();
+            }
+        };
+    }
+
+    /**
+     * Validate timeline keyframes and resolve scene names to progress
+     * @param {Array<Object>} timeline
+     * @returns {Array<Object>} Keyframes {time, progress, easing}
+     * @private
+     */
+    _resolveTimeline(timeline) {
+        if (!Array.isArray(timeline) || timeline.length < 2) {
+            throw new Error('[VideoExporter] Timeline needs at least two keyframes');
+        }
+
+        const scenes = this.experience.scrollManager.getScenes();
+
+        return timeline.map((keyframe, index) => {
+            let { progress } = keyframe;
+
+            if (keyframe.scene !== undefined) {
+                const scene = scenes.find(s => s.name === keyframe.scene);
+                if (!scene) {
+                    throw new Error(`[VideoExporter] Keyframe ${index}: unknown scene "${keyframe.scene}"`);
+                }
+                progress = scene.start;
+            }
+
+            if (typeof keyframe.time !== 'number' || typeof progress !== 'number') {
+                throw new Error(`[VideoExporter] Keyframe ${index} needs a numeric time and a progress or scene`);
+            }
+
+            if (index > 0 && keyframe.time <= timeline[index - 1].time) {
+                throw new Error(`[VideoExporter] Keyframe ${index}: times must increase`);
+            }
+
+            const easing = keyframe.easing || 'linear';
+            if (!Easing[easing]) {
+                throw new Error(`[VideoExporter] Keyframe ${index}: unknown easing "${easing}"`);
+            }
+
+            return { time: keyframe.time, progress, easing };
+        });
+    }
+
+    /**
+     * Evaluate the timeline at a time
+     * @param {Array<Object>} keyframes - Resolved keyframes
+     * @param {number} time - Seconds from the start
+     * @returns {number} Scroll progress (0-1)
+     * @private
+     */
+    _progressAt(keyframes, time) {
+        if (time <= keyframes[0].time) return keyframes[0].progress;
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const from = keyframes[i - 1];
+            const to = keyframes[i];
+
+            if (time <= to.time) {
+                const t = (time - from.time) / (to.time - from.time);
+                return from.progress + (to.progress - from.progress) * Easing[to.easing](t);
+            }
+        }
+
+        return keyframes[keyframes.length - 1].progress;
+    }
+
+    /**
+     * Create a MediaRecorder based WebM encoder on a manual canvas stream
+     * @param {string|null} mimeType
+     * @param {number} videoBitsPerSecond
+     * @returns {Object} Encoder {addFrame, finish, abort}
+     * @private
+     */
+    _createWebMEncoder(mimeType, videoBitsPerSecond) {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('[VideoExporter] MediaRecorder is not supported - use format "png"');
+        }
+
+        const type = mimeType || [
+            'video/webm;codecs=vp9',
+            'video/webm;codecs=vp8',
+            'video/webm'
+        ].find(t => MediaRecorder.isTypeSupported(t));
+
+        if (!type) {
+            throw new Error('[VideoExporter] No supported WebM codec - use format "png"');
+        }
+
+        // Frame rate 0: frames are only captured on requestFrame()
+        const stream = this.experience.app.canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond });
+        const chunks = [];
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        recorder.start();
+
+        const stopTracks = () => stream.getTracks().forEach(t => t.stop());
+
+        return {
+            addFrame: async () => {
+                track.requestFrame();
+            },
+            finish: () => new Promise(resolve => {
+                recorder.onstop = () => {
+                    stopTracks();
+                    resolve(new Blob(chunks, { type }));
+                };
+                recorder.stop();
+            }),
+            abort: () => {
+                if (recorder.state !== 'inactive') {
+                    recorder.stop();
+                }
+                stopTracks();
+            }
+        };
+    }
+
+    /**
+     * Create a PNG sequence encoder (frames zipped)
+     * @returns {Object} Encoder {addFrame, finish, abort}
+     * @private
+     */
+    _createPNGEncoder() {
+        const canvas = this.experience.app.canvas;
+        const zip = new ZipWriter();
+
+        return {
+            addFrame: async (frame) => {
+                // toBlob snapshots the drawing buffer synchronously, right after the render
+                const blob = await new Promise((resolve, reject) => {
+                    canvas.toBlob(b => b ? resolve(b) : reject(new Error('[VideoExporter] Frame capture failed')), 'image/png');
+                });
+                await zip.addFile(`frame_${String(frame).padStart(5, '0')}.png`, blob);
+            },
+            finish: async () => zip.generate(),
+            abort: () => {}
+        };
+    }
+}
+
+export { VideoExporter, downloadBlob };
+export default VideoExporter;
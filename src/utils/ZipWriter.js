@@ -0,0 +1,157 @@
+/**
+ * ZipWriter.js
+ * Minimal ZIP Archive Writer
+ *
+ * Builds an uncompressed (STORE) zip in the browser, used to bundle
+ * exported PNG frame sequences into a single download. PNGs are
+ * already compressed, so storing them costs nothing in size.
+ *
+ * Files are kept as Blob parts so large sequences don't have to be
+ * copied into one contiguous buffer.
+ */
+
+/** @type {Uint32Array|null} Lazily built CRC-32 lookup table */
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 of a byte array (IEEE polynomial, as used by zip)
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * @class ZipWriter
+ * @description Accumulates files and produces a STORE-only zip Blob
+ */
+class ZipWriter {
+    constructor() {
+        /** @type {Array<Blob|Uint8Array>} Archive body parts (headers + file data) */
+        this.parts = [];
+
+        /** @type {Array<Object>} Central directory entries */
+        this.entries = [];
+
+        /** @type {number} Current byte offset in the archive */
+        this.offset = 0;
+
+        /** @type {TextEncoder} */
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {Blob} blob - File content
+     * @returns {Promise<void>}
+     */
+    async addFile(name, blob) {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const nameBytes = this.encoder.encode(name);
+        const crc = crc32(data);
+        const size = data.length;
+        const { time, date } = this._dosDateTime(new Date());
+
+        if (size >= 0xFFFFFFFF || this.offset >= 0xFFFFFFFF) {
+            throw new Error('[ZipWriter] Archive exceeds 4 GB (zip64 not supported)');
+        }
+
+        // Local file header
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034B50, true);    // Signature
+        view.setUint16(4, 20, true);            // Version needed
+        view.setUint16(6, 0x0800, true);        // Flags (UTF-8 names)
+        view.setUint16(8, 0, true);             // Method: store
+        view.setUint16(10, time, true);
+        view.setUint16(12, date, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, size, true);         // Compressed size
+        view.setUint32(22, size, true);         // Uncompressed size
+        view.setUint16(26, nameBytes.length, true);
+        view.setUint16(28, 0, true);            // Extra length
+        header.set(nameBytes, 30);
+
+        this.entries.push({ nameBytes, crc, size, time, date, offset: this.offset });
+
+        this.parts.push(header, blob);
+        this.offset += header.length + size;
+    }
+
+    /**
+     * Build the archive
+     * @returns {Blob} application/zip Blob
+     */
+    generate() {
+        const centralStart = this.offset;
+        const central = [];
+        let centralSize = 0;
+
+        this.entries.forEach(entry => {
+            const record = new Uint8Array(46 + entry.nameBytes.length);
+            const view = new DataView(record.buffer);
+            view.setUint32(0, 0x02014B50, true);    // Signature
+            view.setUint16(4, 20, true);            // Version made by
+            view.setUint16(6, 20, true);            // Version needed
+            view.setUint16(8, 0x0800, true);        // Flags (UTF-8 names)
+            view.setUint16(10, 0, true);            // Method: store
+            view.setUint16(12, entry.time, true);
+            view.setUint16(14, entry.date, true);
+            view.setUint32(16, entry.crc, true);
+            view.setUint32(20, entry.size, true);
+            view.setUint32(24, entry.size, true);
+            view.setUint16(28, entry.nameBytes.length, true);
+            // Extra, comment, disk number, attributes: 0
+            view.setUint32(42, entry.offset, true);
+            record.set(entry.nameBytes, 46);
+
+            central.push(record);
+            centralSize += record.length;
+        });
+
+        // End of central directory record
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, 0x06054B50, true);
+        view.setUint16(8, this.entries.length, true);
+        view.setUint16(10, this.entries.length, true);
+        view.setUint32(12, centralSize, true);
+        view.setUint32(16, centralStart, true);
+
+        return new Blob([...this.parts, ...central, end], { type: 'application/zip' });
+    }
+
+    /**
+     * Convert a date to MS-DOS time/date fields
+     * @param {Date} d
+     * @returns {{time: number, date: number}}
+     * @private
+     */
+    _dosDateTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+            date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+}
+
+export { ZipWriter, crc32 };
+export default ZipWriter;
@@ -14,6 +14,7 @@
 
 import * as THREE from 'three';
 import gsap from 'gsap';
+import { TaskPriority } from '../core/Time.js';
 
 // Import shaders
 import vertexShader from '../shaders/glass/vertex.glsl?raw';
@@ -28,6 +29,9 @@ class GlassCards {
      * Create glass cards manager
      * @param {THREE.WebGLRenderer} renderer - WebGL renderer for background capture
      * @param {Object} options - Configuration options
+     * @param {number} [options.captureFrequency] - Background captures per second (0 = every frame)
+     * @param {number} [options.spreadRadius] - Ring radius the cards spread out to (see setSpread)
+     * @param {Object} [options.tweens] - Tween timeline (the App's Tweens; default: gsap)
      */
     constructor(renderer, options = {}) {
         const {
@@ -35,12 +39,18 @@ class GlassCards {
             cardHeight = 5.5,
             cardDepth = 0.1,
             cornerRadius = 0.3,
-            cardCount = 3
+            cardCount = 3,
+            captureFrequency = 30,
+            spreadRadius = 6,
+            tweens = gsap
         } = options;
 
         /** @type {THREE.WebGLRenderer} */
         this.renderer = renderer;
 
+        /** @type {Object} Tweens (the App's timeline, or gsap itself standalone) */
+        this.tweens = tweens;
+
         /** @type {THREE.Group} Container for all cards */
         this.group = new THREE.Group();
 
@@ -58,6 +68,15 @@ class GlassCards {
         /** @type {number} Number of cards to create */
         this.cardCount = cardCount;
 
+        /** @type {number} Background captures per second */
+        this.captureFrequency = captureFrequency;
+
+        /** @type {number} Ring radius at full spread */
+        this.spreadRadius = spreadRadius;
+
+        /** @type {number} Current spread (0 = authored layout, 1 = ring) */
+        this.spread = 0;
+
         /** @type {THREE.Vector2} Mouse position normalized (-1 to 1) */
         this.mouse = new THREE.Vector2(0, 0);
 
@@ -67,6 +86,15 @@ class GlassCards {
         /** @type {Object|null} Currently hovered card */
         this.hoveredCard = null;
 
+        /** @type {THREE.Scene|null} Scene for background capture (set in init) */
+        this.scene = null;
+
+        /** @type {THREE.Camera|null} Camera for background capture (set in init) */
+        this.camera = null;
+
+        /** @type {Function|null} Removes the capture task */
+        this._removeTask = null;
+
         /** @type {THREE.WebGLRenderTarget} Background capture for refraction */
         this.backgroundTarget = new THREE.WebGLRenderTarget(
             window.innerWidth,
@@ -190,7 +218,9 @@ class GlassCards {
         mesh.rotation.set(rotation.x, rotation.y, rotation.z);
 
         // Store original transforms for hover animation
+        // (layoutPosition is the authored spot setSpread moves from)
         const originalPosition = { ...position };
+        const layoutPosition = { ...position };
         const originalRotation = { ...rotation };
         const originalScale = { x: 1, y: 1, z: 1 };
 
@@ -200,6 +230,7 @@ class GlassCards {
             material,
             geometry,
             originalPosition,
+            layoutPosition,
             originalRotation,
             originalScale,
             isHovered: false,
@@ -222,14 +253,14 @@ class GlassCards {
                 card.isHovered = hovered;
 
                 // Animate hover uniform
-                gsap.to(material.uniforms.uHover, {
+                this.tweens.to(material.uniforms.uHover, {
                     value: hovered ? 1 : 0,
                     duration: 0.4,
                     ease: 'power2.out'
                 });
 
                 // Scale animation (1.05x on hover)
-                gsap.to(mesh.scale, {
+                this.tweens.to(mesh.scale, {
                     x: hovered ? 1.05 : 1,
                     y: hovered ? 1.05 : 1,
                     z: hovered ? 1.05 : 1,
@@ -238,21 +269,21 @@ class GlassCards {
                 });
 
                 // Slight Z push forward on hover
-                gsap.to(mesh.position, {
+                this.tweens.to(mesh.position, {
                     z: originalPosition.z + (hovered ? 0.5 : 0),
                     duration: 0.4,
                     ease: 'power2.out'
                 });
 
                 // Increase glow on hover
-                gsap.to(material.uniforms.uGlowStrength, {
+                this.tweens.to(material.uniforms.uGlowStrength, {
                     value: hovered ? 1.0 : 0.5,
                     duration: 0.4,
                     ease: 'power2.out'
                 });
 
                 // Increase fresnel on hover
-                gsap.to(material.uniforms.uFresnelPower, {
+                this.tweens.to(material.uniforms.uFresnelPower, {
                     value: hovered ? 3.5 : 2.5,
                     duration: 0.4,
                     ease: 'power2.out'
@@ -268,9 +299,13 @@ class GlassCards {
             },
 
             /**
-             * Set card position
+             * Set card position (also its layout position, see setSpread)
              */
             setPosition: (x, y, z) => {
+                layoutPosition.x = x;
+                layoutPosition.y = y;
+                layoutPosition.z = z;
+
                 mesh.position.set(x, y, z);
                 originalPosition.x = x;
                 originalPosition.y = y;
@@ -400,6 +435,38 @@ class GlassCards {
         return newHovered;
     }
 
+    /**
+     * Check for a click on cards
+     * @param {THREE.Raycaster} raycaster
+     * @returns {Array<Object>} Intersections, nearest first (object.userData.card = card)
+     */
+    checkClick(raycaster) {
+        return raycaster.intersectObjects(
+            this.cards.map(c => c.mesh),
+            false
+        );
+    }
+
+    /**
+     * Component init - add cards to scene and schedule the
+     * background capture. It re-renders the whole scene, so it runs
+     * at captureFrequency and yields to more important work when the
+     * frame is over budget (the blurred refraction hides the lag).
+     * @param {Object} context - Component context
+     */
+    init({ scene, camera, time }) {
+        this.scene = scene;
+        this.camera = camera;
+        scene.add(this.group);
+
+        this._removeTask = time.scheduler.add('glassCapture', () => {
+            this.captureBackground(this.scene, this.camera);
+        }, {
+            priority: TaskPriority.NORMAL,
+            frequency: this.captureFrequency
+        });
+    }
+
     /**
      * Capture background for refraction effect
      * @param {THREE.Scene} scene
@@ -411,6 +478,7 @@ class GlassCards {
 
         // Render scene to background target
         this.renderer.setRenderTarget(this.backgroundTarget);
+        this.renderer.clear();
         this.renderer.render(scene, camera);
         this.renderer.setRenderTarget(null);
 
@@ -450,6 +518,49 @@ class GlassCards {
         });
     }
 
+    /**
+     * Component resize hook
+     * @param {Object} sizes - {width, height, pixelRatio}
+     */
+    resize(sizes) {
+        this.handleResize(sizes.width, sizes.height);
+    }
+
+    /**
+     * Component view offset - the refraction samples the capture in
+     * screen space, so recapture through the tile's projection
+     * (scheduled captures are paused while tiles render)
+     */
+    onViewOffset() {
+        if (this.scene && this.camera) {
+            this.captureBackground(this.scene, this.camera);
+        }
+    }
+
+    /**
+     * Spread the cards from their authored layout out onto a ring around
+     * the origin. Driven by a scroll property track, so it is the same
+     * for a given progress whichever way you scrolled there.
+     * @param {number} amount - 0 (layout) to 1 (ring)
+     */
+    setSpread(amount) {
+        this.spread = amount;
+
+        this.cards.forEach((card, i) => {
+            const angle = (i / this.cards.length) * Math.PI * 2;
+            const x = THREE.MathUtils.lerp(card.layoutPosition.x, Math.cos(angle) * this.spreadRadius, amount);
+            const z = THREE.MathUtils.lerp(card.layoutPosition.z, Math.sin(angle) * this.spreadRadius, amount);
+
+            // Keep the hover push relative to the new spot
+            const hoverOffset = card.mesh.position.z - card.originalPosition.z;
+
+            card.originalPosition.x = x;
+            card.originalPosition.z = z;
+            card.mesh.position.x = x;
+            card.mesh.position.z = z + hoverOffset;
+        });
+    }
+
     /**
      * Get the container group
      * @returns {THREE.Group}
@@ -491,6 +602,14 @@ class GlassCards {
      * Clean up all resources
      */
     dispose() {
+        if (this._removeTask) {
+            this._removeTask();
+        }
+
+        if (this.scene) {
+            this.scene.remove(this.group);
+        }
+
         // Dispose all cards
         this.cards.forEach(card => {
             this.group.remove(card.mesh);
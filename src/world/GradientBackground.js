@@ -0,0 +1,138 @@
+/**
+ * GradientBackground.js
+ * Animated Gradient Background with Nebula and Stars
+ *
+ * Fullscreen shader quad rendered in its own scene with an
+ * orthographic camera, drawn behind the main scene as the
+ * BACKGROUND stage of the render pipeline.
+ */
+
+import * as THREE from 'three';
+import { RenderStage } from '../core/Renderer.js';
+import { createViewOffsetUniform, applyViewOffset } from '../postprocessing/ViewOffset.js';
+
+// Background shaders
+import backgroundVertexShader from '../shaders/background/vertex.glsl?raw';
+import backgroundFragmentShader from '../shaders/background/fragment.glsl?raw';
+
+/**
+ * @class GradientBackground
+ * @description Animated gradient/nebula/star background
+ */
+class GradientBackground {
+    /**
+     * Create gradient background
+     * @param {Object} options - Configuration options
+     */
+    constructor(options = {}) {
+        const {
+            colorTop = 0x000022,
+            colorMiddle = 0x000044,
+            colorBottom = 0x000011,
+            noiseScale = 2.5,
+            noiseSpeed = 0.15,
+            nebulaIntensity = 0.3,
+            starDensity = 0.003,
+            grainIntensity = 0.03,
+            seed = 0
+        } = options;
+
+        const geometry = new THREE.PlaneGeometry(2, 2);
+        const material = new THREE.ShaderMaterial({
+            vertexShader: backgroundVertexShader,
+            fragmentShader: backgroundFragmentShader,
+            uniforms: {
+                uTime: { value: 0 },
+                uSeed: { value: seed },
+                uColorTop: { value: new THREE.Color(colorTop) },
+                uColorMiddle: { value: new THREE.Color(colorMiddle) },
+                uColorBottom: { value: new THREE.Color(colorBottom) },
+                uNoiseScale: { value: noiseScale },
+                uNoiseSpeed: { value: noiseSpeed },
+                uNebulaIntensity: { value: nebulaIntensity },
+                uStarDensity: { value: starDensity },
+                uGrainIntensity: { value: grainIntensity },
+                uResolution: { value: new THREE.Vector2(1, 1) },
+                uViewOffset: createViewOffsetUniform()
+            },
+            depthTest: false,
+            depthWrite: false
+        });
+
+        /** @type {THREE.Mesh} Fullscreen quad */
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.frustumCulled = false;
+        this.mesh.renderOrder = -1000;
+
+        /** @type {THREE.Scene} Separate background scene */
+        this.scene = new THREE.Scene();
+        this.scene.add(this.mesh);
+
+        /** @type {THREE.OrthographicCamera} Fullscreen camera */
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+        /** @type {Function|null} Removes the render stage */
+        this._removeStage = null;
+    }
+
+    /**
+     * Component init - register background render stage
+     * @param {Object} context - Component context
+     */
+    init({ rendererManager, sizes }) {
+        this.resize(sizes);
+
+        this._removeStage = rendererManager.addStage('background', (renderer, frame) => {
+            renderer.setRenderTarget(frame.target);
+            renderer.render(this.scene, this.camera);
+        }, RenderStage.BACKGROUND);
+    }
+
+    /**
+     * Component resize - keep the star field aspect-correct
+     * @param {Object} sizes - {width, height, pixelRatio}
+     */
+    resize({ width, height, pixelRatio }) {
+        this.mesh.material.uniforms.uResolution.value.set(width * pixelRatio, height * pixelRatio);
+    }
+
+    /**
+     * Component view offset - draw this tile's part of the full gradient
+     * @param {Object|null} view - Tile, or null for the full frame
+     */
+    onViewOffset(view) {
+        applyViewOffset(this.mesh.material.uniforms.uViewOffset, view);
+    }
+
+    /**
+     * Update shader time
+     * @param {number} elapsedTime
+     */
+    update(elapsedTime) {
+        this.mesh.material.uniforms.uTime.value = elapsedTime;
+    }
+
+    /**
+     * Get shader uniforms
+     * @returns {Object}
+     */
+    getUniforms() {
+        return this.mesh.material.uniforms;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this._removeStage) {
+            this._removeStage();
+        }
+
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
+
+export { GradientBackground };
+export default GradientBackground;
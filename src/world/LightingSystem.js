@@ -66,7 +66,13 @@ class LightingSystem {
             enableAnimatedLights = true,
 
             // Preset
-            preset = 'neutral'
+            preset = 'neutral',
+
+            // Seeded random generator (Math.random if omitted)
+            random = null,
+
+            // Tween timeline (the App's Tweens; gsap if omitted)
+            tweens = gsap
         } = options;
 
         // Use either shadowsEnabled or enableShadows
@@ -78,6 +84,8 @@ class LightingSystem {
         this.animationEnabled = animationEnabled && enableAnimatedLights;
         this.shadowMapSize = shadowMapSize;
         this.time = 0;
+        this._random = random ? () => random.next() : Math.random;
+        this.tweens = tweens;
 
         // ==========================================
         // Ambient Light
@@ -170,8 +178,8 @@ class LightingSystem {
             // Store initial position for animation
             light.userData.initialAngle = angle;
             light.userData.radius = radius;
-            light.userData.speed = 0.3 + Math.random() * 0.2;
-            light.userData.verticalOffset = Math.random() * Math.PI * 2;
+            light.userData.speed = 0.3 + this._random() * 0.2;
+            light.userData.verticalOffset = this._random() * Math.PI * 2;
 
             this.scene.add(light);
             this.accentLights.push(light);
@@ -336,7 +344,7 @@ class LightingSystem {
         this.accentLights.forEach(light => {
             const originalIntensity = light.intensity;
             light.intensity = 0;
-            gsap.to(light, {
+            this.tweens.to(light, {
                 intensity: originalIntensity,
                 duration: 1.5,
                 delay: 0.5,
@@ -345,35 +353,35 @@ class LightingSystem {
         });
 
         // Animate main lights
-        gsap.to(this.lights.key, {
+        this.tweens.to(this.lights.key, {
             intensity: originalIntensities.key,
             duration: 1.2,
             delay: 0.2,
             ease: 'power2.out'
         });
 
-        gsap.to(this.lights.fill, {
+        this.tweens.to(this.lights.fill, {
             intensity: originalIntensities.fill,
             duration: 1.0,
             delay: 0.3,
             ease: 'power2.out'
         });
 
-        gsap.to(this.lights.back, {
+        this.tweens.to(this.lights.back, {
             intensity: originalIntensities.back,
             duration: 1.0,
             delay: 0.4,
             ease: 'power2.out'
         });
 
-        gsap.to(this.lights.ambient, {
+        this.tweens.to(this.lights.ambient, {
             intensity: originalIntensities.ambient,
             duration: 0.8,
             delay: 0.1,
             ease: 'power2.out'
         });
 
-        gsap.to(this.lights.hemisphere, {
+        this.tweens.to(this.lights.hemisphere, {
             intensity: originalIntensities.hemisphere,
             duration: 1.0,
             delay: 0.2,
@@ -427,10 +435,21 @@ class LightingSystem {
         const preset = presets[presetName];
         if (!preset) return;
 
-        gsap.to(this.lights.key, { intensity: preset.keyIntensity, duration });
-        gsap.to(this.lights.fill, { intensity: preset.fillIntensity, duration });
-        gsap.to(this.lights.back, { intensity: preset.backIntensity, duration });
-        gsap.to(this.lights.ambient, { intensity: preset.ambientIntensity, duration });
+        this.tweens.to(this.lights.key, { intensity: preset.keyIntensity, duration });
+        this.tweens.to(this.lights.fill, { intensity: preset.fillIntensity, duration });
+        this.tweens.to(this.lights.back, { intensity: preset.backIntensity, duration });
+        this.tweens.to(this.lights.ambient, { intensity: preset.ambientIntensity, duration });
+    }
+
+    /**
+     * Apply quality preset (shadows)
+     * @param {Object} data - {level, previousLevel, preset}
+     */
+    onQualityChange({ preset }) {
+        this.setShadowsEnabled(preset.enableShadows !== false);
+        if (preset.shadowMapSize) {
+            this.setShadowMapSize(preset.shadowMapSize);
+        }
     }
 
     /**
@@ -27,6 +27,7 @@
 
 import * as THREE from 'three';
 import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { TaskPriority } from '../core/Time.js';
 
 // Import compute shaders
 import computePositionShader from '../shaders/particles/compute-position.glsl?raw';
@@ -80,12 +81,31 @@ class Particles {
 
             // Mouse interaction
             mouseRadius = 3.0,
-            mouseStrength = 5.0
+            mouseStrength = 5.0,
+
+            // Determinism
+            random = null,
+            seed = 0,
+
+            // Simulation steps per second (0 = every frame)
+            computeFrequency = 0
         } = options;
 
         /** @type {THREE.WebGLRenderer} */
         this.renderer = renderer;
 
+        /** @type {Function} Random source for initial textures, returns [0, 1) */
+        this._random = random ? () => random.next() : Math.random;
+
+        /** @type {number} Shader hash seed */
+        this.seed = seed;
+
+        /** @type {number} Simulation steps per second (0 = every frame) */
+        this.computeFrequency = computeFrequency;
+
+        /** @type {Function|null} Removes the compute task */
+        this._removeTask = null;
+
         /** @type {number} Texture dimensions (particles = textureSize^2) */
         this.textureSize = textureSize;
 
@@ -131,9 +151,14 @@ class Particles {
         this._initParticleMaterial();
         this._initMesh();
 
-        // Handle resize
-        this._handleResize = this._handleResize.bind(this);
-        window.addEventListener('resize', this._handleResize);
+        /** @type {THREE.Camera|null} Camera for size attenuation (set in init) */
+        this.camera = null;
+
+        /** @type {THREE.Scene|null} Scene the mesh was added to */
+        this.scene = null;
+
+        /** @type {Object|null} Viewport sizes (set in init) */
+        this.sizes = null;
 
         console.log(`%c[Particles] GPU System initialized with ${this.count.toLocaleString()} particles`, 'color: #44ff88; font-weight: bold;');
     }
@@ -231,6 +256,7 @@ class Particles {
         const positionUniforms = this.positionVariable.material.uniforms;
         positionUniforms.uTime = { value: 0 };
         positionUniforms.uDeltaTime = { value: 0.016 };
+        positionUniforms.uSeed = { value: this.seed };
         positionUniforms.uBoundsRadius = { value: this.boundsRadius };
         positionUniforms.uLifetimeMin = { value: this.settings.lifetimeMin };
         positionUniforms.uLifetimeMax = { value: this.settings.lifetimeMax };
@@ -239,6 +265,7 @@ class Particles {
         const velocityUniforms = this.velocityVariable.material.uniforms;
         velocityUniforms.uTime = { value: 0 };
         velocityUniforms.uDeltaTime = { value: 0.016 };
+        velocityUniforms.uSeed = { value: this.seed };
         velocityUniforms.uFlowFieldScale = { value: this.settings.flowFieldScale };
         velocityUniforms.uFlowFieldSpeed = { value: this.settings.flowFieldSpeed };
         velocityUniforms.uFlowFieldStrength = { value: this.settings.flowFieldStrength };
@@ -295,9 +322,9 @@ class Particles {
 
         for (let i = 0; i < data.length; i += 4) {
             // Random spherical position
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-            const r = radius * Math.cbrt(Math.random());
+            const theta = this._random() * Math.PI * 2;
+            const phi = Math.acos(2 * this._random() - 1);
+            const r = radius * Math.cbrt(this._random());
 
             // XYZ position
             data[i + 0] = r * Math.sin(phi) * Math.cos(theta);     // X
@@ -305,7 +332,7 @@ class Particles {
             data[i + 2] = r * Math.cos(phi);                        // Z
 
             // W = lifetime (random 0-1, will be managed by shader)
-            data[i + 3] = Math.random();
+            data[i + 3] = this._random();
         }
     }
 
@@ -319,9 +346,9 @@ class Particles {
 
         for (let i = 0; i < data.length; i += 4) {
             // Small random initial velocity
-            data[i + 0] = (Math.random() - 0.5) * 0.5;  // X velocity
-            data[i + 1] = (Math.random() - 0.5) * 0.5;  // Y velocity
-            data[i + 2] = (Math.random() - 0.5) * 0.5;  // Z velocity
+            data[i + 0] = (this._random() - 0.5) * 0.5;  // X velocity
+            data[i + 1] = (this._random() - 0.5) * 0.5;  // Y velocity
+            data[i + 2] = (this._random() - 0.5) * 0.5;  // Z velocity
             data[i + 3] = 1.0;                           // Unused
         }
     }
@@ -389,6 +416,7 @@ class Particles {
 
                 // Time
                 uTime: { value: 0 },
+                uSeed: { value: this.seed },
 
                 // Appearance
                 uSize: { value: this.settings.size },
@@ -477,11 +505,43 @@ class Particles {
     }
 
     /**
-     * Handle window resize
-     * @private
+     * Component init - add mesh to scene and keep camera reference
+     * @param {Object} context - Component context
+     */
+    init({ scene, camera, time, sizes }) {
+        this.scene = scene;
+        this.camera = camera;
+        this.sizes = sizes;
+        scene.add(this.mesh);
+
+        // GPGPU step runs as a budgeted task; deltas accumulate if it is skipped
+        this._removeTask = time.scheduler.add('particlesCompute', ({ deltaTime, elapsedTime }) => {
+            this._compute(elapsedTime, deltaTime);
+        }, {
+            priority: TaskPriority.HIGH,
+            frequency: this.computeFrequency
+        });
+    }
+
+    /**
+     * Handle viewport resize
+     * @param {Object} sizes - {width, height, pixelRatio}
      */
-    _handleResize() {
-        this.material.uniforms.uPixelRatio.value = Math.min(window.devicePixelRatio, 2);
+    resize(sizes) {
+        this.material.uniforms.uPixelRatio.value = sizes.pixelRatio;
+    }
+
+    /**
+     * Component view offset - point sizes are in pixels, so scale them
+     * to the full output resolution while rendering tiles
+     * @param {Object|null} view - Tile {scale, ...}, or null for the full frame
+     */
+    onViewOffset(view) {
+        if (view) {
+            this.material.uniforms.uPixelRatio.value = view.scale;
+        } else if (this.sizes) {
+            this.resize(this.sizes);
+        }
     }
 
     /**
@@ -505,9 +565,36 @@ class Particles {
      * Update particle system
      * @param {number} elapsedTime - Total elapsed time
      * @param {number} deltaTime - Time since last frame
-     * @param {THREE.Camera} camera - Current camera for distance calculation
+     * @param {THREE.Camera} [camera] - Camera for distance calculation (defaults to init camera)
      */
-    update(elapsedTime, deltaTime = 0.016, camera = null) {
+    update(elapsedTime, deltaTime = 0.016, camera = this.camera) {
+        // Not registered with a scheduler - compute inline
+        if (!this._removeTask) {
+            this._compute(elapsedTime, deltaTime);
+        }
+
+        // ==========================================
+        // Update Render Material
+        // ==========================================
+
+        this.material.uniforms.uTime.value = elapsedTime;
+
+        // Update camera distance for size attenuation
+        if (camera) {
+            this.material.uniforms.uCameraDistance.value = camera.position.length();
+        }
+
+        // Debug shader compilation on first frame
+        this._debugShaderInfo();
+    }
+
+    /**
+     * Run one GPGPU simulation step
+     * @param {number} elapsedTime - Total elapsed time
+     * @param {number} deltaTime - Time since the previous step
+     * @private
+     */
+    _compute(elapsedTime, deltaTime) {
         // Clamp deltaTime to prevent explosions on tab switch
         deltaTime = Math.min(deltaTime, 0.1);
 
@@ -537,22 +624,9 @@ class Particles {
          */
         this.gpuCompute.compute();
 
-        // ==========================================
-        // Update Render Material
-        // ==========================================
-
         // Get the computed position texture and pass to render shader
         const positionTexture = this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
         this.material.uniforms.texturePosition.value = positionTexture;
-        this.material.uniforms.uTime.value = elapsedTime;
-
-        // Update camera distance for size attenuation
-        if (camera) {
-            this.material.uniforms.uCameraDistance.value = camera.position.length();
-        }
-
-        // Debug shader compilation on first frame
-        this._debugShaderInfo();
     }
 
     /**
@@ -596,6 +670,16 @@ class Particles {
         if (params.strength !== undefined) uniforms.uMouseStrength.value = params.strength;
     }
 
+    /**
+     * Set turbulence added on top of the configured turbulence
+     * (e.g. stirred up by fast scrolling)
+     * @param {number} amount - Extra random force strength
+     */
+    setTurbulenceBoost(amount) {
+        const uniforms = this.velocityVariable.material.uniforms;
+        uniforms.uTurbulence.value = this.settings.turbulence + amount;
+    }
+
     /**
      * Get the mesh
      * @returns {THREE.Points}
@@ -621,7 +705,14 @@ class Particles {
      * Clean up resources
      */
     dispose() {
-        window.removeEventListener('resize', this._handleResize);
+        if (this._removeTask) {
+            this._removeTask();
+            this._removeTask = null;
+        }
+
+        if (this.scene) {
+            this.scene.remove(this.mesh);
+        }
 
         // Dispose geometry and material
         this.geometry.dispose();
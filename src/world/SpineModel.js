@@ -39,12 +39,21 @@ class SpineModel {
     /**
      * Create model loader
      * @param {Object} options - Loader options
+     * @param {Object} [options.tweens] - Tween timeline (the App's Tweens; default: gsap)
      */
     constructor(options = {}) {
         const {
-            dracoPath = 'https://www.gstatic.com/draco/versioned/decoders/1.5.6/'
+            dracoPath = 'https://www.gstatic.com/draco/versioned/decoders/1.5.6/',
+            seed = 0,
+            tweens = gsap
         } = options;
 
+        /** @type {number} Shader hash seed */
+        this.seed = seed;
+
+        /** @type {Object} Tweens (the App's timeline, or gsap itself standalone) */
+        this.tweens = tweens;
+
         /** @type {THREE.Group} Container for the model */
         this.group = new THREE.Group();
 
@@ -82,6 +91,9 @@ class SpineModel {
         /** @type {boolean} Loading state */
         this.isLoaded = false;
 
+        /** @type {THREE.Scene|null} Scene the group was added to */
+        this.scene = null;
+
         // ==========================================
         // Setup Loaders
         // ==========================================
@@ -115,6 +127,7 @@ class SpineModel {
             uniforms: {
                 // Time
                 uTime: { value: 0 },
+                uSeed: { value: this.seed },
 
                 // Base appearance
                 uColor: { value: new THREE.Color(1.0, 1.0, 1.0) },
@@ -272,7 +285,7 @@ class SpineModel {
         // Scale from 0
         this.model.scale.setScalar(0);
 
-        gsap.to(this.model.scale, {
+        this.tweens.to(this.model.scale, {
             x: this.model.userData.targetScale || 1,
             y: this.model.userData.targetScale || 1,
             z: this.model.userData.targetScale || 1,
@@ -283,7 +296,7 @@ class SpineModel {
         // Fade in holographic effect
         if (this.currentMaterialType === MaterialType.HOLOGRAPHIC) {
             this.holographicMaterial.uniforms.uOpacity.value = 0;
-            gsap.to(this.holographicMaterial.uniforms.uOpacity, {
+            this.tweens.to(this.holographicMaterial.uniforms.uOpacity, {
                 value: 0.9,
                 duration: 0.8,
                 ease: 'power2.out'
@@ -458,6 +471,15 @@ class SpineModel {
         }
     }
 
+    /**
+     * Component init - add model group to scene (model loads async)
+     * @param {Object} context - Component context
+     */
+    init({ scene }) {
+        this.scene = scene;
+        scene.add(this.group);
+    }
+
     /**
      * Set model position
      * @param {number} x
@@ -557,6 +579,10 @@ class SpineModel {
         // Dispose loaders
         this.dracoLoader.dispose();
 
+        if (this.scene) {
+            this.scene.remove(this.group);
+        }
+
         this.isLoaded = false;
 
         console.log('%c[SpineModel] Disposed', 'color: #ff88aa;');
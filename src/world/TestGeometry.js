@@ -0,0 +1,121 @@
+/**
+ * TestGeometry.js
+ * Central Reference Sphere
+ *
+ * Metallic icosahedron with a wireframe overlay, used as a
+ * visual reference point in the middle of the scene.
+ */
+
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+/**
+ * @class TestGeometry
+ * @description Animated central sphere with wireframe overlay
+ */
+class TestGeometry {
+    /**
+     * Create the sphere
+     * @param {Object} [options]
+     * @param {Object} [options.tweens] - Tween timeline (the App's Tweens; default: gsap)
+     */
+    constructor(options = {}) {
+        const { tweens = gsap } = options;
+
+        /** @type {Object} Tweens (the App's timeline, or gsap itself standalone) */
+        this.tweens = tweens;
+
+        // Central sphere with standard material
+        const sphereGeometry = new THREE.IcosahedronGeometry(0.6, 2);
+        const sphereMaterial = new THREE.MeshStandardMaterial({
+            color: 0x4488ff,
+            metalness: 0.8,
+            roughness: 0.15,
+            envMapIntensity: 1.0,
+            emissive: 0x112244,
+            emissiveIntensity: 0.5
+        });
+
+        /** @type {THREE.Mesh} */
+        this.sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
+        this.sphere.position.set(0, 0, 0);
+        this.sphere.castShadow = true;
+        this.sphere.receiveShadow = true;
+
+        // Wireframe overlay
+        const wireGeometry = new THREE.IcosahedronGeometry(0.65, 2);
+        const wireMaterial = new THREE.MeshBasicMaterial({
+            color: 0x88ccff,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.4
+        });
+
+        /** @type {THREE.Mesh} */
+        this.wireframe = new THREE.Mesh(wireGeometry, wireMaterial);
+        this.wireframe.position.copy(this.sphere.position);
+
+        /** @type {THREE.Scene|null} */
+        this.scene = null;
+    }
+
+    /**
+     * Add meshes to the scene and play entrance animation
+     * @param {Object} context - Component context
+     */
+    init({ scene }) {
+        this.scene = scene;
+        scene.add(this.sphere);
+        scene.add(this.wireframe);
+
+        // Entrance animation
+        this.tweens.from(this.sphere.scale, {
+            x: 0,
+            y: 0,
+            z: 0,
+            duration: 1.5,
+            ease: 'elastic.out(1, 0.5)'
+        });
+
+        this.tweens.from(this.wireframe.scale, {
+            x: 0,
+            y: 0,
+            z: 0,
+            duration: 1.5,
+            ease: 'elastic.out(1, 0.5)',
+            delay: 0.1
+        });
+    }
+
+    /**
+     * Animate sphere
+     * @param {number} elapsedTime
+     * @param {number} deltaTime
+     */
+    update(elapsedTime, deltaTime) {
+        this.sphere.rotation.x += deltaTime * 0.3;
+        this.sphere.rotation.y += deltaTime * 0.5;
+        this.sphere.position.y = Math.sin(elapsedTime) * 0.15;
+
+        this.wireframe.rotation.copy(this.sphere.rotation);
+        this.wireframe.position.copy(this.sphere.position);
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this.scene) {
+            this.scene.remove(this.sphere);
+            this.scene.remove(this.wireframe);
+        }
+
+        this.sphere.geometry.dispose();
+        this.sphere.material.dispose();
+        this.wireframe.geometry.dispose();
+        this.wireframe.material.dispose();
+    }
+}
+
+export { TestGeometry };
+export default TestGeometry;
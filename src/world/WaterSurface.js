@@ -15,6 +15,7 @@
 
 import * as THREE from 'three';
 import gsap from 'gsap';
+import { TaskPriority } from '../core/Time.js';
 
 // Import shaders
 import waterVertexShader from '../shaders/water/vertex.glsl?raw';
@@ -101,7 +102,13 @@ class WaterSurface {
             subsurfaceIntensity = 0.4,
 
             // Opacity
-            opacity = 0.85
+            opacity = 0.85,
+
+            // Shader hash seed
+            seed = 0,
+
+            // Tween timeline (the App's Tweens; gsap if omitted)
+            tweens = gsap
         } = options;
 
         // Store configuration
@@ -111,6 +118,8 @@ class WaterSurface {
         this.heightSegments = heightSegments;
         this.waves = waves;
         this.steepness = steepness;
+        this.seed = seed;
+        this.tweens = tweens;
 
         // Create geometry
         this._createGeometry();
@@ -141,6 +150,12 @@ class WaterSurface {
         this.mesh.rotation.x = -Math.PI / 2; // Rotate to horizontal
         this.mesh.receiveShadow = true;
 
+        /** @type {THREE.Scene|null} Scene the mesh was added to */
+        this.scene = null;
+
+        /** @type {Scheduler|null} Scheduler running the wave update (set in init) */
+        this.scheduler = null;
+
         // Visibility state
         this.visible = true;
         this.targetOpacity = opacity;
@@ -175,6 +190,7 @@ class WaterSurface {
         this.uniforms = {
             // Time
             uTime: { value: 0 },
+            uSeed: { value: this.seed },
 
             // Wave parameters (4 waves)
             uWaveDirection1: { value: this.waves[0].direction.clone().normalize() },
@@ -248,10 +264,42 @@ class WaterSurface {
      * @param {number} deltaTime - Time since last frame
      */
     update(elapsedTime, deltaTime) {
+        // Scheduled task drives the waves when registered
+        if (this.scheduler) return;
+
         // Update time uniform for wave animation
         this.uniforms.uTime.value = elapsedTime;
     }
 
+    /**
+     * Component init - add mesh to scene and schedule the wave update.
+     * The task only runs while the water is visible.
+     * @param {Object} context - Component context
+     */
+    init({ scene, time }) {
+        this.scene = scene;
+        scene.add(this.mesh);
+
+        this.scheduler = time.scheduler;
+        this.scheduler.add('waterSurface', ({ elapsedTime }) => {
+            this.uniforms.uTime.value = elapsedTime;
+        }, {
+            priority: TaskPriority.NORMAL,
+            enabled: this.visible
+        });
+    }
+
+    /**
+     * Enable/disable the scheduled wave update
+     * @param {boolean} enabled
+     * @private
+     */
+    _setTaskEnabled(enabled) {
+        if (this.scheduler) {
+            this.scheduler.setEnabled('waterSurface', enabled);
+        }
+    }
+
     /**
      * Set wave parameters for a specific wave
      * @param {number} index - Wave index (0-3)
@@ -351,6 +399,23 @@ class WaterSurface {
         this.uniforms.uOpacity.value = Math.max(0, Math.min(1, opacity));
     }
 
+    /**
+     * Fade the water in or out (driven by a scroll property track).
+     * Fully faded out the mesh is hidden and the wave update paused.
+     * @param {number} amount - 0 (hidden) to 1 (full opacity)
+     */
+    setFade(amount) {
+        const visible = amount > 0;
+
+        if (visible !== this.visible) {
+            this.visible = visible;
+            this.mesh.visible = visible;
+            this._setTaskEnabled(visible);
+        }
+
+        this.uniforms.uOpacity.value = this.targetOpacity * Math.min(amount, 1);
+    }
+
     /**
      * Show water surface with animation
      * @param {number} duration - Animation duration
@@ -358,8 +423,9 @@ class WaterSurface {
     show(duration = 1.0) {
         this.visible = true;
         this.mesh.visible = true;
+        this._setTaskEnabled(true);
 
-        gsap.to(this.uniforms.uOpacity, {
+        this.tweens.to(this.uniforms.uOpacity, {
             value: this.targetOpacity,
             duration: duration,
             ease: 'power2.out'
@@ -371,13 +437,14 @@ class WaterSurface {
      * @param {number} duration - Animation duration
      */
     hide(duration = 1.0) {
-        gsap.to(this.uniforms.uOpacity, {
+        this.tweens.to(this.uniforms.uOpacity, {
             value: 0,
             duration: duration,
             ease: 'power2.out',
             onComplete: () => {
                 this.visible = false;
                 this.mesh.visible = false;
+                this._setTaskEnabled(false);
             }
         });
     }
@@ -390,6 +457,7 @@ class WaterSurface {
         this.visible = visible;
         this.mesh.visible = visible;
         this.uniforms.uOpacity.value = visible ? this.targetOpacity : 0;
+        this._setTaskEnabled(visible);
     }
 
     /**
@@ -432,7 +500,7 @@ class WaterSurface {
     setWaveIntensity(multiplier, duration = 2.0) {
         for (let i = 1; i <= 4; i++) {
             const baseAmplitude = this.waves[i - 1].amplitude;
-            gsap.to(this.uniforms[`uWaveAmplitude${i}`], {
+            this.tweens.to(this.uniforms[`uWaveAmplitude${i}`], {
                 value: baseAmplitude * multiplier,
                 duration: duration,
                 ease: 'power2.inOut'
@@ -462,6 +530,15 @@ class WaterSurface {
      * Clean up resources
      */
     dispose() {
+        if (this.scheduler) {
+            this.scheduler.remove('waterSurface');
+            this.scheduler = null;
+        }
+
+        if (this.scene) {
+            this.scene.remove(this.mesh);
+        }
+
         if (this.geometry) {
             this.geometry.dispose();
         }